@@ -4,20 +4,27 @@ import {
     saveSettingsDebounced,
     setExtensionPrompt,
     extension_prompt_types,
+    extension_prompt_roles,
     generateQuietPrompt,
+    messageFormatting,
 } from '../../../../script.js';
 
 import {
     extension_settings,
     getContext,
+    saveMetadataDebounced,
 } from '../../../extensions.js';
 
+import { MacrosParser } from '../../../macros.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+
 const EXT_NAME = 'turbo-tracker';
 
 const DEFAULT_SETTINGS = {
     enabled: true,
     debugEnabled: false,
-    heartPoints: 0,
     heartSensitivity: 5,
     defaultHeartValue: 0,
     minTimeAdvance: 2,
@@ -30,6 +37,31 @@ const DEFAULT_SETTINGS = {
         { emoji: '🧡', min: 50000, max: 59999 },
         { emoji: '❤️', min: 60000, max: 99999 },
     ],
+    customFields: [],
+    perCharacterHeart: false,
+    calendar: 'gregorian',
+    calendars: [],
+    outputFormat: 'text',
+    generationMode: 'inline',
+    injectPosition: 'before',
+    injectDepth: 1,
+    injectRole: 'system',
+    tokenBudget: 0,
+    validationMode: 'repair',
+    matchSurnames: true,
+    trackInventory: false,
+    trackRelationships: false,
+    relationshipMaxShift: 10,
+    trackQuests: false,
+    temperatureUnit: 'F',
+    distanceUnit: 'mi',
+    weatherEngine: false,
+    weatherClimate: 'temperate',
+    weatherCustomClimate: { mean: 60, seasonal: 15, diurnal: 10, variability: 6, wetness: 0.25, cloudiness: 0.5 },
+    panelOpen: false,
+    panelDock: 'right',
+    panelTab: 'timeline',
+    promptTemplates: {},
 };
 
 // ── Debug logging ─────────────────────────────────────────────
@@ -51,1445 +83,3960 @@ function ttDebug(...args) {
     }
 }
 
-// ── Heart meter ───────────────────────────────────────────────
+// ── Field registry ────────────────────────────────────────────
 
-function getHeartEmoji(points) {
-    const colors = getSettings().heartColors;
-    for (const color of colors) {
-        if (points >= color.min && points <= color.max) return color.emoji;
-    }
-    return colors[colors.length - 1].emoji;
+const FIELD_TYPES = ['text', 'number', 'list'];
+
+/**
+ * Built-in scene-level fields.  Heart is deliberately absent — it has its own
+ * clamping and emoji handling and is always emitted after the scene fields.
+ */
+const BUILTIN_SCENE_FIELDS = [
+    { key: 'time',     label: 'Time',     emoji: '⏰', type: 'text' }, // hints come from the calendar
+    { key: 'location', label: 'Location', emoji: '🗺️', type: 'text', placeholder: 'Location description',
+      prompt: 'Full location description' },
+    { key: 'weather',  label: 'Weather',  emoji: '🌤️', type: 'text', placeholder: 'Weather, Temperature' }, // hint follows the unit setting
+];
+
+/**
+ * Built-in per-character fields.  `name` is the identity key and is handled
+ * separately by every parser/formatter.
+ */
+const BUILTIN_CHARACTER_FIELDS = [
+    { key: 'description', label: 'Description', type: 'text', prompt: 'Hair color, eye color, height, build, notable features' },
+    { key: 'outfit',      label: 'Outfit',      type: 'text', prompt: 'Full clothing description' },
+    { key: 'state',       label: 'State',       type: 'text', prompt: 'Emotional/physical state' },
+    { key: 'position',    label: 'Position',    type: 'text', prompt: 'Precise location and posture within the scene (e.g. "Seated at the bar, elbows on the counter, facing the door")' },
+];
+
+/**
+ * Per-character heart meter, appended to the character fields when
+ * perCharacterHeart is enabled.  Shares the tracker-level heart's scale.
+ */
+const CHARACTER_HEART_FIELD = {
+    key: 'heart', label: 'Heart', type: 'number',
+    prompt: "Integer 0–99,999 — this character's romantic interest in {{user}}",
+};
+
+// Keys a custom field may not use — they collide with built-in tracker properties.
+const RESERVED_FIELD_KEYS = new Set([
+    'time', 'location', 'weather', 'weather_reason', 'heart', 'characters',
+    'name', 'description', 'outfit', 'state', 'position', 'inventory', 'relationships', 'quests',
+]);
+
+/**
+ * Normalise a user-typed key or label into a tracker property name
+ * ("Quest objective" → "quest_objective").
+ */
+function normalizeFieldKey(raw) {
+    return String(raw || '').trim().toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
 }
 
 /**
- * Clamp a new heart value so it cannot shift more than maxShift from prevHeart.
- * Enforced in code regardless of what the AI outputs.
- * All inputs are coerced to safe integers to guard against NaN from bad settings.
+ * Whether a custom field's key is usable: set, not built in, and not taken
+ * by an earlier custom field.
  */
-function clampHeart(rawValue, prevHeart, maxShift) {
-    const val   = parseInt(rawValue,  10);
-    const prev  = parseInt(prevHeart, 10) || 0;
-    const shift = Math.max(1, parseInt(maxShift, 10) || 2500);
-    if (isNaN(val)) return prev;
-    const lo = Math.max(0,     prev - shift);
-    const hi = Math.min(99999, prev + shift);
-    return Math.max(lo, Math.min(hi, val));
+function isValidCustomFieldKey(field, fields = getSettings().customFields || []) {
+    if (!field.key || RESERVED_FIELD_KEYS.has(field.key)) return false;
+    return fields.find(f => f.key === field.key) === field;
+}
+
+function getCustomFields(scope) {
+    const fields = getSettings().customFields || [];
+    return fields.filter(f => f.scope === scope && isValidCustomFieldKey(f, fields));
+}
+
+function getSceneFields() {
+    // The time field's hint follows the active chat's calendar
+    const cal = getActiveCalendar();
+    const builtins = BUILTIN_SCENE_FIELDS.map(f => {
+        if (f.key === 'time')    return { ...f, placeholder: calendarTimeFormat(cal), prompt: calendarTimePrompt(cal) };
+        if (f.key === 'weather') return { ...f, prompt: `Weather condition, temperature in ${TEMPERATURE_UNITS[getTemperatureUnit()]} (e.g. Warm morning sun, light mountain breeze, ${formatTemperature(65)})` };
+        return f;
+    });
+    return [...builtins, ...getCustomFields('scene')];
+}
+
+function getCharacterFields() {
+    const builtins = getSettings().perCharacterHeart
+        ? [...BUILTIN_CHARACTER_FIELDS, CHARACTER_HEART_FIELD]
+        : BUILTIN_CHARACTER_FIELDS;
+    return [...builtins, ...getCustomFields('character')];
 }
 
 /**
- * Advance the H:MM AM/PM portion of a tracker time string by the given minutes.
- * Leaves the date/era suffix (e.g. "; 01/20/31 BBY (Monday)") unchanged.
- * If the format isn't recognised, the original string is returned unmodified.
+ * Look up a field by its key or by its label, as the AI may echo either.
  */
+function findField(fields, rawKey) {
+    const key = normalizeFieldKey(rawKey);
+    return fields.find(f => f.key === key || normalizeFieldKey(f.label) === key) || null;
+}
+
 /**
- * Parse a tracker time string into total minutes since midnight.
- * Handles both "H:MM AM/PM" and "HH:MM:SS" formats.
- * Returns null if the format isn't recognised.
+ * Coerce a raw value (string from the tracker block or edit form) into the
+ * field's declared type.  Numbers that don't parse become null so they are
+ * picked up as blank by hasBlankFields.
  */
-function parseTimeToMinutes(timeStr) {
-    if (!timeStr) return null;
-    const m = timeStr.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-    if (m) {
-        let h = parseInt(m[1], 10);
-        const min = parseInt(m[2], 10);
-        const p = m[3].toUpperCase();
-        if (p === 'PM' && h !== 12) h += 12;
-        if (p === 'AM' && h === 12) h = 0;
-        return h * 60 + min;
+function coerceFieldValue(field, raw) {
+    if (field.type === 'number') {
+        if (raw == null || raw === '') return null;
+        const n = parseFloat(String(raw).replace(/,/g, ''));
+        return isNaN(n) ? null : n;
     }
-    const m2 = timeStr.match(/^(\d{1,2}):(\d{2})(?::\d{2})?/);
-    if (m2) return parseInt(m2[1], 10) * 60 + parseInt(m2[2], 10);
-    return null;
+    if (field.type === 'list') {
+        if (raw == null) return [];
+        const items = Array.isArray(raw) ? raw : String(raw).split(/[,;]/);
+        return items.map(v => String(v).trim()).filter(v => v && v.toLowerCase() !== 'none');
+    }
+    return raw == null ? '' : String(raw).trim();
 }
 
-function advanceTimeString(timeStr, minutes) {    if (!timeStr) return timeStr;
+/**
+ * Render a stored field value back to the single-line text form used in
+ * prompts, the tracker UI and the edit form.
+ */
+function formatFieldValue(field, value) {
+    if (value == null) return '';
+    if (field.type === 'list') return Array.isArray(value) ? value.join(', ') : String(value);
+    return String(value);
+}
 
-    // Helper: advance date portion by N days
-    // Handles "; MM/DD/YYYY (DayOfWeek)" suffix
-    function advanceDateInSuffix(suffix, days) {
-        if (days <= 0) return suffix;
-        const dm = suffix.match(/^(.*?;\s*)(\d{1,2})\/(\d{1,2})\/(\d{4})\s*\((\w+)\)(.*)/);
-        if (!dm) return suffix;
-        const [, pre, mm, dd, yyyy, , post] = dm;
-        const d = new Date(parseInt(yyyy), parseInt(mm) - 1, parseInt(dd));
-        d.setDate(d.getDate() + days);
-        const dayNames = ['Sunday','Monday','Tuesday','Wednesday','Thursday','Friday','Saturday'];
-        const newMM = String(d.getMonth() + 1).padStart(2, '0');
-        const newDD = String(d.getDate()).padStart(2, '0');
-        const newYYYY = d.getFullYear();
-        const newDay = dayNames[d.getDay()];
-        return `${pre}${newMM}/${newDD}/${newYYYY} (${newDay})${post}`;
-    }
-
-    // Format 1: H:MM AM/PM (with optional date suffix)
-    const m = timeStr.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)(.*)/i);
-    if (m) {
-        let hours = parseInt(m[1], 10);
-        let mins  = parseInt(m[2], 10);
-        const period = m[3].toUpperCase();
-        let rest   = m[4];
-
-        if (period === 'PM' && hours !== 12) hours += 12;
-        if (period === 'AM' && hours === 12) hours  = 0;
-
-        mins  += minutes;
-        hours += Math.floor(mins / 60);
-        mins   = mins  % 60;
-        const daysOver = Math.floor(hours / 24);
-        hours  = hours % 24;
-        if (daysOver > 0) rest = advanceDateInSuffix(rest, daysOver);
-
-        const newPeriod = hours >= 12 ? 'PM' : 'AM';
-        let   newHours  = hours % 12;
-        if (newHours === 0) newHours = 12;
-
-        const result = `${newHours}:${String(mins).padStart(2, '0')} ${newPeriod}${rest}`;
-        ttDebug(`advanceTime: "${timeStr}" +${minutes}min → "${result}"`);
-        return result;
-    }
+/**
+ * The instruction shown for a field inside a [TRACKER] template, with a type
+ * hint so the AI knows how to shape the value.
+ */
+function fieldTemplateHint(field) {
+    const hint = field.type === 'number' ? ' (number)' : field.type === 'list' ? ' (comma-separated list)' : '';
+    return `${field.prompt || field.label}${hint}`;
+}
 
-    // Format 2: HH:MM:SS (24-hour, with optional date suffix)
-    const m2 = timeStr.match(/^(\d{1,2}):(\d{2}):(\d{2})(.*)/);
-    if (m2) {
-        let hours = parseInt(m2[1], 10);
-        let mins  = parseInt(m2[2], 10);
-        const secs = m2[3];
-        let rest = m2[4];
-
-        mins  += minutes;
-        hours += Math.floor(mins / 60);
-        mins   = mins  % 60;
-        const daysOver = Math.floor(hours / 24);
-        hours  = hours % 24;
-        if (daysOver > 0) rest = advanceDateInSuffix(rest, daysOver);
-
-        const result = `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}:${secs}${rest}`;
-        ttDebug(`advanceTime: "${timeStr}" +${minutes}min → "${result}"`);
-        return result;
+function emptyCharacter(name = '') {
+    const char = { name };
+    for (const f of getCharacterFields()) char[f.key] = f.type === 'list' ? [] : f.type === 'number' ? null : '';
+    return char;
+}
+
+/**
+ * Parse one "name: X | description: ... | outfit: ..." character line.
+ * Unknown keys are ignored.
+ */
+function parseCharacterLine(line) {
+    const fields = getCharacterFields();
+    const char   = emptyCharacter();
+    for (const part of line.split('|').map(p => p.trim())) {
+        const sep = part.indexOf(':');
+        if (sep === -1) continue;
+        const k = part.slice(0, sep).trim();
+        const v = part.slice(sep + 1).trim();
+        if (normalizeFieldKey(k) === 'name') {
+            char.name = v;
+            continue;
+        }
+        if (normalizeFieldKey(k) === 'inventory') {
+            if (isInventoryEnabled()) char.inventory = v;
+            continue;
+        }
+        const field = findField(fields, k);
+        if (field) char[field.key] = coerceFieldValue(field, v);
     }
+    return char;
+}
 
-    ttDebug(`advanceTime: no-match for "${timeStr}"`);
-    return timeStr;
+/**
+ * Format a character as a pipe-separated line (without the leading "- ").
+ * `valueFn(field, value)` lets callers mark blanks as ??? or substitute values.
+ */
+function formatCharacterLine(c, valueFn = (f, v) => formatFieldValue(f, v)) {
+    const parts = [`name: ${c.name}`];
+    for (const f of getCharacterFields()) parts.push(`${f.key}: ${valueFn(f, c[f.key])}`);
+    if (isInventoryEnabled()) parts.push(`inventory: ${formatInventory(c.inventory) || 'none'}`);
+    return parts.join(' | ');
 }
 
 /**
- * Parse a time field value that the AI returned as a minute offset.
- * Accepts plain integers or "N minutes" / "N min" formats.
- * Returns the integer if valid (1–1440 minutes), or null if it looks like
- * a real clock time or anything else we can't use as a minute count.
+ * Character entry for a tracker template.  `overrides` maps field keys to
+ * literal values; everything else shows the field's instruction.
  */
-function parseMinuteOffset(val) {
-    if (!val) return null;
-    const m = String(val).trim().match(/^(\d+)\s*(?:minutes?|min|m)?$/i);
-    if (!m) return null;
-    const n = parseInt(m[1], 10);
-    return (n >= 1 && n <= 1440) ? n : null;
+function characterTemplate(overrides = {}) {
+    const entry = { name: overrides.name ?? 'CharacterName' };
+    for (const f of getCharacterFields()) entry[f.key] = overrides[f.key] ?? fieldTemplateHint(f);
+    return { ...entry, ...inventoryTemplate() };
 }
 
 /**
- * Estimate the number of in-story minutes that likely pass during a message,
- * based on keywords in the message text.  Used as a heuristic fallback when
- * the AI does not return a valid integer minute offset.
- *
- * Priority order:
- *   1. Explicit long time skip keywords → 90 min
- *   2. Travel / movement keywords       → 10 min
- *   3. Meals / grooming / tasks         → 15 min
- *   4. Default casual exchange          → 3–5 min scaled by message length
+ * Character entry for a tracker template built from an existing character.
+ * `valueFn(field, value)` marks blanks as ??? or substitutes values.
  */
-function estimateMinutesFromContent(text, prevTimeStr) {
-    const t = (text || '').toLowerCase();
-    const r = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+function characterTemplateFrom(c, valueFn) {
+    const entry = { name: c.name };
+    for (const f of getCharacterFields()) entry[f.key] = valueFn(f, c[f.key]);
+    return entry;
+}
 
-    // ── Parse the previous time into 24h hours + minutes ──
-    let prevHour24 = null;
-    let prevMinute = 0;
-    if (prevTimeStr) {
-        // Format 1: H:MM AM/PM (12-hour)
-        const tm = prevTimeStr.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-        if (tm) {
-            let h = parseInt(tm[1], 10);
-            prevMinute = parseInt(tm[2], 10);
-            const p = tm[3].toUpperCase();
-            if (p === 'PM' && h !== 12) h += 12;
-            if (p === 'AM' && h === 12) h = 0;
-            prevHour24 = h;
-        } else {
-            // Format 2: HH:MM:SS or HH:MM (24-hour, no AM/PM)
-            const tm2 = prevTimeStr.match(/^(\d{1,2}):(\d{2})(?::\d{2})?/);
-            if (tm2) {
-                prevHour24 = parseInt(tm2[1], 10);
-                prevMinute = parseInt(tm2[2], 10);
+/**
+ * Build a tracker template for a prompt in the configured output format.
+ * `values` maps scene field keys (and `heart`) to literal values; fields
+ * without a value show their instruction.  `chars` replaces the default
+ * single example character entry.
+ */
+function buildTrackerTemplate(values = {}, chars = null) {
+    const scene = {};
+    for (const f of getSceneFields()) scene[f.key] = values[f.key] ?? fieldTemplateHint(f);
+    if (isWeatherEngineEnabled()) scene.weather_reason = values.weather_reason ?? WEATHER_REASON_HINT;
+    const heart      = values.heart ?? 'integer_value';
+    const characters = chars ?? [characterTemplate()];
+    const relations  = isRelationshipTrackingEnabled() ? [relationshipTemplate()] : null;
+    const quests     = isQuestTrackingEnabled() ? [questTemplate()] : null;
+    const format     = getTrackerFormat();
+
+    if (format === 'json') {
+        const tracker = { ...scene, heart, characters };
+        if (relations) tracker.relationships = relations;
+        if (quests)    tracker.quests        = quests;
+        return '```json\n' + JSON.stringify({ tracker }, null, 2) + '\n```';
+    }
+
+    if (format === 'xml') {
+        const tag = (k, v, indent) => `${indent}<${k}>${esc(v)}</${k}>`;
+        const lines = ['<tracker>'];
+        for (const [k, v] of Object.entries(scene)) lines.push(tag(k, v, '  '));
+        lines.push(tag('heart', heart, '  '));
+        lines.push('  <characters>');
+        for (const c of characters) {
+            lines.push('    <character>');
+            for (const [k, v] of Object.entries(c)) lines.push(tag(k, v, '      '));
+            lines.push('    </character>');
+        }
+        lines.push('  </characters>');
+        for (const [list, item, entries] of [['relationships', 'relationship', relations], ['quests', 'quest', quests]]) {
+            if (!entries) continue;
+            lines.push(`  <${list}>`);
+            for (const e of entries) {
+                lines.push(`    <${item}>`);
+                for (const [k, v] of Object.entries(e)) lines.push(tag(k, v, '      '));
+                lines.push(`    </${item}>`);
             }
+            lines.push(`  </${list}>`);
         }
+        lines.push('</tracker>');
+        return lines.join('\n');
     }
 
-    // ── Explicit time mentions — highest priority ──
-    // If the text contains a specific time ("6:50", "seven o'clock", "at 7 AM"),
-    // compute the exact minutes from prevTime to that stated time.
-    if (prevHour24 !== null) {
-        let explicitHour = null;
-        let explicitMin = 0;
+    const lines = ['[TRACKER]'];
+    for (const [k, v] of Object.entries(scene)) lines.push(`${k}: ${v}`);
+    lines.push(`heart: ${heart}`);
+    lines.push('characters:');
+    for (const c of characters) lines.push(`- ${Object.entries(c).map(([k, v]) => `${k}: ${v}`).join(' | ')}`);
+    for (const [list, entries] of [['relationships', relations], ['quests', quests]]) {
+        if (!entries) continue;
+        lines.push(`${list}:`);
+        for (const e of entries) lines.push(`- ${Object.entries(e).map(([k, v]) => `${k}: ${v}`).join(' | ')}`);
+    }
+    lines.push('[/TRACKER]');
+    return lines.join('\n');
+}
 
-        // Digital times with context: "it's 6:50", "at 7:00", "watch...6:50"
-        const digitalCtx = t.match(/(?:it(?:'s| is| was)\s+|at\s+(?:exactly\s+|precisely\s+|about\s+)?|around\s+|by\s+|watch[^.]{0,30}?)(\d{1,2}):(\d{2})(?:\s*(am|pm))?/i);
-        // Digital with AM/PM (no context needed): "6:50 AM", "7:00 PM"
-        const digitalAMPM = !digitalCtx ? t.match(/(\d{1,2}):(\d{2})\s*(am|pm)/i) : null;
-        const dMatch = digitalCtx || digitalAMPM;
+// ── Inventory ─────────────────────────────────────────────────
+//
+// With trackInventory on, every character carries
+// `inventory: [{ item, qty, equipped }]`.  The model never re-lists it: it
+// reports what changed as a delta ("+2 torch, -1 healing potion, equip
+// sword, unequip shield"), which resolveInventories applies to the
+// character's inventory in the previous tracker.  Bare entries ("rope",
+// "torch x2", "sword [E]") state an item outright — that is how prompts and
+// the raw edit text write a full inventory.
 
-        if (dMatch) {
-            explicitHour = parseInt(dMatch[1], 10);
-            explicitMin = parseInt(dMatch[2], 10);
-            if (dMatch[3]) {
-                const p = dMatch[3].toLowerCase();
-                if (p === 'pm' && explicitHour !== 12) explicitHour += 12;
-                if (p === 'am' && explicitHour === 12) explicitHour = 0;
-            }
-            // No AM/PM — for hours 1-12, context determines AM/PM
-            // If prev is evening/night and explicit hour is small → next day AM
-        }
+const INVENTORY_HINT = 'Changes since the previous tracker only: +N item, -N item, equip item, unequip item — or none';
 
-        // Written times: "at seven o'clock", "at exactly seven", "at seven thirty"
-        if (explicitHour === null) {
-            const wordNums = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
-                seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
-                noon: 12, midnight: 0 };
-            const wordPat = Object.keys(wordNums).join('|');
-            const wordRe = new RegExp(
-                `(?:at\\s+(?:exactly\\s+|precisely\\s+|about\\s+|around\\s+)?)(${wordPat})(?:\\s+(o'?clock|thirty|fifteen|forty[- ]?five))?(?:\\s+(am|pm))?`,
-                'i'
-            );
-            const wMatch = t.match(wordRe);
-            if (wMatch) {
-                explicitHour = wordNums[wMatch[1].toLowerCase()];
-                if (wMatch[2]) {
-                    const sfx = wMatch[2].toLowerCase().replace(/[-\s]/g, '');
-                    if (sfx === 'thirty') explicitMin = 30;
-                    else if (sfx === 'fifteen') explicitMin = 15;
-                    else if (sfx === 'fortyfive') explicitMin = 45;
-                }
-                if (wMatch[3]) {
-                    const p = wMatch[3].toLowerCase();
-                    if (p === 'pm' && explicitHour !== 12) explicitHour += 12;
-                    if (p === 'am' && explicitHour === 12) explicitHour = 0;
-                }
-            }
-        }
+function isInventoryEnabled() {
+    return !!getSettings().trackInventory;
+}
 
-        if (explicitHour !== null && explicitHour >= 0 && explicitHour < 24) {
-            const prevTotal = prevHour24 * 60 + prevMinute;
-            const targetTotal = explicitHour * 60 + explicitMin;
-            let diff = targetTotal - prevTotal;
-            if (diff <= -120) diff += 24 * 60; // Overnight wrap
-            if (diff > 0) {
-                ttDebug(`estimateMinutes: explicit time ${explicitHour}:${String(explicitMin).padStart(2, '0')} from prev ${prevHour24}:${String(prevMinute).padStart(2, '0')} → ${diff}min`);
-                return diff;
-            }
-        }
-    }
+/**
+ * Split "torch x2 [E]" into { item, qty, equipped }; qty and equipped are
+ * null when not stated.
+ */
+function parseInventoryItem(text) {
+    const m = String(text).trim().match(/^(.*?)(?:\s*[x×]\s*(\d+))?\s*(\[E\])?$/i);
+    return {
+        item:     (m?.[1] || String(text)).trim(),
+        qty:      m?.[2] ? parseInt(m[2], 10) : null,
+        equipped: m?.[3] ? true : null,
+    };
+}
 
-    // ── Time-of-day keywords — jump to the stated time of day ──
-    // Only jump if the previous time is NOT already within the relevant
-    // time-of-day range. "Good morning" at 6:50 AM is just a greeting,
-    // not a cue to jump forward. Only jump when the time is clearly in
-    // a different part of the day (e.g. midnight → morning, noon → evening).
-    if (prevHour24 !== null) {
-        // "evening" / "dusk" / "sunset" → ~17:00-18:00 (skip if already 15-20)
-        if (/\b(?:the\s+)?evening\b(?:\s+(?:air|sky|sun|light|breeze|chill|glow|hours?))?/.test(t) ||
-            /\b(?:dusk|sunset|sundown)\b/.test(t)) {
-            const target = r(17, 18);
-            if (!(prevHour24 >= 15 && prevHour24 <= 20)) {
-                if (prevHour24 < target) {
-                    return (target - prevHour24) * 60 + r(0, 30);
-                } else if (prevHour24 >= 22) {
-                    return (24 - prevHour24 + target) * 60 + r(0, 30);
-                }
-            }
-        }
-        // "afternoon" → ~13:00-15:00 (skip if already 11-16)
-        if (/\b(?:the\s+)?afternoon\b(?:\s+(?:sun|light|heat|breeze|hours?))?/.test(t)) {
-            const target = r(13, 15);
-            if (!(prevHour24 >= 11 && prevHour24 <= 16)) {
-                if (prevHour24 < target) {
-                    return (target - prevHour24) * 60 + r(0, 30);
-                } else if (prevHour24 >= 20) {
-                    return (24 - prevHour24 + target) * 60 + r(0, 30);
-                }
-            }
-        }
-        // "morning" / "dawn" / "sunrise" / "awaken" / "wake up" → ~7:00-9:00 (skip if already 5-10)
-        if (/\b(?:the\s+)?(?:morning|dawn|sunrise)\b/.test(t) ||
-            /\b(?:awaken(?:ed|s|ing)?|wak(?:e[sd]?|ing)\s+up|woke\s+up)\b/.test(t)) {
-            const target = r(7, 9);
-            if (!(prevHour24 >= 5 && prevHour24 <= 10)) {
-                if (prevHour24 < target) {
-                    return (target - prevHour24) * 60 + r(0, 30);
-                } else if (prevHour24 >= 17) {
-                    return (24 - prevHour24 + target) * 60 + r(0, 30);
-                }
-            }
+/**
+ * Apply a delta string (or list of entries) to `inventory`, returning a new
+ * inventory.  Items are matched by name, ignoring case.
+ */
+function applyInventoryDelta(inventory, delta) {
+    const items   = (inventory || []).map(i => ({ ...i }));
+    const entries = (Array.isArray(delta) ? delta : String(delta ?? '').split(/[,;\n]/))
+        .map(e => String(e).trim())
+        .filter(e => e && !/^(none|no change|unchanged)$/i.test(e));
+
+    for (const entry of entries) {
+        let m = entry.match(/^(un)?equip\s+(.+)$/i);
+        if (m) {
+            const { item } = parseInventoryItem(m[2]);
+            let existing = items.find(i => sameName(i.item, item));
+            if (!existing && !m[1]) items.push(existing = { item, qty: 1, equipped: false });
+            if (existing) existing.equipped = !m[1];
+            continue;
         }
-        // "night" / "midnight" / "late at night" → ~21:00-23:00 (skip if already 19+)
-        if (/\b(?:the\s+)?(?:night(?:\s+(?:air|sky|breeze))?|midnight|late\s+at\s+night)\b/.test(t)) {
-            const target = r(21, 23);
-            if (!(prevHour24 >= 19)) {
-                if (prevHour24 < target) {
-                    return (target - prevHour24) * 60 + r(0, 30);
-                }
-            }
+
+        m = entry.match(/^([+-])\s*(?:(\d+)\s*[x×]?\s+)?(.+)$/);
+        const parsed   = parseInventoryItem(m ? m[3] : entry);
+        const existing = items.find(i => sameName(i.item, parsed.item));
+        if (!parsed.item) continue;
+        const qty = m ? (parseInt(m[2], 10) || parsed.qty || 1) : parsed.qty;
+
+        if (m?.[1] === '-') {
+            if (!existing) continue;
+            existing.qty -= qty;
+            if (existing.qty <= 0) items.splice(items.indexOf(existing), 1);
+        } else if (m?.[1] === '+') {
+            if (existing) existing.qty += qty;
+            else items.push({ item: parsed.item, qty, equipped: !!parsed.equipped });
+            if (existing && parsed.equipped) existing.equipped = true;
+        } else if (existing) {
+            if (qty !== null) existing.qty = qty;
+            if (parsed.equipped) existing.equipped = true;
+        } else {
+            items.push({ item: parsed.item, qty: qty ?? 1, equipped: !!parsed.equipped });
         }
     }
+    return items;
+}
 
-    if (/\b(hours?\s+later|next\s+(?:day|morning|afternoon|evening|night)|the\s+following\s+(?:day|morning)|woke?\s+up|awaken(?:ed)?|fell\s+asleep|overnight|days?\s+later|morning\s+comes?|morning\s+(?:light|came))\b/.test(t)) {
-        return r(60, 90);
-    }
-    if (/\b(walk(?:ed|s|ing)|ran\b|running|arriv(?:ed|es|ing)|depart(?:ed)|left\s+(?:the|a|her|his|their|your)\b|head(?:ed|ing)\s+(?:to\b|towards?\b|for\b|back\b)|travel(?:led|ing)?|drove\b|driv(?:es|ing)|riding|climb(?:ed|ing)|descend(?:ed|ing)|jogg(?:ed|ing)|march(?:ed|ing)|stroll(?:ed|ing)|wander(?:ed|ing))\b/.test(t)) {
-        return r(8, 15);
-    }
-    if (/\b(eat(?:ing|s|en)?|meal\b|dinner\b|lunch\b|breakfast\b|drink(?:ing)?|bath(?:ing)?|shower(?:ing)?|dress(?:ed|ing)\b|chang(?:ed|ing)\s+(?:into|out|clothes?)|groom(?:ing)?|cook(?:ing)?|prepar(?:ed|ing))\b/.test(t)) {
-        return r(12, 20);
+/**
+ * Turn the delta strings left by the parsers into inventories, starting
+ * from each character's inventory in `prev`.  Characters the model gave no
+ * inventory for keep their previous one.  Mutates and returns `data`.
+ */
+function resolveInventories(data, prev) {
+    if (!data?.characters || !isInventoryEnabled()) return data;
+    for (const c of data.characters) {
+        if (Array.isArray(c.inventory)) continue;
+        const old = (prev?.characters || []).find(o => sameName(o.name, c.name));
+        c.inventory = applyInventoryDelta(old?.inventory, c.inventory);
     }
-    // Default: scale by message length, with random variance in the 2-10 range
-    if (t.length > 600) return r(5, 10);
-    if (t.length > 300) return r(3, 8);
-    return r(2, 6);
+    return data;
 }
 
-// ── Heart-in-message extraction ───────────────────────────────
+/**
+ * Compact single-line form: "sword [E], torch x2".
+ */
+function formatInventory(inventory) {
+    return (Array.isArray(inventory) ? inventory : [])
+        .map(i => `${i.item}${i.qty > 1 ? ` x${i.qty}` : ''}${i.equipped ? ' [E]' : ''}`)
+        .join(', ');
+}
 
 /**
- * Scan raw message text for an inline heart meter value written by the AI
- * in a narrative format such as:
- *   "Black Heart (500) 🖤"   →  500
- *   "Purple Heart (12500) 💜" → 12500
- *   "🖤 (500)"               →  500
- *
- * Returns the integer value found, or null if nothing matches.
+ * The inventory entry of a character template, when inventory is tracked.
  */
-function extractHeartFromText(text) {
-    if (!text) return null;
+function inventoryTemplate() {
+    return isInventoryEnabled() ? { inventory: INVENTORY_HINT } : {};
+}
 
-    // Pattern 1: "<Color> Heart (6,500) <emoji>" — allow commas in the number
-    const named = text.match(/\b\w+\s+Heart\s*\(\s*([\d,]+)\s*\)/i);
-    if (named) return parseInt(named[1].replace(/,/g, ''), 10);
+// ── Relationships ─────────────────────────────────────────────
+//
+// With trackRelationships on, a tracker carries
+// `relationships: [{ from, to, label, score }]` — how `from` feels about `to`
+// (pairs are directed).  The model reports the pairs among characters in the
+// scene; resolveRelationships clamps each score against the previous tracker,
+// like clampHeart, and carries every other pair forward.
 
-    // Pattern 2: "<heart-emoji> (6,500)" — allow commas in the number
-    const emojied = text.match(/(?:🖤|💜|💙|💚|💛|🧡|❤️|❤)\s*\(\s*([\d,]+)\s*\)/);
-    if (emojied) return parseInt(emojied[1].replace(/,/g, ''), 10);
+const RELATIONSHIP_LABELS = ['trust', 'affection', 'rivalry'];
+const RELATIONSHIP_RANGE  = 100;
 
-    return null;
+function isRelationshipTrackingEnabled() {
+    return !!getSettings().trackRelationships;
+}
+
+function getRelationshipMaxShift() {
+    return Math.max(1, parseInt(getSettings().relationshipMaxShift, 10) || 10);
 }
 
 /**
- * Build a roster of all known character names + data from every tracker
- * in the chat, then return only those characters whose first name or
- * full name appears in the given message text.
- *
- * This avoids blindly cloning characters from previous trackers or
- * stale STTracker data — only characters actually mentioned in the
- * message text are included.
- *
- * @param {Array} chat   - The full chat array.
- * @param {number} mesId - Index of the message to scan.
- * @returns {Array|null}  Array of character objects found, or null if none.
+ * Shape one reported pair; null when it lacks two different names.
  */
-function detectCharactersInMessage(chat, mesId) {
-    const msg = chat[mesId];
-    if (!msg?.mes) return null;
-
-    const text = msg.mes;
+function normalizeRelationship(raw) {
+    const from = String(raw?.from ?? '').trim();
+    const to   = String(raw?.to   ?? '').trim();
+    if (!from || !to || sameName(from, to)) return null;
+    const score = parseInt(raw.score, 10);
+    return {
+        from, to,
+        label: String(raw.label ?? '').trim().toLowerCase(),
+        score: isNaN(score) ? null : Math.max(-RELATIONSHIP_RANGE, Math.min(RELATIONSHIP_RANGE, score)),
+    };
+}
 
-    // Build roster from all trackers in the chat (tt_tracker + raw STTracker).
-    // Merge character data so we keep the most complete version of each character
-    // (e.g. if Brian had a description in message #5 but not #18, we keep #5's).
-    const roster = new Map(); // name → character data (merged, non-empty fields win)
-    const mergeChar = (existing, incoming) => ({
-        name:        incoming.name,
-        description: incoming.description || existing.description || '',
-        outfit:      incoming.outfit      || existing.outfit      || '',
-        // State and position are scene-specific — do NOT carry over from
-        // other trackers. Only keep description and outfit (which are stable).
-        state:       '',
-        position:    '',
-    });
-    for (let i = 0; i < chat.length; i++) {
-        const tt = chat[i]?.extra?.tt_tracker;
-        if (tt?.characters) {
-            for (const c of tt.characters) {
-                if (!c.name) continue;
-                const prev = roster.get(c.name);
-                roster.set(c.name, prev ? mergeChar(prev, c) : { ...c });
-            }
-        }
-        const st = chat[i]?.tracker;
-        if (st && typeof st === 'object') {
-            const imported = convertSTTrackerToTT(st);
-            if (imported?.characters) {
-                for (const c of imported.characters) {
-                    if (!c.name) continue;
-                    const prev = roster.get(c.name);
-                    roster.set(c.name, prev ? mergeChar(prev, c) : { ...c });
-                }
-            }
-        }
+/**
+ * Parse one "from: A | to: B | label: trust | score: 40" line.
+ */
+function parseRelationshipLine(line) {
+    const raw = {};
+    for (const part of line.split('|')) {
+        const sep = part.indexOf(':');
+        if (sep !== -1) raw[normalizeFieldKey(part.slice(0, sep))] = part.slice(sep + 1).trim();
     }
+    return normalizeRelationship(raw);
+}
 
-    if (roster.size === 0) return null;
+function formatRelationshipLine(r) {
+    return `from: ${r.from} | to: ${r.to} | label: ${r.label || 'none'} | score: ${r.score ?? 0}`;
+}
 
-    // Match characters whose first name or full name appears in the message
-    const found = [];
-    for (const [name, charData] of roster) {
-        const firstName = name.split(/\s+/)[0];
-        // Use word boundary to avoid partial matches (e.g. "Roy" in "destroy")
-        const firstNameRe = new RegExp(`\\b${firstName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-        if (firstNameRe.test(text)) {
-            found.push({ ...charData });
-        }
+/**
+ * Clamp a reported score to within maxShift of the previous one.  A pair
+ * seen for the first time is only bounded to the score range.
+ */
+function clampRelationshipScore(rawValue, prevScore, maxShift) {
+    const val = parseInt(rawValue, 10);
+    if (prevScore === null || prevScore === undefined) {
+        return isNaN(val) ? 0 : Math.max(-RELATIONSHIP_RANGE, Math.min(RELATIONSHIP_RANGE, val));
     }
+    if (isNaN(val)) return prevScore;
+    const lo = Math.max(-RELATIONSHIP_RANGE, prevScore - maxShift);
+    const hi = Math.min(RELATIONSHIP_RANGE,  prevScore + maxShift);
+    return Math.max(lo, Math.min(hi, val));
+}
 
-    // Also include the main AI character (narrator) — they may not be named
-    // in their own text since it's written from their perspective
-    const ctx = getContext();
-    const charName = ctx.name2;
-    if (charName && !found.some(c => c.name === charName)) {
-        const charFirstName = charName.split(/\s+/)[0];
-        const charRe = new RegExp(`\\b${charFirstName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-        // For AI messages, always include the main character even if not named
-        // For user messages, only include if mentioned
-        if (!msg.is_user || charRe.test(text)) {
-            const rosterData = roster.get(charName);
-            if (rosterData) {
-                found.push({ ...rosterData });
-            } else {
-                found.push({ name: charName, description: '', outfit: '', state: '', position: '' });
-            }
+/**
+ * Merge the pairs the model reported into the previous tracker's graph.
+ * Mutates and returns `data`.
+ */
+function resolveRelationships(data, prev) {
+    if (!data || !isRelationshipTrackingEnabled()) return data;
+    const maxShift = getRelationshipMaxShift();
+    const graph = (prev?.relationships || []).map(r => ({ ...r }));
+    for (const r of data.relationships || []) {
+        const existing = graph.find(g => sameName(g.from, r.from) && sameName(g.to, r.to));
+        const score = clampRelationshipScore(r.score, existing?.score, maxShift);
+        if (existing) {
+            existing.score = score;
+            if (r.label) existing.label = r.label;
+        } else {
+            graph.push({ from: r.from, to: r.to, label: r.label, score });
         }
     }
+    data.relationships = graph;
+    return data;
+}
 
-    return found.length > 0 ? found : null;
+/**
+ * The pairs whose characters are both in the tracker's scene.
+ */
+function relationshipsInScene(tracker) {
+    const present = (tracker?.characters || []).map(c => c.name);
+    const inScene = name => present.some(n => sameName(n, name));
+    return (tracker?.relationships || []).filter(r => inScene(r.from) && inScene(r.to));
 }
 
 /**
- * Build a roster of ALL known characters from every tracker in the chat.
- * Returns a Map of name → { name, description, outfit } with the most
- * complete data merged across all trackers.  State/position are omitted
- * because they're scene-specific and shouldn't carry over.
+ * Prompt lines for the relationships in the tracker's scene, or [] when
+ * there are none or tracking is off.
  */
-function buildCharacterRoster(chat) {
-    const roster = new Map();
-    const merge = (existing, incoming) => ({
-        name:        incoming.name,
-        description: incoming.description || existing.description || '',
-        outfit:      incoming.outfit      || existing.outfit      || '',
-    });
-    for (let i = 0; i < chat.length; i++) {
-        const tt = chat[i]?.extra?.tt_tracker;
-        if (tt?.characters) {
-            for (const c of tt.characters) {
-                if (!c.name) continue;
-                const prev = roster.get(c.name);
-                roster.set(c.name, prev ? merge(prev, c) : { name: c.name, description: c.description || '', outfit: c.outfit || '' });
-            }
-        }
-        const st = chat[i]?.tracker;
-        if (st && typeof st === 'object') {
-            const imported = convertSTTrackerToTT(st);
-            if (imported?.characters) {
-                for (const c of imported.characters) {
-                    if (!c.name) continue;
-                    const prev = roster.get(c.name);
-                    roster.set(c.name, prev ? merge(prev, c) : { name: c.name, description: c.description || '', outfit: c.outfit || '' });
-                }
-            }
-        }
-    }
-    return roster;
+function formatRelationshipsForPrompt(tracker) {
+    const pairs = isRelationshipTrackingEnabled() ? relationshipsInScene(tracker) : [];
+    return pairs.length ? ['relationships:', ...pairs.map(r => `- ${formatRelationshipLine(r)}`)] : [];
+}
+
+function relationshipTemplate() {
+    return {
+        from:  'CharacterName',
+        to:    'OtherCharacterName',
+        label: RELATIONSHIP_LABELS.join(' / '),
+        score: `integer -${RELATIONSHIP_RANGE} to ${RELATIONSHIP_RANGE}`,
+    };
 }
 
 /**
- * Call generateQuietPrompt with a limited context window.
- * Temporarily splices ctx.chat so the AI only sees `windowSize` messages
- * ending at mesId (i.e. current message + previous messages).
- * No future messages leak into the context.
- *
- * The extension prompt is cleared before the call and restored after.
+ * Resolve the parts of freshly parsed model output that are reported as
+ * changes against the previous tracker.  Mutates and returns `data`.
  */
-async function generateWithLimitedContext(ctx, mesId, prompt, windowSize = 6) {
-    const savedAfter  = ctx.chat.splice(mesId + 1);
-    const trimStart   = Math.max(0, ctx.chat.length - windowSize);
-    const savedBefore = trimStart > 0 ? ctx.chat.splice(0, trimStart) : [];
+function resolveFromPrevious(data, prev) {
+    return resolveRelationships(resolveInventories(data, prev), prev);
+}
 
-    setExtensionPrompt(EXT_NAME, '', extension_prompt_types.BEFORE_PROMPT, 0);
-    try {
-        return await generateQuietPrompt(prompt, false, true);
-    } finally {
-        if (savedBefore.length) ctx.chat.splice(0, 0, ...savedBefore);
-        ctx.chat.push(...savedAfter);
-        injectPrompt(true);
-    }
+// ── Heart meter ───────────────────────────────────────────────
+
+/**
+ * Index into heartColors of the tier containing `points` (the top tier when
+ * the ranges leave a gap).
+ */
+function getHeartTier(points) {
+    const colors = getSettings().heartColors;
+    const idx = colors.findIndex(c => points >= c.min && points <= c.max);
+    return idx === -1 ? colors.length - 1 : idx;
+}
+
+function getHeartEmoji(points) {
+    return getSettings().heartColors[getHeartTier(points)].emoji;
 }
 
 /**
- * Try to extract a location from the message text by scanning for
- * movement/arrival phrases and room/building indicators.
- * Returns a location string or null if nothing clear was found.
- *
- * @param {string} text          - The message text to analyze.
- * @param {string} prevLocation  - The previous tracker's location (for context).
- * @returns {string|null}
+ * Clamp a new heart value so it cannot shift more than maxShift from prevHeart.
+ * Enforced in code regardless of what the AI outputs.
+ * All inputs are coerced to safe integers to guard against NaN from bad settings.
  */
+function clampHeart(rawValue, prevHeart, maxShift) {
+    const val   = parseInt(rawValue,  10);
+    const prev  = parseInt(prevHeart, 10) || 0;
+    const shift = Math.max(1, parseInt(maxShift, 10) || 2500);
+    if (isNaN(val)) return prev;
+    const lo = Math.max(0,     prev - shift);
+    const hi = Math.min(99999, prev + shift);
+    return Math.max(lo, Math.min(hi, val));
+}
+
 /**
- * Returns a signed integer delta.  All values are fractions of maxShift —
- * the absolute value of the return will NEVER exceed maxShift.
- *
- * Negative deltas are reserved for clearly hostile/antagonistic content.
- * Shy, embarrassed, or flustered behaviour is treated as positive (attraction).
+ * Clamp every character's heart against that character's value in the
+ * previous tracker.  Characters that omit a heart carry their previous value
+ * forward; characters seen for the first time are only bounded to 0–99,999.
  *
- * @param {string} text     - The message text to analyze.
- * @param {number} maxShift - Maximum allowed change (sensitivity * 500).
- * @returns {number} Signed delta to add to the previous heart value.
+ * The tracker-level heart and the main character ({{char}}) are kept in sync:
+ * a heart the AI reported for {{char}} wins, otherwise {{char}} inherits the
+ * tracker-level value.  Pass `trackerHeartWins` when the tracker-level heart
+ * came from a dedicated heart call and should override the AI's character line.
+ * Call this once the tracker-level heart is final.
+ * Mutates and returns `data`.  No-op unless perCharacterHeart is enabled.
  */
-function estimateHeartDelta(text, maxShift) {
-    const t = (text || '').toLowerCase();
-    const r = (min, max) => {
-        const lo = Math.round(Math.min(min, max));
-        const hi = Math.round(Math.max(min, max));
-        return lo + Math.floor(Math.random() * (hi - lo + 1));
-    };
-
-    // ── Major negative: betrayal, violence, deep hostility ──
-    // Only match unambiguously hostile actions
-    if (/\b(betray(?:ed|al|s|ing)?|murder(?:ed|s|ing)?|kill(?:ed|s|ing)?\s+(?:you|him|her|them|me)|abandon(?:ed|s|ing)?\s+(?:you|him|her|them|me)|hate[sd]?\s+(?:you|him|her|them|me)|despise[sd]?|loathe[sd]?|detest(?:ed|s|ing)?|sworn\s+enem|mortal\s+enem)\b/.test(t)) {
-        return -r(Math.round(maxShift * 0.7), maxShift);
+function applyCharacterHearts(data, prevTracker, maxShift, trackerHeartWins = false) {
+    if (!data || !getSettings().perCharacterHeart) return data;
+
+    const prevByName = new Map((prevTracker?.characters || []).map(c => [c.name, c]));
+    const reported   = new Set();
+    for (const c of (data.characters || [])) {
+        const prev    = prevByName.get(c.name)?.heart;
+        const hasPrev = prev !== null && prev !== undefined;
+        const raw     = parseInt(c.heart, 10);
+        if (isNaN(raw)) {
+            c.heart = hasPrev ? parseInt(prev, 10) || 0 : null;
+        } else {
+            c.heart = hasPrev ? clampHeart(raw, prev, maxShift) : Math.max(0, Math.min(99999, raw));
+            reported.add(c);
+        }
     }
 
-    // ── Moderate negative: arguments, insults, rejection ──
-    if (/\b(argu(?:ed|es|ing|ment)|insult(?:ed|s|ing)?|reject(?:ed|s|ion|ing)?|slap(?:ped|s)?\s+(?:you|him|her|them|me|across)|shov(?:ed|es|ing)\s+(?:you|him|her|them|me)|scold(?:ed|s|ing)?|yell(?:ed|s|ing)?\s+at|scream(?:ed|s|ing)?\s+at|disgust(?:ed)?\s+(?:by|with|at)|mock(?:ed|s|ing)?|ridicul(?:ed?|es|ing)?|sneer(?:ed|s|ing)?\s+at)\b/.test(t)) {
-        return -r(Math.round(maxShift * 0.4), Math.round(maxShift * 0.7));
+    const mainName = getContext()?.name2;
+    const main = (data.characters || []).find(c => c.name === mainName);
+    if (main) {
+        if (reported.has(main) && !trackerHeartWins) data.heart = main.heart;
+        else if (data.heart !== null && data.heart !== undefined) main.heart = parseInt(data.heart, 10) || 0;
     }
+    return data;
+}
 
-    // ── Mild negative: only clearly cold/hostile behaviour ──
-    // Excludes shyness, embarrassment, looking away from bashfulness, etc.
-    if (/\b(cold\s+shoulder|ignored?\s+(?:you|him|her|them)|storm(?:ed|s|ing)?\s+(?:out|off|away)|glare[sd]?\s+(?:at|toward)|scoff(?:ed|s|ing)?|hostil(?:e|ity)|bitter(?:ly)?\s+(?:said|spoke|replied|laughed|spat))\b/.test(t)) {
-        return -r(Math.round(maxShift * 0.2), Math.round(maxShift * 0.4));
-    }
+/**
+ * One prompt line per character in `tracker` stating its current heart and
+ * the range allowed for the next response.
+ */
+function formatCharacterHeartRanges(tracker, maxShift) {
+    return (tracker?.characters || []).map(c => {
+        const h = parseInt(c.heart, 10);
+        if (isNaN(h)) return `    - ${c.name}: not yet established — start near ${getChatSetting('defaultHeartValue') || 0}`;
+        return `    - ${c.name}: current ${h} → must be between ${Math.max(0, h - maxShift)} and ${Math.min(99999, h + maxShift)}`;
+    });
+}
 
-    // ── Major positive: confession, kiss, love, sacrifice ──
-    if (/\b(confess(?:ed|es|ion|ing)?(?:\s+(?:love|feelings?))?|kiss(?:ed|es|ing)?|lov(?:e[sd]?|ing)\s+you|i\s+love\s+you|marry|propos(?:ed|al|ing)|sacrific(?:ed?|ing)|sav(?:ed|es|ing)\s+(?:your|his|her|their|my)\s+life|embrac(?:ed?|es|ing)|caress(?:ed?|es|ing)|passionate(?:ly)?|soulmate|beloved|devot(?:ed|ion))\b/.test(t)) {
-        return r(Math.round(maxShift * 0.8), maxShift);
-    }
+// ── Calendars ─────────────────────────────────────────────────
 
-    // ── Moderate positive: affection, kindness, shy/flustered attraction ──
-    // Includes blushing, embarrassment, heart-pounding — these signal attraction
-    if (/\b(compliment(?:ed|s|ing)?|kind(?:ness|ly)?|hug(?:ged|s|ging)?|held?\s+hands?|hand\s+on\s+(?:shoulder|cheek|hand|arm)|lean(?:ed|s|ing)?\s+(?:against|on|into|closer)|blush(?:ed|es|ing)?|face\s+(?:burn|red|flush|heat)|ears?\s+(?:burn|red|flush)|heart\s+(?:pound|rac|flutter|skip|swell|beat(?:ing)?\s+fast)|flutter(?:ed|s|ing)?|butterfl(?:y|ies)|nervous(?:ly)?(?:\s+(?:laugh|smile|giggle))?|flustered|embarrass(?:ed|ment|ing)?|shy(?:ly)?|can'?t\s+(?:look|stop\s+(?:look|star|think))|protect(?:ed|s|ing)?|comfort(?:ed|s|ing)?|reassur(?:ed|es|ing)?|gentle|gently|soft(?:ly)?\s+(?:smil|touch|voice|whisper|spoke|said)|warm(?:ly|th)?|sweet(?:ly)?|car(?:ed?|ing)\s+(?:for|about)|worry(?:ing|ied)?\s+about|miss(?:ed)?\s+(?:you|him|her))\b/.test(t)) {
-        return r(Math.round(maxShift * 0.5), Math.round(maxShift * 0.8));
-    }
+const MINUTES_PER_DAY = 24 * 60;
 
-    // ── Mild positive: smiles, laughter, friendly interaction ──
-    if (/\b(smil(?:ed?|es|ing)|laugh(?:ed|s|ing)?|chuckl(?:ed?|es|ing)|giggl(?:ed?|es|ing)|grin(?:ned|s|ning)?|nod(?:ded|s|ding)?|wink(?:ed|s|ing)?|playful(?:ly)?|teas(?:ed?|es|ing)|jok(?:ed?|es|ing)|friendly|interest(?:ed|ing)?|curious(?:ly)?|cheerful(?:ly)?|enjoy(?:ed|s|ing)?|happy|happily|excite[ds]?|excited(?:ly)?|thank(?:ed|s|ful|ing)?)\b/.test(t)) {
-        return r(Math.round(maxShift * 0.3), Math.round(maxShift * 0.5));
-    }
+const GREGORIAN_WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
-    // ── Default: neutral/casual — small positive increase ──
-    return r(Math.round(maxShift * 0.2), Math.round(maxShift * 0.4));
+/**
+ * Built-in calendars.  Both use real Gregorian dates ("MM/DD/YYYY") and only
+ * differ in clock style.  User-defined calendars (settings.calendars) share
+ * the same shape:
+ *   clock    — '12h' ("9:10 PM") or '24h' ("21:10")
+ *   months   — [{ name, days }] in order; empty for a running day count ("Day 47")
+ *   weekdays — week-day names, cycled as days pass
+ *   era      — label written after the year or day count, e.g. "Third Age"
+ */
+const BUILTIN_CALENDARS = [
+    { id: 'gregorian', name: 'Gregorian (12-hour)', clock: '12h', gregorian: true },
+    { id: '24h',       name: 'Gregorian (24-hour)', clock: '24h', gregorian: true },
+];
+
+function getCalendars() {
+    const custom = (getSettings().calendars || []).filter(c => c.id && c.name);
+    return [...BUILTIN_CALENDARS, ...custom];
 }
 
 /**
- * Generate a heart value for an AI message.
- * Hybrid approach: tries an AI quiet prompt first, and if the AI returns
- * roleplay text instead of a valid integer, falls back to keyword heuristic.
- * Callers must handle clearing/restoring the extension prompt if needed.
+ * The calendar selected for the active chat (falls back to Gregorian when
+ * the selected one has been deleted).
  */
-async function generateHeartValue(msgText, prevHeart, maxShift) {
-    const prev  = parseInt(prevHeart, 10) || 0;
-    const shift = Math.max(1, parseInt(maxShift, 10) || 2500);
+function getActiveCalendar() {
+    const id = getChatSetting('calendar');
+    return getCalendars().find(c => c.id === id) || BUILTIN_CALENDARS[0];
+}
 
-    // Round to nearest 100 — all heart changes must be clean multiples of 100
-    const r100 = v => Math.round(v / 100) * 100;
+function calendarWeekdays(cal) {
+    return cal.weekdays?.length ? cal.weekdays : GREGORIAN_WEEKDAYS;
+}
 
-    // 1. Try extracting from inline text first (e.g. "Black Heart (500) 🖤")
-    const inline = extractHeartFromText(msgText);
-    if (inline !== null) {
-        ttDebug(`generateHeartValue: inline extraction → ${inline}`);
-        return r100(clampHeart(inline, prev, shift));
+/**
+ * Split a tracker time string into minutes since midnight and the date
+ * suffix that follows the clock.  Both "H:MM AM/PM" and "HH:MM[:SS]" are
+ * accepted whatever the calendar's own clock is, since imported and
+ * hand-edited trackers may use either.  Returns null if no clock is found.
+ */
+function parseClock(timeStr) {
+    const str = String(timeStr || '').trim();
+    const m = str.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)(.*)$/i);
+    if (m) {
+        let h = parseInt(m[1], 10);
+        const p = m[3].toUpperCase();
+        if (p === 'PM' && h !== 12) h += 12;
+        if (p === 'AM' && h === 12) h = 0;
+        return { minutes: h * 60 + parseInt(m[2], 10), seconds: null, style: '12h', rest: m[4] };
     }
+    const m2 = str.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?(.*)$/);
+    if (m2) {
+        return { minutes: parseInt(m2[1], 10) * 60 + parseInt(m2[2], 10), seconds: m2[3] ?? null, style: '24h', rest: m2[4] };
+    }
+    return null;
+}
 
-    // 2. Try AI call — ask for a signed integer delta
-    const prompt =
-`[OOC: Based on the following story excerpt, how does the character's romantic interest toward {{user}} change?
-Current heart value: ${prev} (scale: 0–99,999).
-Reply with ONLY a signed integer for the change amount. Must be a multiple of 100.
-Positive = warmer/friendlier feelings. Negative = colder/hostile feelings.
-The change MUST be between -${shift} and +${shift}.
-Casual conversation: +${r100(shift * 0.2)} to +${r100(shift * 0.4)}.
-Kind/friendly interaction: +${r100(shift * 0.3)} to +${r100(shift * 0.5)}.
-Meaningful positive interaction: +${r100(shift * 0.5)} to +${r100(shift * 0.8)}.
-Major emotional event: +${r100(shift * 0.8)} to +${r100(shift)}.
-Negative interaction: -${r100(shift * 0.2)} to -${r100(shift * 0.7)}.
-Reply with ONLY a signed integer like +${r100(shift * 0.3)} or -${r100(shift * 0.3)}. No other text.]
+function formatClock(minutes, style, seconds = null) {
+    const h  = Math.floor(minutes / 60);
+    const mm = String(minutes % 60).padStart(2, '0');
+    if (style === '24h') return `${String(h).padStart(2, '0')}:${mm}${seconds != null ? `:${seconds}` : ''}`;
+    return `${h % 12 || 12}:${mm} ${h >= 12 ? 'PM' : 'AM'}`;
+}
 
-"${(msgText || '').slice(0, 600)}"`;
+/**
+ * Replace the "(DayOfWeek)" in `text` with the week day `days` later.
+ * Unknown week-day names are left alone.
+ */
+function rotateWeekday(text, weekdays, days) {
+    return text.replace(/\(([^)]+)\)/, (whole, name) => {
+        const idx = weekdays.findIndex(w => w.toLowerCase() === name.trim().toLowerCase());
+        return idx === -1 ? whole : `(${weekdays[(idx + days) % weekdays.length]})`;
+    });
+}
 
-    try {
-        const response = await generateQuietPrompt(prompt, false, true);
-        ttDebug(`generateHeartValue: AI raw="${response.slice(0, 120)}"`);
-        const match = response.trim().match(/([+-]?\d{1,5})/);
-        if (match) {
-            let delta = parseInt(match[1], 10);
-            if (!isNaN(delta) && delta !== 0) {
-                delta = r100(Math.max(-shift, Math.min(shift, delta)));
-                const newVal = Math.max(0, Math.min(99900, prev + delta));
-                ttDebug(`generateHeartValue: AI delta=${delta > 0 ? '+' : ''}${delta} → ${r100(newVal)}`);
-                return r100(newVal);
-            }
-        }
-        ttDebug(`generateHeartValue: AI returned no valid integer, falling back to heuristic`);
-    } catch (e) {
-        ttDebug(`generateHeartValue: AI ERROR ${e.message}, falling back to heuristic`);
-    }
-
-    // 3. Heuristic fallback — keyword-based sentiment analysis
-    //    estimateHeartDelta already returns values within ±maxShift
-    const delta = r100(estimateHeartDelta(msgText, shift));
-    const newVal = r100(Math.max(0, Math.min(99900, prev + delta)));
-    ttDebug(`generateHeartValue: heuristic delta=${delta > 0 ? '+' : ''}${delta} → ${newVal} (maxShift=${shift})`);
-    return newVal;
+/**
+ * Matches a custom calendar's "<D> <Month>, <Year> <Era> (Weekday)" date
+ * suffix as [, prefix, day, month, year, rest].
+ */
+function calendarMonthDateRe(cal) {
+    const monthPat = cal.months.map(mo => mo.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    return new RegExp(`^(.*?;\\s*)(\\d{1,3})\\s+(${monthPat}),?\\s+(\\d+)(.*)$`, 'i');
 }
 
-// ── Tag parsing ───────────────────────────────────────────────
-
 /**
- * Parse a [TRACKER]...[/TRACKER] block from raw message text.
- * Handles both properly closed blocks and unclosed blocks (common with Claude
- * when generation gets cut off mid-tracker).
- * Returns null if no block is found.
+ * Advance the date suffix of a time string ("; <date> (DayOfWeek)") by
+ * `days` using the calendar's rules.  A running "Day N" count is understood
+ * by every calendar.  Unrecognised suffixes are returned unchanged.
  */
-function parseTrackerBlock(text) {
-    if (!text) return null;
-
-    // Try closed block first
-    let match = text.match(/\[TRACKER\]([\s\S]*?)\[\/TRACKER\]/i);
-
-    // If no closed block, try unclosed block (Claude often cuts off before [/TRACKER])
-    if (!match) {
-        match = text.match(/\[TRACKER\]([\s\S]*)/i);
-        if (match) {
-            ttDebug('parseTrackerBlock: found unclosed [TRACKER] block, parsing partial content');
-        }
-    }
-
-    if (!match) return null;
-
-    const result = { time: null, location: null, weather: null, heart: null, characters: [] };
-    const lines = match[1].split('\n');
-    let inChars = false;
-
-    for (const rawLine of lines) {
-        const line = rawLine.trim();
-        if (!line) continue;
-
-        if (/^characters\s*:/i.test(line)) {
-            inChars = true;
-            continue;
-        }
+function advanceCalendarDate(cal, suffix, days) {
+    if (days <= 0) return suffix;
 
-        if (inChars && line.startsWith('-')) {
-            const parts = line.slice(1).trim().split('|').map(p => p.trim());
-            const char = { name: '', description: '', outfit: '', state: '', position: '' };
-            for (const part of parts) {
-                const sep = part.indexOf(':');
-                if (sep === -1) continue;
-                const k = part.slice(0, sep).trim().toLowerCase();
-                const v = part.slice(sep + 1).trim();
-                if      (k === 'name')        char.name        = v;
-                else if (k === 'description') char.description = v;
-                else if (k === 'outfit')      char.outfit      = v;
-                else if (k === 'state')       char.state       = v;
-                else if (k === 'position')    char.position    = v;
-            }
-            if (char.name) result.characters.push(char);
-            continue;
+    if (cal.gregorian) {
+        const dm = suffix.match(/^(.*?;\s*)(\d{1,2})\/(\d{1,2})\/(\d{4})\s*\((\w+)\)(.*)/);
+        if (dm) {
+            const [, pre, mm, dd, yyyy, , post] = dm;
+            const d = new Date(parseInt(yyyy), parseInt(mm) - 1, parseInt(dd));
+            d.setDate(d.getDate() + days);
+            const newMM = String(d.getMonth() + 1).padStart(2, '0');
+            const newDD = String(d.getDate()).padStart(2, '0');
+            return `${pre}${newMM}/${newDD}/${d.getFullYear()} (${GREGORIAN_WEEKDAYS[d.getDay()]})${post}`;
         }
-
-        if (!line.startsWith('-')) inChars = false;
-
-        const sep = line.indexOf(':');
-        if (sep === -1) continue;
-        const key = line.slice(0, sep).trim().toLowerCase();
-        const val = line.slice(sep + 1).trim();
-        if      (key === 'time')     result.time     = val;
-        else if (key === 'location') result.location = val;
-        else if (key === 'weather')  result.weather  = val;
-        else if (key === 'heart') {
-            // Coerce to integer immediately — descriptive text (e.g. "Alice feels...") becomes null
-            const h = parseInt(val, 10);
-            result.heart = isNaN(h) ? null : h;
+    } else if (cal.months?.length) {
+        const dm = suffix.match(calendarMonthDateRe(cal));
+        if (dm) {
+            const [, pre, dd, monthName, yyyy, post] = dm;
+            const yearLen = cal.months.reduce((sum, mo) => sum + mo.days, 0);
+            let mi  = cal.months.findIndex(mo => mo.name.toLowerCase() === monthName.toLowerCase());
+            let doy = cal.months.slice(0, mi).reduce((sum, mo) => sum + mo.days, 0)
+                + Math.min(parseInt(dd, 10), cal.months[mi].days) - 1 + days;
+            const year = parseInt(yyyy, 10) + Math.floor(doy / yearLen);
+            doy %= yearLen;
+            for (mi = 0; doy >= cal.months[mi].days; mi++) doy -= cal.months[mi].days;
+            return `${pre}${doy + 1} ${cal.months[mi].name}, ${year}${rotateWeekday(post, calendarWeekdays(cal), days)}`;
         }
     }
 
-    return result;
+    const dc = suffix.match(/^(.*?;\s*Day\s+)(\d+)(.*)$/i);
+    if (dc) {
+        return `${dc[1]}${parseInt(dc[2], 10) + days}${rotateWeekday(dc[3], calendarWeekdays(cal), days)}`;
+    }
+    return suffix;
 }
 
-// ── SillyTavern-Tracker import ────────────────────────────────
-
 /**
- * Convert a SillyTavern-Tracker data object to our tt_tracker format.
+ * Where a date suffix falls in its calendar: `day` counts days from an
+ * arbitrary epoch and `dayOfYear` runs from 0 to `yearLength` - 1.  A
+ * running "Day N" count is read as 365-day years starting at Day 1.
+ * Returns null when the date isn't recognised.
  */
-function convertSTTrackerToTT(stData) {
-    if (!stData || typeof stData !== 'object') return null;
-
-    const result = {
-        time:       stData.Time     || stData.time     || null,
-        location:   stData.Location || stData.location || null,
-        weather:    stData.Weather  || stData.weather  || null,
-        heart:      null,
-        characters: [],
-    };
-
-    const charNames = Array.isArray(stData.CharactersPresent) ? stData.CharactersPresent
-                    : Array.isArray(stData.charactersPresent) ? stData.charactersPresent
-                    : [];
-
-    const charDetails = (stData.Characters && typeof stData.Characters === 'object' && !Array.isArray(stData.Characters))
-                      ? stData.Characters
-                      : (stData.characters && typeof stData.characters === 'object' && !Array.isArray(stData.characters))
-                      ? stData.characters
-                      : {};
-
-    for (const name of charNames) {
-        const d = charDetails[String(name)] || {};
-        result.characters.push({
-            name:        String(name),
-            description: d.Description || d.description || '',
-            outfit:      d.Outfit               || d.outfit   || '',
-            state:       d.StateOfDress         || d.State    || d.state    || '',
-            position:    d.PostureAndInteraction || d.Position || d.position || '',
-        });
+function calendarDayOf(cal, suffix) {
+    if (cal.gregorian) {
+        const dm = suffix.match(/;\s*(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+        if (dm) {
+            const [mm, dd, yyyy] = dm.slice(1).map(Number);
+            const utc = (y, m, d) => { const t = new Date(0); t.setUTCFullYear(y, m, d); return t.getTime() / 86400000; };
+            const day = utc(yyyy, mm - 1, dd);
+            return { day, dayOfYear: day - utc(yyyy, 0, 1), yearLength: utc(yyyy + 1, 0, 1) - utc(yyyy, 0, 1) };
+        }
+    } else if (cal.months?.length) {
+        const dm = suffix.match(calendarMonthDateRe(cal));
+        if (dm) {
+            const yearLength = cal.months.reduce((sum, mo) => sum + mo.days, 0);
+            const mi = cal.months.findIndex(mo => mo.name.toLowerCase() === dm[3].toLowerCase());
+            const dayOfYear = cal.months.slice(0, mi).reduce((sum, mo) => sum + mo.days, 0)
+                + Math.min(parseInt(dm[2], 10), cal.months[mi].days) - 1;
+            return { day: parseInt(dm[4], 10) * yearLength + dayOfYear, dayOfYear, yearLength };
+        }
     }
 
-    if (result.time || result.location || result.weather || result.characters.length > 0) {
-        return result;
+    const dc = suffix.match(/;\s*Day\s+(\d+)/i);
+    if (dc) {
+        const day = parseInt(dc[1], 10) - 1;
+        return { day, dayOfYear: day % 365, yearLength: 365 };
     }
     return null;
 }
 
 /**
- * Try to import tracker data from SillyTavern-Tracker format.
+ * Time format shown as the field placeholder and template hint.
  */
-function tryImportSTTracker(msg) {
-    if (msg.tracker && typeof msg.tracker === 'object' && Object.keys(msg.tracker).length > 0) {
-        return convertSTTrackerToTT(msg.tracker);
-    }
-
-    const textMatch = (msg.mes || '').match(/<tracker>([\s\S]*?)<\/tracker>/i);
-    if (textMatch) {
-        try {
-            const data = JSON.parse(textMatch[1].trim());
-            return convertSTTrackerToTT(data);
-        } catch (_) { /* not valid JSON */ }
-    }
+function calendarTimeFormat(cal = getActiveCalendar()) {
+    const clock = cal.clock === '24h' ? 'HH:MM' : 'h:MM AM/PM';
+    const era   = cal.era ? ` ${cal.era}` : '';
+    if (cal.gregorian)      return `${clock}; MM/DD/YYYY (DayOfWeek)`;
+    if (cal.months?.length) return `${clock}; D Month, Year${era} (DayOfWeek)`;
+    return `${clock}; Day N${cal.era ? `,${era}` : ''} (DayOfWeek)`;
+}
 
-    return null;
+function calendarTimePrompt(cal = getActiveCalendar()) {
+    if (cal.gregorian) return `${cal.clock === '24h' ? 'HH:MM' : 'h:MM AM/PM'}; story-appropriate date (DayOfWeek)`;
+    return `${calendarTimeFormat(cal)} in the ${cal.name} calendar`;
 }
 
 /**
- * Find the most recent tt_tracker in chat messages before the given index.
+ * Calendar-specific lines for the TIME RULES section of the prompt,
+ * including the worked examples.
  */
-function getMostRecentTracker(chat, beforeMesId) {
-    for (let i = beforeMesId - 1; i >= 0; i--) {
-        if (chat[i]?.extra?.tt_tracker) return chat[i].extra.tt_tracker;
+function calendarPromptRules(cal = getActiveCalendar(), examples = true) {
+    if (cal.gregorian) {
+        if (!examples) return "  • The date must match the story's setting (historical period, sci-fi year, etc.) and always use MM/DD/YYYY.";
+        const ex = cal.clock === '24h'
+            ? ['"21:10; 01/20/2031 (Monday)"', '"20:10; 10/04/1452 (Monday)"']
+            : ['"9:10 PM; 01/20/2031 (Monday)"', '"8:10 PM; 10/04/1452 (Monday)"'];
+        return `  • The date must match the story's setting (historical period, sci-fi year, etc.) and always use MM/DD/YYYY.
+
+  Correct examples (fictional — not real-world dates):
+    Sci-fi:     ${ex[0]}
+    Historical: ${ex[1]}`;
     }
-    return null;
+
+    const weekdays = calendarWeekdays(cal);
+    const clock    = formatClock(23 * 60 + 30, cal.clock);
+    const lines = [`  • Dates use the ${cal.name} calendar — never Gregorian months or years.`];
+    let example;
+    if (cal.months?.length) {
+        lines.push(`  • Months in order: ${cal.months.map(mo => `${mo.name} (${mo.days} days)`).join(', ')}.`);
+        example = `${clock}; ${Math.min(14, cal.months[0].days)} ${cal.months[0].name}, 1024${cal.era ? ` ${cal.era}` : ''} (${weekdays[0]})`;
+    } else {
+        lines.push('  • The date is a running day count that goes up by one each in-story day.');
+        example = `${clock}; Day 47${cal.era ? `, ${cal.era}` : ''} (${weekdays[0]})`;
+    }
+    lines.push(`  • Week days in order: ${weekdays.join(', ')}.`);
+    if (!examples) return lines.join('\n');
+    return `${lines.join('\n')}
+
+  Correct example:
+    "${example}"`;
 }
 
 /**
- * Scan backwards for the nearest raw STTracker time string.
- * Checks both msg.tracker.Time / msg.tracker.time fields.
+ * Parse a tracker time string into total minutes since midnight.
+ * Returns null if no clock is recognised.
  */
-function getMostRecentSTTrackerTime(chat, beforeMesId) {
-    for (let i = beforeMesId - 1; i >= 0; i--) {
-        const t = chat[i]?.tracker;
-        if (t && typeof t === 'object') {
-            const time = t.Time || t.time;
-            if (time) return String(time);
-        }
-    }
-    return null;
+function parseTimeToMinutes(timeStr) {
+    if (!timeStr) return null;
+    return parseClock(timeStr)?.minutes ?? null;
 }
 
 /**
- * Returns { trackerText, prevHeart, prevTime } for use in generation prompts.
- * Compares the message index of the nearest tt_tracker vs the nearest raw STTracker
- * time to determine which is more recent, and uses that as the time anchor.
- * This prevents stale STTracker times (from earlier messages) from overriding
- * a more recent AI-generated tracker time, while still using STTracker times
- * when they come from a message that appeared after the last tt_tracker.
+ * Advance a tracker time string by the given minutes, rolling the date
+ * suffix forward through the active calendar when midnight is crossed.
+ * The clock keeps the style it was written in.  If the format isn't
+ * recognised, the original string is returned unmodified.
  */
-function getBestPrevContext(chat, beforeMesId) {
-    // Find the most recent tt_tracker and the message index it came from
-    let ttTracker = null;
-    let ttIdx = -1;
-    for (let i = beforeMesId - 1; i >= 0; i--) {
-        if (chat[i]?.extra?.tt_tracker) {
-            ttTracker = chat[i].extra.tt_tracker;
-            ttIdx = i;
-            break;
-        }
-    }
-
-    // Find the most recent raw STTracker time and the message index it came from
-    let stTime = null;
-    let stIdx = -1;
-    for (let i = beforeMesId - 1; i >= 0; i--) {
-        const t = chat[i]?.tracker;
-        if (t && typeof t === 'object') {
-            const time = t.Time || t.time;
-            if (time) { stTime = String(time); stIdx = i; break; }
-        }
-    }
-
-    ttDebug(`getBestPrevCtx before #${beforeMesId}: ttIdx=${ttIdx}${ttTracker ? ` time="${ttTracker.time}"` : ''} stIdx=${stIdx} stTime=${stTime || 'null'}`);
-
-    // Choose the time anchor: use whichever source comes from a MORE RECENT message.
-    // stTime wins only if its message appears AFTER the tt_tracker message.
-    // This avoids old STTracker times overriding newer AI-generated tracker times.
-    const prevTime = (stIdx > ttIdx && stTime) ? stTime
-                   : (!isBlankValue(ttTracker?.time)) ? ttTracker.time
-                   : stTime || null;
+function advanceTimeString(timeStr, minutes, cal = getActiveCalendar()) {
+    if (!timeStr) return timeStr;
 
-    if (ttTracker) {
-        // Patch the tracker with prevTime if its own time is blank
-        const patched = !isBlankValue(ttTracker.time) ? ttTracker : { ...ttTracker, time: prevTime };
-        // If this tracker has a heart value, use it. Otherwise scan further back
-        // to find any tracker with a non-null heart — ST-Tracker imports store
-        // null hearts, so the nearest tracker may not have one.
-        let prevHeart = null;
-        if (ttTracker.heart !== null && ttTracker.heart !== undefined) {
-            prevHeart = parseInt(ttTracker.heart, 10);
-        } else {
-            for (let i = ttIdx - 1; i >= 0; i--) {
-                const h = chat[i]?.extra?.tt_tracker?.heart;
-                if (h !== null && h !== undefined) {
-                    prevHeart = parseInt(h, 10);
-                    break;
-                }
-            }
-        }
-        return {
-            trackerText: formatTrackerForPrompt(patched),
-            prevHeart,
-            prevTime,
-        };
+    const clock = parseClock(timeStr);
+    if (!clock) {
+        ttDebug(`advanceTime: no-match for "${timeStr}"`);
+        return timeStr;
     }
 
-    // No tt_tracker at all — build minimal context from raw STTracker data
-    if (stTime) {
-        const synth = { time: stTime, location: null, weather: null, heart: null, characters: [] };
-        for (let i = beforeMesId - 1; i >= 0; i--) {
-            const t = chat[i]?.tracker;
-            if (t && typeof t === 'object' && Object.keys(t).length > 0) {
-                const imported = convertSTTrackerToTT(t);
-                if (imported) {
-                    synth.location   = imported.location;
-                    synth.weather    = imported.weather;
-                    synth.characters = imported.characters;
-                }
-                break;
-            }
-        }
-        return { trackerText: formatTrackerForPrompt(synth), prevHeart: 0, prevTime: stTime };
-    }
+    const total    = clock.minutes + minutes;
+    const daysOver = Math.floor(total / MINUTES_PER_DAY);
+    const rest     = daysOver > 0 ? advanceCalendarDate(cal, clock.rest, daysOver) : clock.rest;
 
-    return { trackerText: 'None', prevHeart: 0, prevTime: null };
+    const result = `${formatClock(total % MINUTES_PER_DAY, clock.style, clock.seconds)}${rest}`;
+    ttDebug(`advanceTime [${cal.id}]: "${timeStr}" +${minutes}min → "${result}"`);
+    return result;
 }
 
 /**
- * Format a tt_tracker object as plain text for use in AI prompts.
+ * Parse a time field value that the AI returned as a minute offset.
+ * Accepts plain integers or "N minutes" / "N min" formats.
+ * Returns the integer if valid (1–1440 minutes), or null if it looks like
+ * a real clock time or anything else we can't use as a minute count.
  */
-function formatTrackerForPrompt(data) {
-    if (!data) return 'None';
-    const heartDisplay = (data.heart !== null && data.heart !== undefined)
-        ? parseInt(data.heart, 10) || 0
-        : 'unknown (not yet established)';
-    let text = `time: ${data.time || 'Unknown'}\nlocation: ${data.location || 'Unknown'}\nweather: ${data.weather || 'Unknown'}\nheart: ${heartDisplay}`;
-    if (data.characters && data.characters.length > 0) {
-        text += '\ncharacters:';
-        for (const c of data.characters) {
-            text += `\n- name: ${c.name} | description: ${c.description} | outfit: ${c.outfit} | state: ${c.state} | position: ${c.position}`;
-        }
-    }
-    return text;
+function parseMinuteOffset(val) {
+    if (!val) return null;
+    const m = String(val).trim().match(/^(\d+)\s*(?:minutes?|min|m)?$/i);
+    if (!m) return null;
+    const n = parseInt(m[1], 10);
+    return (n >= 1 && n <= 1440) ? n : null;
 }
 
-// ── HTML helpers ──────────────────────────────────────────────
-
-function esc(text) {
-    if (text == null) return '';
-    return String(text)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;');
-}
+// Phrases that mark an explicit time skip in (lower-cased) narrative text
+const TIME_SKIP_RE = /\b(hours?\s+later|next\s+(?:day|morning|afternoon|evening|night)|the\s+following\s+(?:day|morning)|woke?\s+up|awaken(?:ed)?|fell\s+asleep|overnight|days?\s+later|morning\s+comes?|morning\s+(?:light|came))\b/;
 
 /**
- * Build the full tracker UI for a message.
+ * Estimate the number of in-story minutes that likely pass during a message,
+ * based on keywords in the message text.  Used as a heuristic fallback when
+ * the AI does not return a valid integer minute offset.
+ *
+ * Priority order:
+ *   1. Explicit long time skip keywords → 90 min
+ *   2. Travel / movement keywords       → 10 min
+ *   3. Meals / grooming / tasks         → 15 min
+ *   4. Default casual exchange          → 3–5 min scaled by message length
  */
-function buildTrackerHtml(data, mesId, isUser = false) {
+function estimateMinutesFromContent(text, prevTimeStr) {
+    const t = (text || '').toLowerCase();
+    const r = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+
+    // ── Previous time as 24h hours + minutes ──
+    const prevClock  = parseClock(prevTimeStr);
+    const prevHour24 = prevClock ? Math.floor(prevClock.minutes / 60) : null;
+    const prevMinute = prevClock ? prevClock.minutes % 60 : 0;
+
+    // ── Explicit time mentions — highest priority ──
+    // If the text contains a specific time ("6:50", "seven o'clock", "at 7 AM"),
+    // compute the exact minutes from prevTime to that stated time.
+    if (prevHour24 !== null) {
+        let explicitHour = null;
+        let explicitMin = 0;
+
+        // Digital times with context: "it's 6:50", "at 7:00", "watch...6:50"
+        const digitalCtx = t.match(/(?:it(?:'s| is| was)\s+|at\s+(?:exactly\s+|precisely\s+|about\s+)?|around\s+|by\s+|watch[^.]{0,30}?)(\d{1,2}):(\d{2})(?:\s*(am|pm))?/i);
+        // Digital with AM/PM (no context needed): "6:50 AM", "7:00 PM"
+        const digitalAMPM = !digitalCtx ? t.match(/(\d{1,2}):(\d{2})\s*(am|pm)/i) : null;
+        const dMatch = digitalCtx || digitalAMPM;
+
+        if (dMatch) {
+            explicitHour = parseInt(dMatch[1], 10);
+            explicitMin = parseInt(dMatch[2], 10);
+            if (dMatch[3]) {
+                const p = dMatch[3].toLowerCase();
+                if (p === 'pm' && explicitHour !== 12) explicitHour += 12;
+                if (p === 'am' && explicitHour === 12) explicitHour = 0;
+            }
+            // No AM/PM — for hours 1-12, context determines AM/PM
+            // If prev is evening/night and explicit hour is small → next day AM
+        }
+
+        // Written times: "at seven o'clock", "at exactly seven", "at seven thirty"
+        if (explicitHour === null) {
+            const wordNums = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+                seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+                noon: 12, midnight: 0 };
+            const wordPat = Object.keys(wordNums).join('|');
+            const wordRe = new RegExp(
+                `(?:at\\s+(?:exactly\\s+|precisely\\s+|about\\s+|around\\s+)?)(${wordPat})(?:\\s+(o'?clock|thirty|fifteen|forty[- ]?five))?(?:\\s+(am|pm))?`,
+                'i'
+            );
+            const wMatch = t.match(wordRe);
+            if (wMatch) {
+                explicitHour = wordNums[wMatch[1].toLowerCase()];
+                if (wMatch[2]) {
+                    const sfx = wMatch[2].toLowerCase().replace(/[-\s]/g, '');
+                    if (sfx === 'thirty') explicitMin = 30;
+                    else if (sfx === 'fifteen') explicitMin = 15;
+                    else if (sfx === 'fortyfive') explicitMin = 45;
+                }
+                if (wMatch[3]) {
+                    const p = wMatch[3].toLowerCase();
+                    if (p === 'pm' && explicitHour !== 12) explicitHour += 12;
+                    if (p === 'am' && explicitHour === 12) explicitHour = 0;
+                }
+            }
+        }
+
+        if (explicitHour !== null && explicitHour >= 0 && explicitHour < 24) {
+            const prevTotal = prevHour24 * 60 + prevMinute;
+            const targetTotal = explicitHour * 60 + explicitMin;
+            let diff = targetTotal - prevTotal;
+            if (diff <= -120) diff += 24 * 60; // Overnight wrap
+            if (diff > 0) {
+                ttDebug(`estimateMinutes: explicit time ${explicitHour}:${String(explicitMin).padStart(2, '0')} from prev ${prevHour24}:${String(prevMinute).padStart(2, '0')} → ${diff}min`);
+                return diff;
+            }
+        }
+    }
+
+    // ── Time-of-day keywords — jump to the stated time of day ──
+    // Only jump if the previous time is NOT already within the relevant
+    // time-of-day range. "Good morning" at 6:50 AM is just a greeting,
+    // not a cue to jump forward. Only jump when the time is clearly in
+    // a different part of the day (e.g. midnight → morning, noon → evening).
+    if (prevHour24 !== null) {
+        // "evening" / "dusk" / "sunset" → ~17:00-18:00 (skip if already 15-20)
+        if (/\b(?:the\s+)?evening\b(?:\s+(?:air|sky|sun|light|breeze|chill|glow|hours?))?/.test(t) ||
+            /\b(?:dusk|sunset|sundown)\b/.test(t)) {
+            const target = r(17, 18);
+            if (!(prevHour24 >= 15 && prevHour24 <= 20)) {
+                if (prevHour24 < target) {
+                    return (target - prevHour24) * 60 + r(0, 30);
+                } else if (prevHour24 >= 22) {
+                    return (24 - prevHour24 + target) * 60 + r(0, 30);
+                }
+            }
+        }
+        // "afternoon" → ~13:00-15:00 (skip if already 11-16)
+        if (/\b(?:the\s+)?afternoon\b(?:\s+(?:sun|light|heat|breeze|hours?))?/.test(t)) {
+            const target = r(13, 15);
+            if (!(prevHour24 >= 11 && prevHour24 <= 16)) {
+                if (prevHour24 < target) {
+                    return (target - prevHour24) * 60 + r(0, 30);
+                } else if (prevHour24 >= 20) {
+                    return (24 - prevHour24 + target) * 60 + r(0, 30);
+                }
+            }
+        }
+        // "morning" / "dawn" / "sunrise" / "awaken" / "wake up" → ~7:00-9:00 (skip if already 5-10)
+        if (/\b(?:the\s+)?(?:morning|dawn|sunrise)\b/.test(t) ||
+            /\b(?:awaken(?:ed|s|ing)?|wak(?:e[sd]?|ing)\s+up|woke\s+up)\b/.test(t)) {
+            const target = r(7, 9);
+            if (!(prevHour24 >= 5 && prevHour24 <= 10)) {
+                if (prevHour24 < target) {
+                    return (target - prevHour24) * 60 + r(0, 30);
+                } else if (prevHour24 >= 17) {
+                    return (24 - prevHour24 + target) * 60 + r(0, 30);
+                }
+            }
+        }
+        // "night" / "midnight" / "late at night" → ~21:00-23:00 (skip if already 19+)
+        if (/\b(?:the\s+)?(?:night(?:\s+(?:air|sky|breeze))?|midnight|late\s+at\s+night)\b/.test(t)) {
+            const target = r(21, 23);
+            if (!(prevHour24 >= 19)) {
+                if (prevHour24 < target) {
+                    return (target - prevHour24) * 60 + r(0, 30);
+                }
+            }
+        }
+    }
+
+    if (TIME_SKIP_RE.test(t)) {
+        return r(60, 90);
+    }
+    if (/\b(walk(?:ed|s|ing)|ran\b|running|arriv(?:ed|es|ing)|depart(?:ed)|left\s+(?:the|a|her|his|their|your)\b|head(?:ed|ing)\s+(?:to\b|towards?\b|for\b|back\b)|travel(?:led|ing)?|drove\b|driv(?:es|ing)|riding|climb(?:ed|ing)|descend(?:ed|ing)|jogg(?:ed|ing)|march(?:ed|ing)|stroll(?:ed|ing)|wander(?:ed|ing))\b/.test(t)) {
+        return r(8, 15);
+    }
+    if (/\b(eat(?:ing|s|en)?|meal\b|dinner\b|lunch\b|breakfast\b|drink(?:ing)?|bath(?:ing)?|shower(?:ing)?|dress(?:ed|ing)\b|chang(?:ed|ing)\s+(?:into|out|clothes?)|groom(?:ing)?|cook(?:ing)?|prepar(?:ed|ing))\b/.test(t)) {
+        return r(12, 20);
+    }
+    // Default: scale by message length, with random variance in the 2-10 range
+    if (t.length > 600) return r(5, 10);
+    if (t.length > 300) return r(3, 8);
+    return r(2, 6);
+}
+
+// ── Weather engine ────────────────────────────────────────────
+
+/**
+ * Climate profiles for the weather engine.  Temperatures are in °F:
+ *   mean        — yearly average
+ *   seasonal    — swing either side of the mean, midwinter to midsummer
+ *   diurnal     — swing either side of it, pre-dawn low to afternoon high
+ *   variability — drift either side from one day to the next
+ *   wetness     — roughly how often it rains or snows (0–1)
+ *   cloudiness  — how overcast dry spells tend to be (0–1)
+ * 'custom' takes its numbers from settings.weatherCustomClimate.
+ */
+const CLIMATE_PROFILES = {
+    temperate: { name: 'Temperate', mean: 52, seasonal: 20, diurnal: 9,  variability: 7, wetness: 0.3,  cloudiness: 0.5  },
+    desert:    { name: 'Desert',    mean: 72, seasonal: 16, diurnal: 22, variability: 5, wetness: 0.04, cloudiness: 0.15 },
+    tropical:  { name: 'Tropical',  mean: 80, seasonal: 3,  diurnal: 8,  variability: 3, wetness: 0.45, cloudiness: 0.6  },
+    arctic:    { name: 'Arctic',    mean: 12, seasonal: 24, diurnal: 5,  variability: 9, wetness: 0.2,  cloudiness: 0.65 },
+    custom:    { name: 'Custom' },
+};
+
+const WEATHER_FEELS = [[20, 'bitterly cold'], [40, 'cold'], [55, 'cool'], [72, 'mild'], [85, 'warm'], [Infinity, 'hot']];
+
+const WEATHER_REASON_HINT = 'empty unless the story itself changes the weather — then the reason';
+
+function isWeatherEngineEnabled() {
+    return !!getSettings().weatherEngine;
+}
+
+function getClimateProfile(id) {
+    if (id === 'custom') return { ...CLIMATE_PROFILES.temperate, ...getSettings().weatherCustomClimate, name: 'Custom' };
+    return CLIMATE_PROFILES[id] || CLIMATE_PROFILES.temperate;
+}
+
+/**
+ * The climate for a tracker location: the longest of the chat's location
+ * keywords found in it, else the chat's default climate.  `seed` keeps
+ * places that share a climate from sharing their weather.
+ */
+function climateForLocation(location) {
+    const loc   = String(location || '').toLowerCase();
+    const match = (getChatState().climates || [])
+        .filter(c => c.location && loc.includes(c.location.toLowerCase()))
+        .sort((a, b) => b.location.length - a.location.length)[0];
+    const id = match?.profile || getChatSetting('weatherClimate') || 'temperate';
+    return { id, seed: `${id}|${match ? match.location.toLowerCase() : ''}`, profile: getClimateProfile(id) };
+}
+
+/**
+ * Deterministic value in [0, 1) for one whole step of a named noise stream.
+ */
+function weatherHash(seed, step) {
+    let h = 2166136261;
+    for (const ch of `${seed}:${step}`) h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+    h = Math.imul(h ^ (h >>> 15), 2246822507);
+    h ^= h >>> 13;
+    return (h >>> 0) / 4294967296;
+}
+
+/**
+ * Smooth noise in [0, 1): seeded values at whole steps, eased in between so
+ * the weather drifts rather than jumps from one message to the next.
+ */
+function weatherNoise(seed, t) {
+    const i = Math.floor(t);
+    const f = (1 - Math.cos(Math.PI * (t - i))) / 2;
+    return weatherHash(seed, i) * (1 - f) + weatherHash(seed, i + 1) * f;
+}
+
+/**
+ * Simulated weather for a tracker time and location, e.g.
+ * "Light rain, breezy, cool, 48°F" (in the preferred unit).  The same time and place always give
+ * the same weather.  Temperature follows a seasonal curve (coldest in the
+ * middle of the first month) and a daily one (low at 4 AM, high at 4 PM)
+ * plus seeded drift.  Returns null when the time has no readable date.
+ */
+function proposeWeather(timeStr, location, cal = getActiveCalendar()) {
+    const clock = parseClock(timeStr);
+    const date  = clock && calendarDayOf(cal, clock.rest);
+    if (!date) return null;
+
+    const { seed, profile: p } = climateForLocation(location);
+    const dayFrac = clock.minutes / MINUTES_PER_DAY;
+    const t       = date.day + dayFrac;
+    const season  = -Math.cos(2 * Math.PI * (date.dayOfYear + dayFrac - 15) / date.yearLength);
+    const diurnal = -Math.cos(2 * Math.PI * (dayFrac - 4 / 24));
+    const temp    = Math.round(p.mean + p.seasonal * season + p.diurnal * diurnal
+        + p.variability * (2 * weatherNoise(`${seed}|temp`, t / 2) - 1));
+
+    const wet   = weatherNoise(`${seed}|wet`, t * 2);
+    const cloud = weatherNoise(`${seed}|cloud`, t * 3) + (p.cloudiness - 0.5) * 0.6 + wet * 0.2;
+    const wind  = weatherNoise(`${seed}|wind`, t * 4);
+    const hour  = Math.floor(clock.minutes / 60);
+
+    let sky;
+    if (wet > 1 - p.wetness) {
+        const strength = (wet - (1 - p.wetness)) / p.wetness;
+        const amount   = strength > 0.66 ? 'Heavy' : strength > 0.33 ? 'Steady' : 'Light';
+        if (temp <= 32)                          sky = `${amount} snow`;
+        else if (temp <= 36)                     sky = `${amount} sleet`;
+        else if (temp >= 75 && strength > 0.66)  sky = 'Thunderstorm';
+        else                                     sky = `${amount} rain`;
+    } else if (hour >= 4 && hour < 9 && wet > 1 - p.wetness * 1.6 && wind < 0.5) {
+        sky = 'Fog';
+    } else if (cloud > 0.7) {
+        sky = 'Overcast';
+    } else if (cloud > 0.45) {
+        sky = 'Partly cloudy';
+    } else {
+        sky = hour < 6 || hour >= 20 ? 'Clear night' : 'Sunny';
+    }
+
+    const breeze = wind > 0.82 ? 'windy' : wind > 0.65 ? 'breezy' : '';
+    const feel   = WEATHER_FEELS.find(([max]) => temp <= max)[1];
+    return [sky, breeze, feel, formatTemperature(temp)].filter(Boolean).join(', ');
+}
+
+/**
+ * Give a tracker the engine's weather unless the model explained why the
+ * story overrides it in `weather_reason`.  Mutates and returns `data`.
+ */
+function applyWeatherEngine(data) {
+    if (!data || !isWeatherEngineEnabled()) return data;
+
+    const reason = String(data.weather_reason ?? '').trim();
+    if (!isBlankValue(reason) && !/^(none|n\/a|-)$/i.test(reason) && reason !== WEATHER_REASON_HINT) {
+        data.weather_reason = reason;
+        ttDebug(`weather: kept "${data.weather}" — ${reason}`);
+        return data;
+    }
+    delete data.weather_reason;
+
+    const proposed = proposeWeather(data.time, data.location);
+    if (proposed) {
+        if (proposed !== data.weather) ttDebug(`weather: "${data.weather}" → "${proposed}"`);
+        data.weather = proposed;
+    }
+    return data;
+}
+
+/**
+ * Prompt rule for the weather field while the engine is on.
+ */
+function weatherPromptRule(tracker) {
+    const forecast = proposeWeather(tracker?.time, tracker?.location);
+    return `  • Weather is simulated from the clock and the local climate${forecast ? ` (right now: "${forecast}")` : ''} and filled in for you. Only when the story itself changes the weather — a spell, a storm the narrative describes — write your weather and give the reason in weather_reason; repeat the reason for as long as that cause lasts.\n`;
+}
+
+// ── Units ─────────────────────────────────────────────────────
+
+const TEMPERATURE_UNITS = { F: '°F', C: '°C' };
+const DISTANCE_UNITS    = { mi: 'miles', km: 'kilometres' };
+const KM_PER_MILE       = 1.609344;
+
+// "65°F", "18 °C", "20 degrees Celsius", "40 fahrenheit" — see parseTemperatures
+const TEMPERATURE_RE = /(-?\d+(?:\.\d+)?)(\s*°\s*|\s*degrees?\s+|\s*)(fahrenheit|celsius|f|c)\b/gi;
+// "3 km", "12 miles", "1.5 kilometers"
+const DISTANCE_RE    = /(\d+(?:\.\d+)?)\s*(km|kilomet(?:er|re)s?|mi|miles?)\b/gi;
+
+function getTemperatureUnit() {
+    return getSettings().temperatureUnit === 'C' ? 'C' : 'F';
+}
+
+function getDistanceUnit() {
+    return getSettings().distanceUnit === 'km' ? 'km' : 'mi';
+}
+
+function convertTemperature(value, from, to) {
+    if (from === to) return value;
+    return to === 'C' ? (value - 32) * 5 / 9 : value * 9 / 5 + 32;
+}
+
+/**
+ * A °F temperature written in the preferred unit, e.g. "18°C".
+ */
+function formatTemperature(fahrenheit) {
+    const unit = getTemperatureUnit();
+    return `${Math.round(convertTemperature(fahrenheit, 'F', unit))}${TEMPERATURE_UNITS[unit]}`;
+}
+
+/**
+ * Each temperature in a string as { value, unit, text }.  A bare F or C
+ * only counts after "°" or "degrees" — "Room 4F" and "Apt 3C" are not
+ * temperatures.
+ */
+function parseTemperatures(str) {
+    return [...String(str ?? '').matchAll(TEMPERATURE_RE)]
+        .filter(([, , sep, unit]) => unit.length > 1 || /°|degree/i.test(sep))
+        .map(([text, num, , unit]) => ({ value: parseFloat(num), unit: unit[0].toUpperCase(), text }));
+}
+
+/**
+ * The temperature in a tracker's weather in the preferred unit, e.g. "18°C",
+ * or '' when the weather doesn't state one.
+ */
+function trackerTemperature(tracker) {
+    const temp = parseTemperatures(tracker?.weather)[0];
+    if (!temp) return '';
+    const unit = getTemperatureUnit();
+    return `${Math.round(convertTemperature(temp.value, temp.unit, unit))}${TEMPERATURE_UNITS[unit]}`;
+}
+
+/**
+ * Rewrite the temperatures and distances in a tracker value in the
+ * preferred units for display.  Values already in those units, and text
+ * without any, come back unchanged.
+ */
+function localizeUnits(str) {
+    const tUnit = getTemperatureUnit();
+    const dUnit = getDistanceUnit();
+    const temps = new Map(parseTemperatures(str).map(t => [t.text, t]));
+    return String(str ?? '')
+        .replace(TEMPERATURE_RE, whole => {
+            const t = temps.get(whole);
+            if (!t || t.unit === tUnit) return whole;
+            return `${Math.round(convertTemperature(t.value, t.unit, tUnit))}${TEMPERATURE_UNITS[tUnit]}`;
+        })
+        .replace(DISTANCE_RE, (whole, num, unit) => {
+            const from = /^k/i.test(unit) ? 'km' : 'mi';
+            if (from === dUnit) return whole;
+            const value = parseFloat(num) * (dUnit === 'km' ? KM_PER_MILE : 1 / KM_PER_MILE);
+            return `${value < 10 ? Math.round(value * 10) / 10 : Math.round(value)} ${dUnit}`;
+        });
+}
+
+/**
+ * Prompt rule asking for the preferred units.
+ */
+function unitsPromptRule() {
+    return `  • Units: temperatures in ${TEMPERATURE_UNITS[getTemperatureUnit()]}, distances in ${DISTANCE_UNITS[getDistanceUnit()]}.\n`;
+}
+
+// ── Heart-in-message extraction ───────────────────────────────
+
+/**
+ * Scan raw message text for an inline heart meter value written by the AI
+ * in a narrative format such as:
+ *   "Black Heart (500) 🖤"   →  500
+ *   "Purple Heart (12500) 💜" → 12500
+ *   "🖤 (500)"               →  500
+ *
+ * Returns the integer value found, or null if nothing matches.
+ */
+function extractHeartFromText(text) {
+    if (!text) return null;
+
+    // Pattern 1: "<Color> Heart (6,500) <emoji>" — allow commas in the number
+    const named = text.match(/\b\w+\s+Heart\s*\(\s*([\d,]+)\s*\)/i);
+    if (named) return parseInt(named[1].replace(/,/g, ''), 10);
+
+    // Pattern 2: "<heart-emoji> (6,500)" — allow commas in the number
+    const emojied = text.match(/(?:🖤|💜|💙|💚|💛|🧡|❤️|❤)\s*\(\s*([\d,]+)\s*\)/);
+    if (emojied) return parseInt(emojied[1].replace(/,/g, ''), 10);
+
+    return null;
+}
+
+/**
+ * Build a roster of all known character names + data from every tracker
+ * in the chat, then return only those characters the given message text
+ * mentions (see mentionsCharacter).
+ *
+ * This avoids blindly cloning characters from previous trackers or
+ * stale STTracker data — only characters actually mentioned in the
+ * message text are included.
+ *
+ * @param {Array} chat   - The full chat array.
+ * @param {number} mesId - Index of the message to scan.
+ * @returns {Array|null}  Array of character objects found, or null if none.
+ */
+function detectCharactersInMessage(chat, mesId) {
+    const msg = chat[mesId];
+    if (!msg?.mes) return null;
+
+    const text = msg.mes;
+
+    // Build roster from all trackers in the chat (tt_tracker + raw STTracker).
+    // Merge character data so we keep the most complete version of each character
+    // (e.g. if Brian had a description in message #5 but not #18, we keep #5's).
+    const roster = new Map(); // name → character data (merged, non-empty fields win)
+    const mergeChar = (existing, incoming) => ({
+        name:        incoming.name,
+        description: incoming.description || existing.description || '',
+        outfit:      incoming.outfit      || existing.outfit      || '',
+        // State and position are scene-specific — do NOT carry over from
+        // other trackers. Only keep description and outfit (which are stable).
+        state:       '',
+        position:    '',
+    });
+    for (let i = 0; i < chat.length; i++) {
+        const tt = chat[i]?.extra?.tt_tracker;
+        if (tt?.characters) {
+            for (const c of tt.characters) {
+                if (!c.name) continue;
+                const prev = roster.get(c.name);
+                roster.set(c.name, prev ? mergeChar(prev, c) : { ...c });
+            }
+        }
+        const st = chat[i]?.tracker;
+        if (st && typeof st === 'object') {
+            const imported = convertSTTrackerToTT(st);
+            if (imported?.characters) {
+                for (const c of imported.characters) {
+                    if (!c.name) continue;
+                    const prev = roster.get(c.name);
+                    roster.set(c.name, prev ? mergeChar(prev, c) : { ...c });
+                }
+            }
+        }
+    }
+    applySavedRoster(roster);
+
+    if (roster.size === 0) return null;
+
+    // Match characters by name, first name, surname or alias
+    const found = [];
+    for (const [name, charData] of roster) {
+        if (mentionsCharacter(text, name)) {
+            found.push({ ...charData });
+        }
+    }
+
+    // Also include the main AI character (narrator) — they may not be named
+    // in their own text since it's written from their perspective
+    const ctx = getContext();
+    const charName = findRosterEntry(ctx.name2)?.name || ctx.name2;
+    if (charName && !found.some(c => c.name === charName)) {
+        // For AI messages, always include the main character even if not named
+        // For user messages, only include if mentioned
+        if (!msg.is_user || mentionsCharacter(text, charName)) {
+            const rosterData = roster.get(charName);
+            if (rosterData) {
+                found.push({ ...rosterData });
+            } else {
+                found.push({ name: charName, description: '', outfit: '', state: '', position: '' });
+            }
+        }
+    }
+
+    return found.length > 0 ? found : null;
+}
+
+// Derived first names / surnames shorter than this are too ambiguous to match
+// on their own (a full name or alias always matches).
+const MIN_NAME_PART_LENGTH = 3;
+
+/**
+ * Every term that refers to a character: the full name, the first name,
+ * the surname (when matchSurnames is on) and the roster entry's aliases.
+ */
+function characterNameTerms(name) {
+    const entry = findRosterEntry(name);
+    const terms = [name, entry?.name, ...(entry?.aliases || [])];
+    for (const full of [name, entry?.name].filter(Boolean)) {
+        const words = String(full).trim().split(/\s+/);
+        const parts = [words[0]];
+        if (getSettings().matchSurnames && words.length > 1) parts.push(words[words.length - 1]);
+        terms.push(...parts.filter(p => p.length >= MIN_NAME_PART_LENGTH));
+    }
+    return [...new Set(terms.filter(Boolean).map(t => String(t).trim()).filter(Boolean))];
+}
+
+/**
+ * Whether `text` mentions a character.  Terms only match as whole words
+ * (so "Roy" is not found in "destroy"), and the roster entry's exclusion
+ * phrases are blanked out first (so "will be" doesn't count as Will).
+ */
+function mentionsCharacter(text, name) {
+    const wordRe = (term, flags) => new RegExp(`(?<![\\w'])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?!\\w)`, flags);
+    let hay = String(text || '');
+    for (const phrase of findRosterEntry(name)?.exclude || []) {
+        if (phrase.trim()) hay = hay.replace(wordRe(phrase.trim(), 'gi'), ' ');
+    }
+    return characterNameTerms(name).some(term => wordRe(term, 'i').test(hay));
+}
+
+/**
+ * Build a roster of ALL known characters from every tracker in the chat.
+ * Returns a Map of name → { name, description, outfit } with the most
+ * complete data merged across all trackers, overlaid with the chat's saved
+ * roster.  State/position are omitted because they're scene-specific and
+ * shouldn't carry over.
+ */
+function buildCharacterRoster(chat) {
+    const roster = new Map();
+    const merge = (existing, incoming) => ({
+        name:        incoming.name,
+        description: incoming.description || existing.description || '',
+        outfit:      incoming.outfit      || existing.outfit      || '',
+    });
+    for (let i = 0; i < chat.length; i++) {
+        const tt = chat[i]?.extra?.tt_tracker;
+        if (tt?.characters) {
+            for (const c of tt.characters) {
+                if (!c.name) continue;
+                const prev = roster.get(c.name);
+                roster.set(c.name, prev ? merge(prev, c) : { name: c.name, description: c.description || '', outfit: c.outfit || '' });
+            }
+        }
+        const st = chat[i]?.tracker;
+        if (st && typeof st === 'object') {
+            const imported = convertSTTrackerToTT(st);
+            if (imported?.characters) {
+                for (const c of imported.characters) {
+                    if (!c.name) continue;
+                    const prev = roster.get(c.name);
+                    roster.set(c.name, prev ? merge(prev, c) : { name: c.name, description: c.description || '', outfit: c.outfit || '' });
+                }
+            }
+        }
+    }
+    return applySavedRoster(roster);
+}
+
+// Context window for the quiet call in flight; applied by the interceptor below
+let quietWindow = null;
+
+/**
+ * Call generateQuietPrompt with a limited context window.
+ * The AI only sees `windowSize` messages ending at mesId (i.e. current
+ * message + previous messages), so no future messages leak into the
+ * context. With `excerpt` set, mesId's text is replaced by it.
+ *
+ * The window is applied by turboTrackerInterceptor to SillyTavern's copy
+ * of the chat — ctx.chat and the messages themselves are never touched,
+ * so a save or a new generation during the call sees the full chat.
+ *
+ * The extension prompt is cleared before the call and restored after.
+ */
+async function generateWithLimitedContext(ctx, mesId, prompt, windowSize = 6, excerpt = null) {
+    // The interceptor's chat has no system messages; count only the rest
+    const end = ctx.chat.slice(0, mesId + 1).filter(m => !m.is_system).length;
+    quietWindow = { end, windowSize, excerpt };
+
+    clearTrackerPrompt();
+    try {
+        return await generateQuietPrompt(prompt, false, true);
+    } finally {
+        quietWindow = null;
+        injectPrompt(true);
+    }
+}
+
+/**
+ * Generation interceptor (manifest `generate_interceptor`). Trims the
+ * prompt chat of a generateWithLimitedContext call to its window.
+ * `chat` is SillyTavern's own array, so splicing it is safe; the excerpted
+ * message is replaced with a copy because the entries are shared.
+ */
+globalThis.turboTrackerInterceptor = function (chat, _contextSize, _abort, type) {
+    if (type !== 'quiet' || !quietWindow) return;
+    const { end, windowSize, excerpt } = quietWindow;
+    chat.splice(end);
+    chat.splice(0, Math.max(0, chat.length - windowSize));
+    if (excerpt !== null && chat.length) chat[chat.length - 1] = { ...chat[chat.length - 1], mes: excerpt };
+};
+
+/**
+ * Try to extract a location from the message text by scanning for
+ * movement/arrival phrases and room/building indicators.
+ * Returns a location string or null if nothing clear was found.
+ *
+ * @param {string} text          - The message text to analyze.
+ * @param {string} prevLocation  - The previous tracker's location (for context).
+ * @returns {string|null}
+ */
+/**
+ * Returns a signed integer delta.  All values are fractions of maxShift —
+ * the absolute value of the return will NEVER exceed maxShift.
+ *
+ * Negative deltas are reserved for clearly hostile/antagonistic content.
+ * Shy, embarrassed, or flustered behaviour is treated as positive (attraction).
+ *
+ * @param {string} text     - The message text to analyze.
+ * @param {number} maxShift - Maximum allowed change (sensitivity * 500).
+ * @returns {number} Signed delta to add to the previous heart value.
+ */
+function estimateHeartDelta(text, maxShift) {
+    const t = (text || '').toLowerCase();
+    const r = (min, max) => {
+        const lo = Math.round(Math.min(min, max));
+        const hi = Math.round(Math.max(min, max));
+        return lo + Math.floor(Math.random() * (hi - lo + 1));
+    };
+
+    // ── Major negative: betrayal, violence, deep hostility ──
+    // Only match unambiguously hostile actions
+    if (/\b(betray(?:ed|al|s|ing)?|murder(?:ed|s|ing)?|kill(?:ed|s|ing)?\s+(?:you|him|her|them|me)|abandon(?:ed|s|ing)?\s+(?:you|him|her|them|me)|hate[sd]?\s+(?:you|him|her|them|me)|despise[sd]?|loathe[sd]?|detest(?:ed|s|ing)?|sworn\s+enem|mortal\s+enem)\b/.test(t)) {
+        return -r(Math.round(maxShift * 0.7), maxShift);
+    }
+
+    // ── Moderate negative: arguments, insults, rejection ──
+    if (/\b(argu(?:ed|es|ing|ment)|insult(?:ed|s|ing)?|reject(?:ed|s|ion|ing)?|slap(?:ped|s)?\s+(?:you|him|her|them|me|across)|shov(?:ed|es|ing)\s+(?:you|him|her|them|me)|scold(?:ed|s|ing)?|yell(?:ed|s|ing)?\s+at|scream(?:ed|s|ing)?\s+at|disgust(?:ed)?\s+(?:by|with|at)|mock(?:ed|s|ing)?|ridicul(?:ed?|es|ing)?|sneer(?:ed|s|ing)?\s+at)\b/.test(t)) {
+        return -r(Math.round(maxShift * 0.4), Math.round(maxShift * 0.7));
+    }
+
+    // ── Mild negative: only clearly cold/hostile behaviour ──
+    // Excludes shyness, embarrassment, looking away from bashfulness, etc.
+    if (/\b(cold\s+shoulder|ignored?\s+(?:you|him|her|them)|storm(?:ed|s|ing)?\s+(?:out|off|away)|glare[sd]?\s+(?:at|toward)|scoff(?:ed|s|ing)?|hostil(?:e|ity)|bitter(?:ly)?\s+(?:said|spoke|replied|laughed|spat))\b/.test(t)) {
+        return -r(Math.round(maxShift * 0.2), Math.round(maxShift * 0.4));
+    }
+
+    // ── Major positive: confession, kiss, love, sacrifice ──
+    if (/\b(confess(?:ed|es|ion|ing)?(?:\s+(?:love|feelings?))?|kiss(?:ed|es|ing)?|lov(?:e[sd]?|ing)\s+you|i\s+love\s+you|marry|propos(?:ed|al|ing)|sacrific(?:ed?|ing)|sav(?:ed|es|ing)\s+(?:your|his|her|their|my)\s+life|embrac(?:ed?|es|ing)|caress(?:ed?|es|ing)|passionate(?:ly)?|soulmate|beloved|devot(?:ed|ion))\b/.test(t)) {
+        return r(Math.round(maxShift * 0.8), maxShift);
+    }
+
+    // ── Moderate positive: affection, kindness, shy/flustered attraction ──
+    // Includes blushing, embarrassment, heart-pounding — these signal attraction
+    if (/\b(compliment(?:ed|s|ing)?|kind(?:ness|ly)?|hug(?:ged|s|ging)?|held?\s+hands?|hand\s+on\s+(?:shoulder|cheek|hand|arm)|lean(?:ed|s|ing)?\s+(?:against|on|into|closer)|blush(?:ed|es|ing)?|face\s+(?:burn|red|flush|heat)|ears?\s+(?:burn|red|flush)|heart\s+(?:pound|rac|flutter|skip|swell|beat(?:ing)?\s+fast)|flutter(?:ed|s|ing)?|butterfl(?:y|ies)|nervous(?:ly)?(?:\s+(?:laugh|smile|giggle))?|flustered|embarrass(?:ed|ment|ing)?|shy(?:ly)?|can'?t\s+(?:look|stop\s+(?:look|star|think))|protect(?:ed|s|ing)?|comfort(?:ed|s|ing)?|reassur(?:ed|es|ing)?|gentle|gently|soft(?:ly)?\s+(?:smil|touch|voice|whisper|spoke|said)|warm(?:ly|th)?|sweet(?:ly)?|car(?:ed?|ing)\s+(?:for|about)|worry(?:ing|ied)?\s+about|miss(?:ed)?\s+(?:you|him|her))\b/.test(t)) {
+        return r(Math.round(maxShift * 0.5), Math.round(maxShift * 0.8));
+    }
+
+    // ── Mild positive: smiles, laughter, friendly interaction ──
+    if (/\b(smil(?:ed?|es|ing)|laugh(?:ed|s|ing)?|chuckl(?:ed?|es|ing)|giggl(?:ed?|es|ing)|grin(?:ned|s|ning)?|nod(?:ded|s|ding)?|wink(?:ed|s|ing)?|playful(?:ly)?|teas(?:ed?|es|ing)|jok(?:ed?|es|ing)|friendly|interest(?:ed|ing)?|curious(?:ly)?|cheerful(?:ly)?|enjoy(?:ed|s|ing)?|happy|happily|excite[ds]?|excited(?:ly)?|thank(?:ed|s|ful|ing)?)\b/.test(t)) {
+        return r(Math.round(maxShift * 0.3), Math.round(maxShift * 0.5));
+    }
+
+    // ── Default: neutral/casual — small positive increase ──
+    return r(Math.round(maxShift * 0.2), Math.round(maxShift * 0.4));
+}
+
+/**
+ * Generate a heart value for an AI message.
+ * Hybrid approach: tries an AI quiet prompt first, and if the AI returns
+ * roleplay text instead of a valid integer, falls back to keyword heuristic.
+ * Callers must handle clearing/restoring the extension prompt if needed.
+ */
+async function generateHeartValue(msgText, prevHeart, maxShift) {
+    const prev  = parseInt(prevHeart, 10) || 0;
+    const shift = Math.max(1, parseInt(maxShift, 10) || 2500);
+
+    // Round to nearest 100 — all heart changes must be clean multiples of 100
+    const r100 = v => Math.round(v / 100) * 100;
+
+    // 1. Try extracting from inline text first (e.g. "Black Heart (500) 🖤")
+    const inline = extractHeartFromText(msgText);
+    if (inline !== null) {
+        ttDebug(`generateHeartValue: inline extraction → ${inline}`);
+        return r100(clampHeart(inline, prev, shift));
+    }
+
+    // 2. Try AI call — ask for a signed integer delta
+    const prompt = renderPromptTemplate('heart', {
+        heart_value: prev,
+        max_shift:   shift,
+        heart_guide: [
+            `Casual conversation: +${r100(shift * 0.2)} to +${r100(shift * 0.4)}.`,
+            `Kind/friendly interaction: +${r100(shift * 0.3)} to +${r100(shift * 0.5)}.`,
+            `Meaningful positive interaction: +${r100(shift * 0.5)} to +${r100(shift * 0.8)}.`,
+            `Major emotional event: +${r100(shift * 0.8)} to +${r100(shift)}.`,
+            `Negative interaction: -${r100(shift * 0.2)} to -${r100(shift * 0.7)}.`,
+        ].join('\n'),
+        example_delta: r100(shift * 0.3),
+        excerpt:       (msgText || '').slice(0, 600),
+    });
+
+    try {
+        const response = await generateQuietPrompt(prompt, false, true);
+        ttDebug(`generateHeartValue: AI raw="${response.slice(0, 120)}"`);
+        const match = response.trim().match(/([+-]?\d{1,5})/);
+        if (match) {
+            let delta = parseInt(match[1], 10);
+            if (!isNaN(delta) && delta !== 0) {
+                delta = r100(Math.max(-shift, Math.min(shift, delta)));
+                const newVal = Math.max(0, Math.min(99900, prev + delta));
+                ttDebug(`generateHeartValue: AI delta=${delta > 0 ? '+' : ''}${delta} → ${r100(newVal)}`);
+                return r100(newVal);
+            }
+        }
+        ttDebug(`generateHeartValue: AI returned no valid integer, falling back to heuristic`);
+    } catch (e) {
+        ttDebug(`generateHeartValue: AI ERROR ${e.message}, falling back to heuristic`);
+    }
+
+    // 3. Heuristic fallback — keyword-based sentiment analysis
+    //    estimateHeartDelta already returns values within ±maxShift
+    const delta = r100(estimateHeartDelta(msgText, shift));
+    const newVal = r100(Math.max(0, Math.min(99900, prev + delta)));
+    ttDebug(`generateHeartValue: heuristic delta=${delta > 0 ? '+' : ''}${delta} → ${newVal} (maxShift=${shift})`);
+    return newVal;
+}
+
+// ── Tag parsing ───────────────────────────────────────────────
+
+/**
+ * Parse a [TRACKER]...[/TRACKER] block from raw message text.
+ * Handles both properly closed blocks and unclosed blocks (common with Claude
+ * when generation gets cut off mid-tracker).
+ * Returns null if no block is found.
+ */
+function parseTrackerBlock(text) {
+    if (!text) return null;
+
+    // Try closed block first
+    let match = text.match(/\[TRACKER\]([\s\S]*?)\[\/TRACKER\]/i);
+
+    // If no closed block, try unclosed block (Claude often cuts off before [/TRACKER])
+    if (!match) {
+        match = text.match(/\[TRACKER\]([\s\S]*)/i);
+        if (match) {
+            ttDebug('parseTrackerBlock: found unclosed [TRACKER] block, parsing partial content');
+        }
+    }
+
+    if (!match) return null;
+
+    const sceneFields = getSceneFields();
+    const result = { heart: null, characters: [] };
+    for (const f of sceneFields) result[f.key] = f.type === 'list' ? [] : null;
+    const lines = match[1].split('\n');
+
+    // "- " lines belong to the list section opened by the last header;
+    // sections whose tracking is off are skipped.
+    const listSections = {
+        characters:    { enabled: true, parse: l => { const c = parseCharacterLine(l); return c.name ? c : null; } },
+        relationships: { enabled: isRelationshipTrackingEnabled(), parse: parseRelationshipLine },
+        quests:        { enabled: isQuestTrackingEnabled(),        parse: parseQuestLine },
+    };
+    let section = null;
+
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        const header = line.match(/^(characters|relationships|quests)\s*:/i);
+        if (header) {
+            const name = header[1].toLowerCase();
+            section = listSections[name].enabled ? name : null;
+            if (section) result[section] = result[section] || [];
+            continue;
+        }
+
+        if (section && line.startsWith('-')) {
+            const entry = listSections[section].parse(line.slice(1).trim());
+            if (entry) result[section].push(entry);
+            continue;
+        }
+
+        if (!line.startsWith('-')) section = null;
+
+        const sep = line.indexOf(':');
+        if (sep === -1) continue;
+        const key = line.slice(0, sep).trim();
+        const val = line.slice(sep + 1).trim();
+        if (normalizeFieldKey(key) === 'weather_reason') {
+            if (isWeatherEngineEnabled()) result.weather_reason = val;
+            continue;
+        }
+        if (normalizeFieldKey(key) === 'heart') {
+            // Coerce to integer immediately — descriptive text (e.g. "Alice feels...") becomes null
+            const h = parseInt(val, 10);
+            result.heart = isNaN(h) ? null : h;
+            continue;
+        }
+        const field = findField(sceneFields, key);
+        if (field) result[field.key] = coerceFieldValue(field, val);
+    }
+
+    return result;
+}
+
+// ── Structured output formats ─────────────────────────────────
+
+const TRACKER_FORMATS = ['text', 'json', 'xml'];
+
+// Every format's block, closed or cut off mid-generation.  All formats are
+// always stripped so switching the setting never leaves raw blocks behind.
+// Bare JSON objects can't be delimited by a regex — see stripBareTrackerJson.
+const TRACKER_BLOCK_PATTERNS = [
+    /\[TRACKER\][\s\S]*?(?:\[\/TRACKER\]|$)/gi,
+    /```(?:json)?\s*\{\s*"tracker"\s*:[\s\S]*?(?:```|$)/gi,
+    /<tracker>[\s\S]*?(?:<\/tracker>|$)/gi,
+];
+
+const BARE_TRACKER_JSON_RE = /\{\s*"tracker"\s*:/g;
+
+function getTrackerFormat() {
+    const format = getSettings().outputFormat;
+    return TRACKER_FORMATS.includes(format) ? format : 'text';
+}
+
+/**
+ * inline   — the main reply ends with the tracker block (the prompt is injected).
+ * separate — nothing is injected; a quiet generation builds the tracker after
+ *            the reply renders, so the reply itself is never touched.
+ * hybrid   — inline, falling back to the separate call when no block parses.
+ */
+const GENERATION_MODES = ['inline', 'separate', 'hybrid'];
+
+function getGenerationMode() {
+    const mode = getSettings().generationMode;
+    return GENERATION_MODES.includes(mode) ? mode : 'inline';
+}
+
+/**
+ * How prompts refer to the block the model must output.
+ */
+function trackerBlockName() {
+    return {
+        text: '[TRACKER]...[/TRACKER] block',
+        json: '```json tracker object',
+        xml:  '<tracker>...</tracker> element',
+    }[getTrackerFormat()];
+}
+
+function hasTrackerBlock(text) {
+    return /\[TRACKER\]|\{\s*"tracker"\s*:|<tracker>/i.test(text || '');
+}
+
+function stripTrackerBlocks(text) {
+    return stripBareTrackerJson(TRACKER_BLOCK_PATTERNS.reduce((t, re) => t.replace(re, ''), String(text || ''))).trim();
+}
+
+/**
+ * Index just past the JSON object opening at `start` (braces inside strings
+ * don't count), or -1 when the object is never closed.
+ */
+function findJsonObjectEnd(str, start) {
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < str.length; i++) {
+        const ch = str[i];
+        if (inString) {
+            if (ch === '\\') i++;
+            else if (ch === '"') inString = false;
+        } else if (ch === '"') {
+            inString = true;
+        } else if (ch === '{') {
+            depth++;
+        } else if (ch === '}' && --depth === 0) {
+            return i + 1;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Remove unfenced `{"tracker": …}` objects.  A closed object is removed on
+ * its own, so prose after it survives; one cut off mid-generation is
+ * removed through the end of the text.
+ */
+function stripBareTrackerJson(text) {
+    let out = text;
+    for (let start = out.search(BARE_TRACKER_JSON_RE); start !== -1; start = out.search(BARE_TRACKER_JSON_RE)) {
+        const end = findJsonObjectEnd(out, start);
+        if (end === -1) return out.slice(0, start);
+        out = out.slice(0, start) + out.slice(end);
+    }
+    return out;
+}
+
+/**
+ * Remove tracker output from a rendered message.  Markdown and sanitising
+ * mangle JSON/XML blocks beyond what a regex can match, so the text is
+ * re-rendered from msg.mes with blocks of every format stripped — older
+ * messages may still carry one written before the format was switched.
+ */
+function stripRenderedTracker(mesText, msg, mesId) {
+    mesText.html(messageFormatting(stripTrackerBlocks(msg.mes), msg.name, msg.is_system, msg.is_user, mesId));
+}
+
+const isPlainValue = v => v == null || ['string', 'number', 'boolean'].includes(typeof v)
+    || (Array.isArray(v) && v.every(x => x == null || typeof x !== 'object'));
+
+/**
+ * Validate a parsed JSON/XML tracker against the field registry and shape it
+ * like parseTrackerBlock's result.  Keys may be field keys or labels; unknown
+ * keys and values of the wrong shape are dropped.  Returns null when `obj`
+ * holds no tracker fields at all or `characters` isn't a list.
+ */
+function normalizeTrackerObject(obj) {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return null;
+
+    const sceneFields = getSceneFields();
+    const charFields  = getCharacterFields();
+    const result = { heart: null, characters: [] };
+    for (const f of sceneFields) result[f.key] = f.type === 'list' ? [] : null;
+    let known = 0;
+
+    for (const [rawKey, value] of Object.entries(obj)) {
+        const key = normalizeFieldKey(rawKey);
+        if (key === 'heart') {
+            const h = parseInt(value, 10);
+            result.heart = isNaN(h) ? null : h;
+            known++;
+            continue;
+        }
+        if (key === 'weather_reason') {
+            if (isWeatherEngineEnabled() && isPlainValue(value)) result.weather_reason = String(value ?? '');
+            continue;
+        }
+        if (key === 'relationships') {
+            if (isRelationshipTrackingEnabled() && Array.isArray(value)) {
+                result.relationships = value.map(normalizeRelationship).filter(Boolean);
+            }
+            continue;
+        }
+        if (key === 'quests') {
+            if (isQuestTrackingEnabled() && Array.isArray(value)) {
+                result.quests = value.map(normalizeQuestUpdate).filter(Boolean);
+            }
+            continue;
+        }
+        if (key === 'characters') {
+            if (!Array.isArray(value)) {
+                ttDebug('normalizeTrackerObject: "characters" is not a list — rejected');
+                return null;
+            }
+            for (const raw of value) {
+                const name = typeof raw?.name === 'string' ? raw.name.trim() : '';
+                if (!name) continue;
+                const char = emptyCharacter(name);
+                for (const [k, v] of Object.entries(raw)) {
+                    if (normalizeFieldKey(k) === 'inventory') {
+                        if (isInventoryEnabled() && isPlainValue(v)) char.inventory = Array.isArray(v) ? v.join(', ') : String(v ?? '');
+                        continue;
+                    }
+                    const field = findField(charFields, k);
+                    if (field && isPlainValue(v)) char[field.key] = coerceFieldValue(field, v);
+                }
+                result.characters.push(char);
+            }
+            known++;
+            continue;
+        }
+        const field = findField(sceneFields, rawKey);
+        if (field && isPlainValue(value)) {
+            result[field.key] = coerceFieldValue(field, value);
+            known++;
+        }
+    }
+
+    return known ? result : null;
+}
+
+/**
+ * Parse a `{"tracker": {...}}` object, fenced or bare, from raw text.
+ */
+function parseTrackerJson(text) {
+    const str = String(text || '');
+    let candidate = null;
+    for (const m of str.matchAll(/```(?:json)?\s*([\s\S]*?)(?:```|$)/gi)) {
+        if (/^\{\s*"tracker"\s*:/.test(m[1].trim())) {
+            candidate = m[1].trim();
+            break;
+        }
+    }
+    if (!candidate) {
+        const start = str.search(BARE_TRACKER_JSON_RE);
+        if (start === -1) return null;
+        const end = findJsonObjectEnd(str, start);
+        candidate = str.slice(start, end === -1 ? str.length : end);
+    }
+
+    let obj;
+    try {
+        obj = JSON.parse(candidate);
+    } catch (err) {
+        ttDebug(`parseTrackerJson: invalid JSON — ${err.message}`);
+        return null;
+    }
+    return normalizeTrackerObject(obj?.tracker ?? obj);
+}
+
+/**
+ * Parse a <tracker> element from raw text.  Stray "&" in prose values are
+ * escaped first since models rarely produce well-formed XML entities.
+ */
+function parseTrackerXml(text) {
+    const m = String(text || '').match(/<tracker>[\s\S]*?<\/tracker>/i);
+    if (!m) return null;
+
+    const xml = m[0].replace(/&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);)/gi, '&amp;');
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.querySelector('parsererror')) {
+        ttDebug('parseTrackerXml: malformed XML');
+        return null;
+    }
+
+    const obj = {};
+    for (const el of doc.documentElement.children) {
+        if (['characters', 'relationships', 'quests'].includes(normalizeFieldKey(el.tagName))) {
+            obj[normalizeFieldKey(el.tagName)] = [...el.children].map(ch =>
+                Object.fromEntries([...ch.children].map(x => [x.tagName, x.textContent.trim()])));
+        } else {
+            obj[el.tagName] = el.textContent.trim();
+        }
+    }
+    return normalizeTrackerObject(obj);
+}
+
+/**
+ * Parse tracker output in the configured format, falling back to the
+ * [TRACKER] text parser when the structured block is missing or invalid.
+ */
+function parseTrackerOutput(text) {
+    const format = getTrackerFormat();
+    if (format !== 'text') {
+        const data = format === 'json' ? parseTrackerJson(text) : parseTrackerXml(text);
+        if (data) return data;
+        ttDebug(`parseTrackerOutput: no valid ${format} tracker — falling back to [TRACKER] parser`);
+    }
+    return parseTrackerBlock(text);
+}
+
+// ── Tracker storage ───────────────────────────────────────────
+//
+// msg.extra.tt_tracker always holds the tracker for the ACTIVE swipe — every
+// reader in the extension uses it.  Each swipe's tracker is also stored:
+//   • in msg.swipe_info[i].extra.tt_tracker, which SillyTavern copies back
+//     into msg.extra when that swipe is selected, and
+//   • in msg.extra.tt_swipe_trackers[i], for chats without swipe_info.
+// Writes must go through setMessageTracker so both copies stay in step.
+
+function getSwipeIndex(msg) {
+    return Number.isInteger(msg?.swipe_id) ? msg.swipe_id : 0;
+}
+
+/**
+ * Store `data` as the tracker for the message's active swipe.
+ */
+function setMessageTracker(msg, data) {
+    msg.extra = msg.extra || {};
+    msg.extra.tt_tracker = data;
+    if (msg.is_user) return;
+
+    const idx  = getSwipeIndex(msg);
+    const info = Array.isArray(msg.swipe_info) ? msg.swipe_info[idx] : null;
+    if (info) {
+        info.extra = info.extra || {};
+        info.extra.tt_tracker = data;
+    }
+    msg.extra.tt_swipe_trackers = msg.extra.tt_swipe_trackers || {};
+    msg.extra.tt_swipe_trackers[idx] = data;
+}
+
+/**
+ * Remove the tracker of the message's active swipe.  Other swipes keep theirs.
+ */
+function clearMessageTracker(msg) {
+    if (!msg.extra) return;
+    delete msg.extra.tt_tracker;
+    const idx = getSwipeIndex(msg);
+    if (msg.extra.tt_swipe_trackers) delete msg.extra.tt_swipe_trackers[idx];
+    const info = Array.isArray(msg.swipe_info) ? msg.swipe_info[idx] : null;
+    if (info?.extra) delete info.extra.tt_tracker;
+    setTrackerWarnings(msg, []);
+}
+
+/**
+ * Look up the stored tracker for one swipe of a message, or null.
+ */
+function getSwipeTracker(msg, idx) {
+    return msg?.swipe_info?.[idx]?.extra?.tt_tracker
+        ?? msg?.extra?.tt_swipe_trackers?.[idx]
+        ?? null;
+}
+
+function hasSwipeTrackers(msg) {
+    if (msg?.extra?.tt_swipe_trackers && Object.keys(msg.extra.tt_swipe_trackers).length > 0) return true;
+    return Array.isArray(msg?.swipe_info) && msg.swipe_info.some(i => i?.extra?.tt_tracker);
+}
+
+/**
+ * Point msg.extra.tt_tracker at the tracker stored for the active swipe.
+ * A swipe without a stored tracker gets none, so it is processed fresh
+ * instead of showing another swipe's data.  Messages from before per-swipe
+ * storage existed are left untouched.
+ * Returns true if the active tracker changed.
+ */
+function syncActiveSwipeTracker(msg) {
+    if (!msg || msg.is_user || !hasSwipeTrackers(msg)) return false;
+    const stored = getSwipeTracker(msg, getSwipeIndex(msg));
+    if ((msg.extra?.tt_tracker ?? null) === stored) return false;
+    msg.extra = msg.extra || {};
+    if (stored) msg.extra.tt_tracker = stored;
+    else delete msg.extra.tt_tracker;
+    return true;
+}
+
+// ── SillyTavern-Tracker import ────────────────────────────────
+
+/**
+ * Convert a SillyTavern-Tracker data object to our tt_tracker format.
+ */
+function convertSTTrackerToTT(stData) {
+    if (!stData || typeof stData !== 'object') return null;
+
+    const result = {
+        time:       stData.Time     || stData.time     || null,
+        location:   stData.Location || stData.location || null,
+        weather:    stData.Weather  || stData.weather  || null,
+        heart:      null,
+        characters: [],
+    };
+
+    const charNames = Array.isArray(stData.CharactersPresent) ? stData.CharactersPresent
+                    : Array.isArray(stData.charactersPresent) ? stData.charactersPresent
+                    : [];
+
+    const charDetails = (stData.Characters && typeof stData.Characters === 'object' && !Array.isArray(stData.Characters))
+                      ? stData.Characters
+                      : (stData.characters && typeof stData.characters === 'object' && !Array.isArray(stData.characters))
+                      ? stData.characters
+                      : {};
+
+    for (const name of charNames) {
+        const d = charDetails[String(name)] || {};
+        result.characters.push({
+            name:        String(name),
+            description: d.Description || d.description || '',
+            outfit:      d.Outfit               || d.outfit   || '',
+            state:       d.StateOfDress         || d.State    || d.state    || '',
+            position:    d.PostureAndInteraction || d.Position || d.position || '',
+        });
+    }
+
+    if (result.time || result.location || result.weather || result.characters.length > 0) {
+        return result;
+    }
+    return null;
+}
+
+/**
+ * Try to import tracker data from SillyTavern-Tracker format.
+ */
+function tryImportSTTracker(msg) {
+    if (msg.tracker && typeof msg.tracker === 'object' && Object.keys(msg.tracker).length > 0) {
+        return convertSTTrackerToTT(msg.tracker);
+    }
+
+    const textMatch = (msg.mes || '').match(/<tracker>([\s\S]*?)<\/tracker>/i);
+    if (textMatch) {
+        try {
+            const data = JSON.parse(textMatch[1].trim());
+            return convertSTTrackerToTT(data);
+        } catch (_) { /* not valid JSON */ }
+    }
+
+    return null;
+}
+
+/**
+ * Find the most recent tt_tracker in chat messages before the given index.
+ */
+function getMostRecentTracker(chat, beforeMesId) {
+    for (let i = beforeMesId - 1; i >= 0; i--) {
+        if (chat[i]?.extra?.tt_tracker) return chat[i].extra.tt_tracker;
+    }
+    return null;
+}
+
+/**
+ * Scan backwards for the nearest raw STTracker time string.
+ * Checks both msg.tracker.Time / msg.tracker.time fields.
+ */
+function getMostRecentSTTrackerTime(chat, beforeMesId) {
+    for (let i = beforeMesId - 1; i >= 0; i--) {
+        const t = chat[i]?.tracker;
+        if (t && typeof t === 'object') {
+            const time = t.Time || t.time;
+            if (time) return String(time);
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns { trackerText, prevHeart, prevTime } for use in generation prompts.
+ * Compares the message index of the nearest tt_tracker vs the nearest raw STTracker
+ * time to determine which is more recent, and uses that as the time anchor.
+ * This prevents stale STTracker times (from earlier messages) from overriding
+ * a more recent AI-generated tracker time, while still using STTracker times
+ * when they come from a message that appeared after the last tt_tracker.
+ */
+function getBestPrevContext(chat, beforeMesId) {
+    // Find the most recent tt_tracker and the message index it came from
+    let ttTracker = null;
+    let ttIdx = -1;
+    for (let i = beforeMesId - 1; i >= 0; i--) {
+        if (chat[i]?.extra?.tt_tracker) {
+            ttTracker = chat[i].extra.tt_tracker;
+            ttIdx = i;
+            break;
+        }
+    }
+
+    // Find the most recent raw STTracker time and the message index it came from
+    let stTime = null;
+    let stIdx = -1;
+    for (let i = beforeMesId - 1; i >= 0; i--) {
+        const t = chat[i]?.tracker;
+        if (t && typeof t === 'object') {
+            const time = t.Time || t.time;
+            if (time) { stTime = String(time); stIdx = i; break; }
+        }
+    }
+
+    ttDebug(`getBestPrevCtx before #${beforeMesId}: ttIdx=${ttIdx}${ttTracker ? ` time="${ttTracker.time}"` : ''} stIdx=${stIdx} stTime=${stTime || 'null'}`);
+
+    // Choose the time anchor: use whichever source comes from a MORE RECENT message.
+    // stTime wins only if its message appears AFTER the tt_tracker message.
+    // This avoids old STTracker times overriding newer AI-generated tracker times.
+    const prevTime = (stIdx > ttIdx && stTime) ? stTime
+                   : (!isBlankValue(ttTracker?.time)) ? ttTracker.time
+                   : stTime || null;
+
+    if (ttTracker) {
+        // Patch the tracker with prevTime if its own time is blank
+        const patched = !isBlankValue(ttTracker.time) ? ttTracker : { ...ttTracker, time: prevTime };
+        // If this tracker has a heart value, use it. Otherwise scan further back
+        // to find any tracker with a non-null heart — ST-Tracker imports store
+        // null hearts, so the nearest tracker may not have one.
+        let prevHeart = null;
+        if (ttTracker.heart !== null && ttTracker.heart !== undefined) {
+            prevHeart = parseInt(ttTracker.heart, 10);
+        } else {
+            for (let i = ttIdx - 1; i >= 0; i--) {
+                const h = chat[i]?.extra?.tt_tracker?.heart;
+                if (h !== null && h !== undefined) {
+                    prevHeart = parseInt(h, 10);
+                    break;
+                }
+            }
+        }
+        return {
+            trackerText: formatTrackerForPrompt(patched),
+            prevHeart,
+            prevTime,
+        };
+    }
+
+    // No tt_tracker at all — build minimal context from raw STTracker data
+    if (stTime) {
+        const synth = { time: stTime, location: null, weather: null, heart: null, characters: [] };
+        for (let i = beforeMesId - 1; i >= 0; i--) {
+            const t = chat[i]?.tracker;
+            if (t && typeof t === 'object' && Object.keys(t).length > 0) {
+                const imported = convertSTTrackerToTT(t);
+                if (imported) {
+                    synth.location   = imported.location;
+                    synth.weather    = imported.weather;
+                    synth.characters = imported.characters;
+                }
+                break;
+            }
+        }
+        return { trackerText: formatTrackerForPrompt(synth), prevHeart: 0, prevTime: stTime };
+    }
+
+    return { trackerText: 'None', prevHeart: 0, prevTime: null };
+}
+
+/**
+ * Format a tt_tracker object as plain text for use in AI prompts.
+ */
+function formatTrackerForPrompt(data) {
+    if (!data) return 'None';
+    const heartDisplay = (data.heart !== null && data.heart !== undefined)
+        ? parseInt(data.heart, 10) || 0
+        : 'unknown (not yet established)';
+    const lines = getSceneFields().map(f => `${f.key}: ${formatFieldValue(f, data[f.key]) || 'Unknown'}`);
+    lines.push(`heart: ${heartDisplay}`);
+    let text = lines.join('\n');
+    if (data.characters && data.characters.length > 0) {
+        text += '\ncharacters:';
+        for (const c of data.characters) {
+            text += `\n- ${formatCharacterLine(c)}`;
+        }
+    }
+    const relations = formatRelationshipsForPrompt(data);
+    if (relations.length) text += `\n${relations.join('\n')}`;
+    return text;
+}
+
+// ── HTML helpers ──────────────────────────────────────────────
+
+function esc(text) {
+    if (text == null) return '';
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build the full tracker UI for a message.
+ */
+function buildTrackerHtml(data, mesId, isUser = false, warnings = []) {
     const heartPts   = parseInt(data.heart, 10) || 0;
     const heartEmoji = getHeartEmoji(heartPts);
 
-    let charsHtml = '';
-    if (data.characters && data.characters.length > 0) {
-        const nameList = data.characters.map(c => esc(c.name)).join(', ');
-        const cards = data.characters.map(c => `
-            <div class="tt-char">
-                <div class="tt-char-name">${esc(c.name)}</div>
-                <div class="tt-char-field"><span class="tt-char-label">Description</span>${esc(c.description)}</div>
-                <div class="tt-char-field"><span class="tt-char-label">Outfit</span>${esc(c.outfit)}</div>
-                <div class="tt-char-field"><span class="tt-char-label">State</span>${esc(c.state)}</div>
-                <div class="tt-char-field"><span class="tt-char-label">Position</span>${esc(c.position)}</div>
-            </div>`).join('');
+    let charsHtml = '';
+    if (data.characters && data.characters.length > 0) {
+        const charFields = getCharacterFields();
+        const nameList = data.characters.map(c => esc(c.name)).join(', ');
+        const cards = data.characters.map(c => `
+            <div class="tt-char">
+                <div class="tt-char-name">${esc(c.name)}</div>
+                ${charFields.map(f => `
+                <div class="tt-char-field"><span class="tt-char-label">${esc(f.label)}</span>${formatCharacterFieldHtml(f, c[f.key])}</div>`).join('')}
+            </div>`).join('');
+
+        charsHtml = `
+            <div class="tt-chars-header">Characters Present: <span class="tt-chars-names">${nameList}</span></div>
+            <div class="tt-chars-list">${cards}</div>${isInventoryEnabled() ? buildInventoryHtml(data.characters) : ''}`;
+    }
+
+    const sceneRows = getSceneFields().map(f => {
+        // Shown in the preferred units; the value as written stays in the tooltip
+        const original = formatFieldValue(f, data[f.key]) || 'Unknown';
+        const shown    = localizeUnits(original);
+        const notes    = [
+            shown !== original && `Original: ${original}`,
+            f.key === 'weather' && data.weather_reason && `Story override: ${data.weather_reason}`,
+        ].filter(Boolean);
+        return `
+                <div class="tt-row">
+                    <span class="tt-label">${esc(f.emoji || '•')} ${esc(f.label)}</span>
+                    <span class="tt-value"${notes.length ? ` title="${esc(notes.join('\n'))}"` : ''}>${esc(shown)}</span>
+                </div>`;
+    }).join('');
+
+    const regenBtn = `
+                        <button class="tt-regen-btn menu_button menu_button_icon" data-mesid="${mesId}" data-isuser="${isUser}">
+                            <i class="fa-solid fa-rotate"></i> Regenerate Tracker
+                        </button>`;
+
+    const warningHtml = warnings.length ? `
+            <div class="tt-warning">
+                <span class="tt-warning-badge" title="${esc(warnings.join('\n'))}">⚠️ Needs review</span>
+                <ul class="tt-warning-list">${warnings.map(w => `<li>${esc(w)}</li>`).join('')}</ul>
+                <div class="tt-actions">
+                    <button class="tt-accept-btn menu_button menu_button_icon" data-mesid="${mesId}">
+                        <i class="fa-solid fa-check"></i> Accept
+                    </button>${regenBtn}
+                </div>
+            </div>` : '';
+
+    return `
+        <div class="tt-container" data-mesid="${mesId}">${warningHtml}
+            <div class="tt-always">${sceneRows}
+                <div class="tt-row">
+                    <span class="tt-label">💘 Heart Meter</span>
+                    <span class="tt-value">${heartEmoji} ${heartPts.toLocaleString()}</span>
+                </div>
+            </div>
+            <details class="tt-block">
+                <summary class="tt-summary"><span>👁️ Tracker</span></summary>
+                <div class="tt-fields">
+                    ${charsHtml}
+                    <div class="tt-actions">
+                        ${regenBtn}
+                        <button class="tt-edit-btn menu_button menu_button_icon" data-mesid="${mesId}">
+                            <i class="fa-solid fa-pen-to-square"></i> Edit Tracker
+                        </button>
+                    </div>
+                </div>
+            </details>
+        </div>`;
+}
+
+/**
+ * Inventory section of the tracker UI: one list per character carrying
+ * anything, equipped items first.
+ */
+function buildInventoryHtml(characters) {
+    const carrying = characters.filter(c => Array.isArray(c.inventory) && c.inventory.length);
+    if (!carrying.length) return '';
+    const lists = carrying.map(c => {
+        const items = [...c.inventory].sort((a, b) => b.equipped - a.equipped).map(i => `
+                    <li class="tt-inventory-item ${i.equipped ? 'tt-inventory-equipped' : ''}">${esc(i.item)}${i.qty > 1 ? ` <span class="tt-inventory-qty">×${i.qty}</span>` : ''}${i.equipped ? ' <span class="tt-inventory-tag">equipped</span>' : ''}</li>`).join('');
+        return `
+            <div class="tt-inventory-char">
+                <div class="tt-char-name">${esc(c.name)}</div>
+                <ul class="tt-inventory-list">${items}</ul>
+            </div>`;
+    }).join('');
+    return `
+            <div class="tt-chars-header">🎒 Inventory</div>
+            <div class="tt-inventory">${lists}</div>`;
+}
+
+/**
+ * Display HTML for one character field.  Per-character hearts get the same
+ * emoji treatment as the tracker-level Heart Meter.
+ */
+function formatCharacterFieldHtml(field, value) {
+    if (field === CHARACTER_HEART_FIELD && value !== null && value !== undefined && value !== '') {
+        const pts = parseInt(value, 10) || 0;
+        return `${getHeartEmoji(pts)} ${pts.toLocaleString()}`;
+    }
+    return esc(formatFieldValue(field, value));
+}
+
+/**
+ * Build the inline edit form.
+ */
+function buildEditFormHtml(data, mesId) {
+    const charsText = (data.characters || [])
+        .map(c => formatCharacterLine(c))
+        .join('\n');
+
+    const sceneRows = getSceneFields().map(f => `
+                <div class="tt-edit-row">
+                    <label class="tt-edit-label">${esc(f.emoji || '•')} ${esc(f.label)}</label>
+                    <input class="tt-edit-input text_pole" id="tt-edit-field-${f.key}-${mesId}" ${f.type === 'number' ? 'type="number"' : ''}
+                           value="${esc(formatFieldValue(f, data[f.key]))}" placeholder="${esc(f.placeholder || fieldTemplateHint(f))}">
+                </div>`).join('');
+
+    return `
+        <div class="tt-container tt-editing" data-mesid="${mesId}">
+            <div class="tt-edit-form">${sceneRows}
+                <div class="tt-edit-row">
+                    <label class="tt-edit-label">💘 Heart</label>
+                    <input class="tt-edit-input text_pole tt-edit-heart" id="tt-edit-heart-${mesId}"
+                           type="number" value="${parseInt(data.heart, 10) || 0}" min="0" max="99999">
+                </div>
+                <div class="tt-edit-row tt-edit-chars-row">
+                    <label class="tt-edit-label">👥 Characters</label>
+                    <div class="tt-edit-chars-editor">
+                        <div class="tt-edit-cards" id="tt-edit-cards-${mesId}">${(data.characters || []).map((c, i) => buildCharacterCardHtml(c, mesId, i)).join('')}</div>
+                        <textarea class="tt-edit-chars text_pole" id="tt-edit-chars-${mesId}" style="display:none;"
+                                  rows="4" placeholder="${esc(formatCharacterLine({ name: 'Alice', description: "Brown hair, blue eyes, 5'7" }, (f, v) => v || '...'))}">${esc(charsText)}</textarea>
+                        <div class="tt-edit-chars-tools">
+                            <button class="tt-edit-char-add menu_button menu_button_icon" data-mesid="${mesId}">
+                                <i class="fa-solid fa-user-plus"></i> Add Character
+                            </button>
+                            <label class="checkbox_label">
+                                <input type="checkbox" id="tt-edit-raw-${mesId}" class="tt-edit-raw-toggle" data-mesid="${mesId}">
+                                <span>Raw text</span>
+                            </label>
+                        </div>
+                        <datalist id="tt-edit-roster-${mesId}">
+                            ${[...buildCharacterRoster(getContext().chat).keys()].map(name => `<option value="${esc(name)}"></option>`).join('')}
+                        </datalist>
+                    </div>
+                </div>
+                <label class="checkbox_label tt-edit-propagate">
+                    <input type="checkbox" id="tt-edit-propagate-${mesId}" class="tt-edit-propagate-toggle" data-mesid="${mesId}">
+                    <span>Also fix later messages that copied the old values</span>
+                </label>
+                <div class="tt-edit-preview" id="tt-edit-preview-${mesId}"></div>
+                <div class="tt-edit-actions">
+                    <button class="tt-edit-save menu_button menu_button_icon" data-mesid="${mesId}">
+                        <i class="fa-solid fa-check"></i> Save
+                    </button>
+                    <button class="tt-edit-cancel menu_button menu_button_icon" data-mesid="${mesId}">
+                        <i class="fa-solid fa-xmark"></i> Cancel
+                    </button>
+                </div>
+            </div>
+        </div>`;
+}
+
+/**
+ * One character card in the edit form: a name with roster autocomplete,
+ * reorder/remove buttons and an input per character field.  `storedIdx` is
+ * the character's index in the stored tracker, -1 for a new card.
+ */
+function buildCharacterCardHtml(c, mesId, storedIdx = -1) {
+    const fields = getCharacterFields().map(f => `
+                <label class="tt-edit-card-field">
+                    <span class="tt-edit-card-label">${esc(f.label)}</span>
+                    <input class="tt-edit-char-field text_pole" data-key="${esc(f.key)}" ${f.type === 'number' ? 'type="number"' : ''}
+                           value="${esc(formatFieldValue(f, c[f.key]))}" placeholder="${esc(fieldTemplateHint(f))}">
+                </label>`).join('');
+
+    const inventory = isInventoryEnabled() ? `
+                <div class="tt-edit-inv">
+                    <span class="tt-edit-card-label">🎒 Inventory</span>
+                    <div class="tt-edit-inv-rows">${(c.inventory || []).map(buildInventoryRowHtml).join('')}</div>
+                    <button class="tt-edit-inv-add menu_button menu_button_icon" title="Add item"><i class="fa-solid fa-plus"></i> Item</button>
+                </div>` : '';
+
+    return `
+            <div class="tt-edit-card" data-stored="${storedIdx}">
+                <div class="tt-edit-card-head">
+                    <input class="tt-edit-char-name text_pole" list="tt-edit-roster-${mesId}" value="${esc(c.name || '')}" placeholder="Name">
+                    <button class="tt-edit-char-up menu_button menu_button_icon" title="Move up"><i class="fa-solid fa-arrow-up"></i></button>
+                    <button class="tt-edit-char-down menu_button menu_button_icon" title="Move down"><i class="fa-solid fa-arrow-down"></i></button>
+                    <button class="tt-edit-char-remove menu_button menu_button_icon" title="Remove character"><i class="fa-solid fa-trash"></i></button>
+                </div>${fields}${inventory}
+            </div>`;
+}
+
+function buildInventoryRowHtml(i = { item: '', qty: 1, equipped: false }) {
+    return `
+                        <div class="tt-edit-inv-row">
+                            <input class="tt-edit-inv-item text_pole" value="${esc(i.item)}" placeholder="Item">
+                            <input class="tt-edit-inv-qty text_pole" type="number" min="1" step="1" value="${parseInt(i.qty, 10) || 1}" title="Quantity">
+                            <label class="checkbox_label" title="Equipped">
+                                <input type="checkbox" class="tt-edit-inv-equipped" ${i.equipped ? 'checked' : ''}>
+                                <span>Equipped</span>
+                            </label>
+                            <button class="tt-edit-inv-remove menu_button menu_button_icon" title="Remove item"><i class="fa-solid fa-xmark"></i></button>
+                        </div>`;
+}
+
+// ── Settings ──────────────────────────────────────────────────
+
+function getSettings() {
+    if (!extension_settings[EXT_NAME]) {
+        extension_settings[EXT_NAME] = {
+            ...DEFAULT_SETTINGS,
+            heartColors: DEFAULT_SETTINGS.heartColors.map(c => ({ ...c })),
+            weatherCustomClimate: { ...DEFAULT_SETTINGS.weatherCustomClimate },
+            promptTemplates: {},
+        };
+    }
+    for (const [k, v] of Object.entries(DEFAULT_SETTINGS)) {
+        if (extension_settings[EXT_NAME][k] === undefined) {
+            extension_settings[EXT_NAME][k] = Array.isArray(v) ? v.map(c => ({ ...c }))
+                : (v && typeof v === 'object') ? { ...v } : v;
+        }
+    }
+    // Runtime heart state moved to chat metadata — drop the stale global copy
+    delete extension_settings[EXT_NAME].heartPoints;
+    return extension_settings[EXT_NAME];
+}
+
+// ── Per-chat state ────────────────────────────────────────────
+
+const CHAT_STATE_KEY = 'turbo_tracker';
+
+// Settings a chat may override; anything else is always read globally.
+const CHAT_OVERRIDABLE_SETTINGS = ['heartSensitivity', 'defaultHeartValue', 'minTimeAdvance', 'calendar', 'weatherClimate'];
+
+/**
+ * Runtime state for the active chat, stored in its chat metadata so it is
+ * saved with the chat and can never leak between chats (or browser tabs).
+ *   heartPoints — current heart baseline used by prompts and clamping
+ *   lastTime    — time string of the most recent tracker
+ *   overrides   — per-chat values for CHAT_OVERRIDABLE_SETTINGS
+ *   roster      — canonical character entries edited in the Roster tab
+ *   climates    — [{ location, profile }] climate profiles by location keyword
+ *
+ * When no chat is open a detached default object is returned, so callers
+ * never have to null-check.
+ */
+function getChatState() {
+    const meta = getContext()?.chatMetadata;
+    const fresh = () => ({ heartPoints: getSettings().defaultHeartValue || 0, lastTime: null, overrides: {}, roster: [], climates: [] });
+    if (!meta) return fresh();
+    if (!meta[CHAT_STATE_KEY] || typeof meta[CHAT_STATE_KEY] !== 'object') meta[CHAT_STATE_KEY] = fresh();
+    const state = meta[CHAT_STATE_KEY];
+    for (const [k, v] of Object.entries(fresh())) {
+        if (state[k] === undefined) state[k] = v;
+    }
+    return state;
+}
+
+function saveChatState() {
+    saveMetadataDebounced();
+}
+
+/**
+ * Read a setting, preferring the active chat's override when one is set.
+ */
+function getChatSetting(key) {
+    if (!CHAT_OVERRIDABLE_SETTINGS.includes(key)) return getSettings()[key];
+    const override = getChatState().overrides?.[key];
+    return (override !== undefined && override !== null && override !== '') ? override : getSettings()[key];
+}
+
+/**
+ * Maximum heart shift per AI response for the active chat.
+ */
+function getMaxHeartShift() {
+    return (Number(getChatSetting('heartSensitivity')) || 5) * 500;
+}
+
+/**
+ * Re-derive heartPoints / lastTime from the newest trackers in the chat.
+ * For chats with no tracker data the heart falls back to defaultHeartValue.
+ */
+function syncChatState() {
+    const ctx   = getContext();
+    const state = getChatState();
+    let latestHeart = getChatSetting('defaultHeartValue') || 0;
+    let latestTime  = null;
+    const chat = ctx?.chat || [];
+    for (let i = chat.length - 1; i >= 0; i--) {
+        const h = chat[i]?.extra?.tt_tracker?.heart;
+        if (h != null) { latestHeart = parseInt(h, 10) || 0; break; }
+    }
+    for (let i = chat.length - 1; i >= 0; i--) {
+        const t = chat[i]?.extra?.tt_tracker?.time;
+        if (!isBlankValue(t)) { latestTime = t; break; }
+    }
+    state.heartPoints = latestHeart;
+    state.lastTime    = latestTime;
+    return state;
+}
+
+// ── Character roster ──────────────────────────────────────────
+
+/**
+ * The chat's saved roster: { name, description, outfit, aliases[], exclude[],
+ * notes } per character.  Its descriptions are canonical — they are injected into
+ * every prompt and win over whatever the AI writes into a tracker.
+ */
+function getSavedRoster() {
+    return (getChatState().roster || []).filter(entry => entry?.name?.trim());
+}
+
+/**
+ * The saved roster entry a tracker name refers to, by name or alias.
+ */
+function findRosterEntry(name) {
+    if (!name) return null;
+    return getSavedRoster().find(entry => [entry.name, ...(entry.aliases || [])].some(n => sameName(n, name))) || null;
+}
+
+/**
+ * Fold the saved roster into a roster scanned from trackers: scanned entries
+ * under a saved name or alias are replaced by the saved entry, whose
+ * description and default outfit take precedence.
+ */
+function applySavedRoster(roster) {
+    for (const entry of getSavedRoster()) {
+        const names = [entry.name, ...(entry.aliases || [])];
+        let scanned = null;
+        for (const [key, value] of roster) {
+            if (!names.some(n => sameName(n, key))) continue;
+            scanned = scanned || value;
+            roster.delete(key);
+        }
+        roster.set(entry.name, {
+            ...(scanned || emptyCharacter(entry.name)),
+            name:        entry.name,
+            description: entry.description || scanned?.description || '',
+            outfit:      entry.outfit      || scanned?.outfit      || '',
+        });
+    }
+    return roster;
+}
+
+/**
+ * Overwrite tracker descriptions with the roster's canonical ones, and give
+ * characters without an outfit their default outfit.
+ */
+function applyCanonicalDescriptions(data) {
+    for (const c of data?.characters || []) {
+        const entry = findRosterEntry(c.name);
+        if (!entry) continue;
+        if (entry.description) c.description = entry.description;
+        if (entry.outfit && isBlankValue(c.outfit)) c.outfit = entry.outfit;
+    }
+    return data;
+}
+
+/**
+ * The saved roster as prompt text, or '' when it is empty.
+ */
+function formatRosterForPrompt() {
+    const entries = getSavedRoster();
+    if (!entries.length) return '';
+    const lines = entries.map(entry => {
+        const aliases = (entry.aliases || []).filter(Boolean);
+        const parts = [entry.description || '???'];
+        if (entry.outfit) parts.push(`default outfit: ${entry.outfit}`);
+        if (entry.notes)  parts.push(`notes: ${entry.notes}`);
+        return `- ${entry.name}${aliases.length ? ` (also called ${aliases.join(', ')})` : ''}: ${parts.join(' | ')}`;
+    });
+    return `CHARACTER ROSTER — canonical descriptions. Always copy these descriptions exactly; a default outfit applies unless the story has changed it. Only list characters present in the scene:\n${lines.join('\n')}`;
+}
+
+/**
+ * Add every character found in the chat's trackers that the saved roster
+ * doesn't cover yet.  Returns how many were added.
+ */
+function importRosterFromChat() {
+    const state = getChatState();
+    let added = 0;
+    for (const c of buildCharacterRoster(getContext()?.chat || []).values()) {
+        if (findRosterEntry(c.name)) continue;
+        state.roster.push({ name: c.name, description: c.description || '', outfit: c.outfit || '', aliases: [], exclude: [], notes: '' });
+        added++;
+    }
+    if (added) saveChatState();
+    return added;
+}
+
+// ── Quests ────────────────────────────────────────────────────
+//
+// With trackQuests on, the chat has a quest log:
+// { title, description, status, openedAt, closedAt } per quest, where the
+// *At values are message indexes.  The model opens and closes quests with a
+// `quests:` section in its tracker output; the user does so from the Quests
+// tab or with /tt-quest.  Active quests are injected into the main prompt.
+//
+// The log is never stored.  Each message keeps the quest changes made at it
+// per swipe, next to its tracker (msg.swipe_info[i].extra.tt_quests, or
+// msg.extra.tt_swipe_quests[i] for chats without swipe_info), and getQuests
+// replays the active swipes in order.  Swiping, regenerating or deleting a
+// message therefore takes its changes with it, and the indexes always match
+// the chat as it is now.  Changes the user makes are kept at the newest
+// message, flagged `manual` so a regenerated tracker doesn't drop them.
+
+const QUEST_STATUSES = ['active', 'completed', 'failed'];
+
+// Words the model or a command may use for each action
+const QUEST_ACTIONS = {
+    open:      ['open', 'opened', 'start', 'started', 'new', 'add'],
+    completed: ['complete', 'completed', 'done', 'succeed', 'succeeded', 'close', 'closed'],
+    failed:    ['fail', 'failed', 'abandon', 'abandoned'],
+    reopen:    ['reopen', 'reopened'],
+    remove:    ['remove', 'delete'],
+};
+
+function isQuestTrackingEnabled() {
+    return !!getSettings().trackQuests;
+}
+
+/**
+ * Quest changes stored for the message's active swipe.
+ */
+function getMessageQuests(msg) {
+    const idx = getSwipeIndex(msg);
+    return msg?.swipe_info?.[idx]?.extra?.tt_quests
+        ?? msg?.extra?.tt_swipe_quests?.[idx]
+        ?? [];
+}
+
+/**
+ * Store the quest changes for the message's active swipe.  Kept beside the
+ * tracker rather than in it, so trackers copied forward don't repeat them.
+ */
+function setMessageQuests(msg, updates) {
+    msg.extra = msg.extra || {};
+    const idx  = getSwipeIndex(msg);
+    const info = Array.isArray(msg.swipe_info) ? msg.swipe_info[idx] : null;
+    if (info) {
+        info.extra = info.extra || {};
+        info.extra.tt_quests = updates;
+    }
+    msg.extra.tt_swipe_quests = msg.extra.tt_swipe_quests || {};
+    msg.extra.tt_swipe_quests[idx] = updates;
+}
+
+/**
+ * The quest log, rebuilt from the quest changes of every message's active swipe.
+ */
+function getQuests() {
+    const chat   = getContext()?.chat || [];
+    const quests = [];
+    chat.forEach((msg, i) => {
+        for (const update of getMessageQuests(msg)) applyQuestUpdate(quests, update, i);
+    });
+    return quests;
+}
+
+function normalizeQuestAction(raw) {
+    const word = String(raw || '').trim().toLowerCase();
+    return Object.keys(QUEST_ACTIONS).find(action => QUEST_ACTIONS[action].includes(word)) || null;
+}
+
+/**
+ * Shape one reported quest change; null without a known action or a title.
+ */
+function normalizeQuestUpdate(raw) {
+    const action = normalizeQuestAction(raw?.action);
+    const title  = String(raw?.title ?? '').trim();
+    if (!action || !title) return null;
+    return { action, title, description: String(raw.description ?? '').trim() };
+}
+
+/**
+ * Parse one "action: open | title: ... | description: ..." line.
+ */
+function parseQuestLine(line) {
+    const raw = {};
+    for (const part of line.split('|')) {
+        const sep = part.indexOf(':');
+        if (sep !== -1) raw[normalizeFieldKey(part.slice(0, sep))] = part.slice(sep + 1).trim();
+    }
+    return normalizeQuestUpdate(raw);
+}
+
+/**
+ * Apply one change to `quests` at message `mesId`.  Opening an active
+ * quest only updates its description; closing one the log doesn't know
+ * records it as opened and closed at `mesId`.  `update.nth` picks among
+ * quests sharing the title; otherwise the active one, else the newest.
+ * Returns the quest touched, or null when nothing changed.
+ */
+function applyQuestUpdate(quests, update, mesId) {
+    const byTitle = quests.filter(q => sameName(q.title, update.title));
+    const quest   = byTitle[update.nth] || byTitle.find(q => q.status === 'active') || byTitle[byTitle.length - 1] || null;
+
+    switch (update.action) {
+        case 'open':
+            if (quest?.status === 'active') {
+                if (update.description) quest.description = update.description;
+                return quest;
+            }
+            quests.push({ title: update.title, description: update.description, status: 'active', openedAt: mesId, closedAt: null });
+            return quests[quests.length - 1];
+        case 'completed':
+        case 'failed':
+            if (quest?.status === 'active') {
+                quest.status   = update.action;
+                quest.closedAt = mesId;
+                return quest;
+            }
+            if (quest) return null;
+            quests.push({ title: update.title, description: update.description, status: update.action, openedAt: mesId, closedAt: mesId });
+            return quests[quests.length - 1];
+        case 'reopen':
+            if (!quest || quest.status === 'active') return null;
+            quest.status   = 'active';
+            quest.closedAt = null;
+            return quest;
+        case 'remove':
+            if (!quest) return null;
+            quests.splice(quests.indexOf(quest), 1);
+            return quest;
+    }
+    return null;
+}
+
+/**
+ * Store the quest changes in a freshly generated tracker as message
+ * `mesId`'s, replacing those of the tracker it supersedes.  The caller
+ * saves the chat.
+ */
+function recordTrackerQuests(data, mesId) {
+    const msg = getContext()?.chat?.[mesId];
+    if (!isQuestTrackingEnabled() || !msg) return;
+    const reported = data?.quests || [];
+    const stored   = getMessageQuests(msg);
+    const manual   = stored.filter(u => u.manual);
+    if (!reported.length && manual.length === stored.length) return;
+    setMessageQuests(msg, [...reported, ...manual]);
+    ttDebug(`  #${mesId} quests: ${reported.length} reported`);
+}
+
+/**
+ * Make a user change to the quest log at the newest message.  Returns the
+ * quest touched, or null when the change does nothing.
+ */
+function recordQuestEdit(update) {
+    const ctx   = getContext();
+    const mesId = questMesId();
+    const msg   = ctx?.chat?.[mesId];
+    if (!msg) return null;
+    const quest = applyQuestUpdate(getQuests(), update, mesId);
+    if (!quest) return null;
+    setMessageQuests(msg, [...getMessageQuests(msg), { ...update, manual: true }]);
+    ctx.saveChat();
+    return quest;
+}
+
+/**
+ * Active quests as prompt text, or '' when there are none.
+ */
+function formatActiveQuestsForPrompt() {
+    if (!isQuestTrackingEnabled()) return '';
+    const active = getQuests().filter(q => q.status === 'active');
+    if (!active.length) return '';
+    return 'ACTIVE QUESTS — the story\'s open objectives. Close one in the quests section once the story completes or fails it:\n' +
+        active.map(q => `- ${q.title}${q.description ? `: ${q.description}` : ''}`).join('\n');
+}
+
+function questTemplate() {
+    return {
+        action:      'open / complete / fail',
+        title:       'Short quest name',
+        description: 'One-line objective (when opening)',
+    };
+}
+
+// ── Validation ────────────────────────────────────────────────
+
+/**
+ * repair — fix problems in place (carry values forward, advance the clock).
+ * flag   — keep the tracker as written and show a warning badge on it.
+ * off    — store whatever the parser returned.
+ */
+const VALIDATION_MODES = ['repair', 'flag', 'off'];
+
+// A forward jump beyond this needs an explicit time-skip phrase in the message
+const MAX_UNEXPLAINED_JUMP = 6 * 60;
+
+function getValidationMode() {
+    const mode = getSettings().validationMode;
+    return VALIDATION_MODES.includes(mode) ? mode : 'repair';
+}
+
+/**
+ * Minutes from one tracker time to the next, counting a roll onto the next
+ * calendar day.  Negative when the clock went backwards; null when either
+ * time is unreadable or the date moved by more than one day.
+ */
+function trackerTimeDelta(prevTime, time, cal = getActiveCalendar()) {
+    const a = parseClock(prevTime);
+    const b = parseClock(time);
+    if (!a || !b) return null;
+
+    const dateOf = rest => rest.trim().toLowerCase();
+    const delta  = b.minutes - a.minutes;
+    // No dates to compare — assume the shorter way round the clock
+    if (!dateOf(a.rest) || !dateOf(b.rest)) return delta < -MINUTES_PER_DAY / 2 ? delta + MINUTES_PER_DAY : delta;
+    if (dateOf(a.rest) === dateOf(b.rest)) return delta;
+    if (dateOf(advanceCalendarDate(cal, a.rest, 1)) === dateOf(b.rest)) return delta + MINUTES_PER_DAY;
+    return null;
+}
+
+/**
+ * Check a freshly parsed tracker against the one before it: nameless or
+ * duplicate characters, scene fields that went blank, and a time that is
+ * unreadable, runs backwards or jumps without the story saying so.
+ * In 'repair' mode the problems are fixed in place.  Returns the issues.
+ */
+function validateTracker(data, prev, msgText, mode = getValidationMode()) {
+    const issues = [];
+    if (mode === 'off') return issues;
+    const repair = mode === 'repair';
+
+    const chars = [];
+    for (const c of data.characters || []) {
+        const name = String(c.name ?? '').trim();
+        if (!name) {
+            issues.push('A character has no name');
+            if (!repair) chars.push(c);
+            continue;
+        }
+        const dupe = chars.find(o => String(o.name ?? '').trim().toLowerCase() === name.toLowerCase());
+        if (dupe) {
+            issues.push(`${name} is listed twice`);
+            if (!repair) {
+                chars.push(c);
+                continue;
+            }
+            for (const f of getCharacterFields()) {
+                if (isBlankValue(formatFieldValue(f, dupe[f.key]))) dupe[f.key] = c[f.key];
+            }
+            continue;
+        }
+        chars.push(c);
+    }
+    data.characters = chars;
+
+    for (const f of getSceneFields()) {
+        if (f.key === 'time') continue;
+        if (!isBlankValue(formatFieldValue(f, data[f.key])) || isBlankValue(formatFieldValue(f, prev?.[f.key]))) continue;
+        issues.push(`${f.label} is empty`);
+        if (repair) data[f.key] = prev[f.key];
+    }
+
+    if (prev && parseClock(prev.time)) {
+        const delta   = trackerTimeDelta(prev.time, data.time);
+        const skipped = TIME_SKIP_RE.test(String(msgText || '').toLowerCase());
+        let problem = null;
+        if (!parseClock(data.time)) {
+            problem = `Time "${data.time || ''}" is unreadable`;
+        } else if (delta !== null && delta < 0) {
+            problem = `Time went backwards (${prev.time} → ${data.time})`;
+        } else if (delta === null && !skipped) {
+            problem = `Date jumped (${prev.time} → ${data.time}) with no time skip in the message`;
+        } else if (delta > MAX_UNEXPLAINED_JUMP && !skipped) {
+            problem = `Time jumped ${Math.round(delta / 60)} hours with no time skip in the message`;
+        }
+        if (problem) {
+            issues.push(problem);
+            // At least a minute, so the repaired time never just repeats the previous one
+            if (repair) data.time = advanceTimeString(prev.time, Math.max(1, parseInt(getChatSetting('minTimeAdvance'), 10) || 0));
+        }
+    }
+
+    if (issues.length) ttDebug(`  validate (${mode}): ${issues.join('; ')}`);
+    return issues;
+}
+
+/**
+ * Validation warnings of the message's active swipe.  Kept beside the tracker
+ * rather than in it, so trackers copied to other messages never inherit them.
+ */
+function getTrackerWarnings(msg) {
+    return msg?.extra?.tt_warnings?.[getSwipeIndex(msg)] || [];
+}
+
+function setTrackerWarnings(msg, warnings) {
+    msg.extra = msg.extra || {};
+    const all = msg.extra.tt_warnings || {};
+    const idx = getSwipeIndex(msg);
+    if (warnings.length) all[idx] = warnings;
+    else delete all[idx];
+    if (Object.keys(all).length) msg.extra.tt_warnings = all;
+    else delete msg.extra.tt_warnings;
+}
+
+/**
+ * Accept a flagged tracker as it is.
+ */
+function acceptTrackerWarnings(mesId) {
+    const ctx = getContext();
+    const msg = ctx.chat[mesId];
+    if (!msg) return;
+    setTrackerWarnings(msg, []);
+    ctx.saveChat();
+    renderMessageTracker(mesId);
+}
 
-        charsHtml = `
-            <div class="tt-chars-header">Characters Present: <span class="tt-chars-names">${nameList}</span></div>
-            <div class="tt-chars-list">${cards}</div>`;
+// ── Rendering ─────────────────────────────────────────────────
+
+/**
+ * Inject (or refresh) the tracker UI for a single message.
+ */
+function renderMessageTracker(mesId) {
+    scheduleTrackerRefresh();
+
+    const el = $(`.mes[mesid="${mesId}"]`);
+    if (!el.length) return;
+
+    el.find('.tt-container').remove();
+
+    const s = getSettings();
+    if (!s.enabled) return;
+
+    const ctx = getContext();
+    const msg = ctx.chat[mesId];
+    if (!msg || !msg.extra?.tt_tracker) return;
+
+    const mesText = el.find('.mes_text');
+
+    // Strip any lingering tracker block from the displayed HTML (AI messages only)
+    if (!msg.is_user) stripRenderedTracker(mesText, msg, mesId);
+
+    mesText.before(buildTrackerHtml(msg.extra.tt_tracker, mesId, msg.is_user, getTrackerWarnings(msg)));
+}
+
+/**
+ * After storing a tracker on an AI message, retroactively apply the pre-exchange
+ * tracker state to any preceding user messages that don't have one yet.
+ * This ensures user messages get their tracker only after the AI has responded.
+ */
+function populatePrecedingUserMessages(aiMesId) {
+    const ctx = getContext();
+    let modified = false;
+
+    ttDebug(`populatePrecedingUser from ai #${aiMesId}`);
+
+    for (let i = aiMesId - 1; i >= 0; i--) {
+        const msg = ctx.chat[i];
+        if (!msg || !msg.is_user) break; // Stop at the previous AI message
+        if (msg.extra?.tt_tracker) { ttDebug(`  #${i} user: already has tracker`); continue; }
+
+        // The tracker for a user message is whatever was current before they sent their message,
+        // with time advanced by 1–3 minutes so every message has a unique, forward-moving timestamp.
+        const tracker = getMostRecentTracker(ctx.chat, i);
+        if (tracker) {
+            const advancedTracker = { ...tracker };
+            const nudge = 2 + Math.floor(Math.random() * 4); // 2–5 min variance
+            advancedTracker.time = advanceTimeString(tracker.time, nudge);
+            ttDebug(`  #${i} user: base="${tracker.time}" +${nudge}min → "${advancedTracker.time}"`);
+            applyWeatherEngine(advancedTracker);
+            setMessageTracker(msg, advancedTracker);
+            renderMessageTracker(i);
+            modified = true;
+        } else {
+            ttDebug(`  #${i} user: no base tracker found`);
+        }
     }
 
-    const regenBtn = `
-                        <button class="tt-regen-btn menu_button menu_button_icon" data-mesid="${mesId}" data-isuser="${isUser}">
-                            <i class="fa-solid fa-rotate"></i> Regenerate Tracker
-                        </button>`;
+    if (modified) ctx.saveChat();
+}
 
-    return `
-        <div class="tt-container" data-mesid="${mesId}">
-            <div class="tt-always">
-                <div class="tt-row">
-                    <span class="tt-label">⏰ Time</span>
-                    <span class="tt-value">${esc(data.time     || 'Unknown')}</span>
-                </div>
-                <div class="tt-row">
-                    <span class="tt-label">🗺️ Location</span>
-                    <span class="tt-value">${esc(data.location || 'Unknown')}</span>
-                </div>
-                <div class="tt-row">
-                    <span class="tt-label">🌤️ Weather</span>
-                    <span class="tt-value">${esc(data.weather  || 'Unknown')}</span>
-                </div>
-                <div class="tt-row">
-                    <span class="tt-label">💘 Heart Meter</span>
-                    <span class="tt-value">${heartEmoji} ${heartPts.toLocaleString()}</span>
-                </div>
-            </div>
-            <details class="tt-block">
-                <summary class="tt-summary"><span>👁️ Tracker</span></summary>
-                <div class="tt-fields">
-                    ${charsHtml}
-                    <div class="tt-actions">
-                        ${regenBtn}
-                        <button class="tt-edit-btn menu_button menu_button_icon" data-mesid="${mesId}">
-                            <i class="fa-solid fa-pen-to-square"></i> Edit Tracker
-                        </button>
-                    </div>
-                </div>
-            </details>
-        </div>`;
+/**
+ * Parse tracker data from an AI message, clamp the heart value, strip the
+ * block from msg.mes permanently, store in extra, and update the display.
+ */
+async function processMessage(mesId) {
+    const s = getSettings();
+    if (!s.enabled) return;
+
+    const ctx    = getContext();
+    const state  = getChatState();
+    const chatId = ctx.getCurrentChatId?.();
+    const msg = ctx.chat[mesId];
+    if (!msg || msg.is_user) return;
+
+    ttDebug(`processMessage #${mesId} msgLen=${(msg.mes || '').length}`);
+
+    // 1. Try our own tracker block (configured format, then [TRACKER] text)
+    const data = parseTrackerOutput(msg.mes || '');
+    if (data) {
+        ttDebug(`  #${mesId} tracker block found: time="${data.time}" heart=${data.heart} chars=${data.characters.length}`);
+        // A compacted prompt only showed changed character fields — restore the rest
+        if ((replyPrompts.get(msg)?.level ?? 0) >= 2) {
+            fillCompactedCharacterFields(data, getMostRecentTracker(ctx.chat, mesId), buildCharacterRoster(ctx.chat));
+        }
+        applyCanonicalDescriptions(data);
+        resolveFromPrevious(data, getMostRecentTracker(ctx.chat, mesId));
+        const issues = validateTracker(data, getMostRecentTracker(ctx.chat, mesId), msg.mes);
+        // Enforce heart shift limit in code — don't trust the AI to respect it
+        const maxShift = getMaxHeartShift();
+        if (data.heart !== null) {
+            data.heart = clampHeart(data.heart, state.heartPoints, maxShift);
+        }
+        applyCharacterHearts(data, getMostRecentTracker(ctx.chat, mesId), maxShift);
+        if (data.heart !== null) state.heartPoints = data.heart;
+        if (!isBlankValue(data.time)) state.lastTime = data.time;
+
+        // Permanently strip the tracker block from msg.mes so it never renders again
+        // Handles closed blocks and blocks cut off mid-generation in every format
+        msg.mes = stripTrackerBlocks(msg.mes);
+
+        applyWeatherEngine(data);
+        recordTrackerQuests(data, mesId);
+        setMessageTracker(msg, data);
+        setTrackerWarnings(msg, getValidationMode() === 'flag' ? issues : []);
+        ctx.saveChat();
+        saveChatState();
+        renderMessageTracker(mesId);
+        populatePrecedingUserMessages(mesId);
+        await injectPrompt();
+        return;
+    }
+
+    ttDebug(`  #${mesId} no tracker block — trying STTracker`);
+
+    // 2. Try importing from SillyTavern-Tracker format
+    const imported = tryImportSTTracker(msg);
+    if (imported) {
+        ttDebug(`  #${mesId} STTracker imported: time="${imported.time}"`);
+        // ST-Tracker has no heart data — generate one via AI
+        const prevTracker = getMostRecentTracker(ctx.chat, mesId);
+        const prevHeart = parseInt(prevTracker?.heart ?? state.heartPoints, 10) || 0;
+        const maxShift = getMaxHeartShift();
+
+        clearTrackerPrompt();
+        try {
+            imported.heart = await generateHeartValue(msg.mes, prevHeart, maxShift);
+        } finally {
+            injectPrompt();
+        }
+        // The user may have switched chats while the quiet generation ran —
+        // never write this result into another chat's state.
+        if (getContext().getCurrentChatId?.() !== chatId) {
+            ttDebug(`  #${mesId} chat changed during heart generation — discarding`);
+            return;
+        }
+        applyCharacterHearts(imported, prevTracker, maxShift);
+        state.heartPoints = parseInt(imported.heart, 10) || 0;
+        if (!isBlankValue(imported.time)) state.lastTime = imported.time;
+        ttDebug(`  #${mesId} STTracker heart generated: ${imported.heart} (prev=${prevHeart})`);
+        setMessageTracker(msg, imported);
+        ctx.saveChat();
+        saveChatState();
+        renderMessageTracker(mesId);
+        populatePrecedingUserMessages(mesId);
+        await injectPrompt();
+    } else if (getGenerationMode() !== 'inline') {
+        await generateSeparateTracker(mesId, chatId);
+    } else {
+        ttDebug(`  #${mesId} no tracker data found`);
+    }
 }
 
 /**
- * Build the inline edit form.
+ * Separate-call generation: build a reply's tracker with its own quiet
+ * generation once the reply has rendered.  Also the hybrid fallback when the
+ * inline block was missing or failed to parse.
  */
-function buildEditFormHtml(data, mesId) {
-    const charsText = (data.characters || [])
-        .map(c => `name: ${c.name} | description: ${c.description} | outfit: ${c.outfit} | state: ${c.state} | position: ${c.position}`)
-        .join('\n');
+async function generateSeparateTracker(mesId, chatId) {
+    const ctx = getContext();
+    const msg = ctx.chat[mesId];
 
-    return `
-        <div class="tt-container tt-editing" data-mesid="${mesId}">
-            <div class="tt-edit-form">
-                <div class="tt-edit-row">
-                    <label class="tt-edit-label">⏰ Time</label>
-                    <input class="tt-edit-input text_pole" id="tt-edit-time-${mesId}"
-                           value="${esc(data.time || '')}" placeholder="h:MM AM/PM; MM/DD/YYYY (DayOfWeek)">
-                </div>
-                <div class="tt-edit-row">
-                    <label class="tt-edit-label">🗺️ Location</label>
-                    <input class="tt-edit-input text_pole" id="tt-edit-location-${mesId}"
-                           value="${esc(data.location || '')}" placeholder="Location description">
-                </div>
-                <div class="tt-edit-row">
-                    <label class="tt-edit-label">🌤️ Weather</label>
-                    <input class="tt-edit-input text_pole" id="tt-edit-weather-${mesId}"
-                           value="${esc(data.weather || '')}" placeholder="Weather, Temperature">
-                </div>
-                <div class="tt-edit-row">
-                    <label class="tt-edit-label">💘 Heart</label>
-                    <input class="tt-edit-input text_pole tt-edit-heart" id="tt-edit-heart-${mesId}"
-                           type="number" value="${parseInt(data.heart, 10) || 0}" min="0" max="99999">
-                </div>
-                <div class="tt-edit-row tt-edit-chars-row">
-                    <label class="tt-edit-label">👥 Characters</label>
-                    <textarea class="tt-edit-chars text_pole" id="tt-edit-chars-${mesId}"
-                              rows="4" placeholder="name: Alice | description: Brown hair, blue eyes, 5'7 | outfit: ... | state: ... | position: ...">${esc(charsText)}</textarea>
-                </div>
-                <div class="tt-edit-actions">
-                    <button class="tt-edit-save menu_button menu_button_icon" data-mesid="${mesId}">
-                        <i class="fa-solid fa-check"></i> Save
-                    </button>
-                    <button class="tt-edit-cancel menu_button menu_button_icon" data-mesid="${mesId}">
-                        <i class="fa-solid fa-xmark"></i> Cancel
-                    </button>
-                </div>
-            </div>
-        </div>`;
+    ttDebug(`  #${mesId} generating tracker with a separate call (mode=${getGenerationMode()})`);
+
+    // A hybrid reply may still carry a broken block — never leave it visible
+    if (hasTrackerBlock(msg.mes || '')) msg.mes = stripTrackerBlocks(msg.mes);
+
+    let data;
+    try {
+        data = await generateTrackerData(mesId, 'end');
+    } catch (err) {
+        console.warn(`[TurboTracker] Separate tracker generation failed for message #${mesId}:`, err);
+        ttDebug(`  #${mesId} separate call ERROR ${err.message}`);
+        await injectPrompt();
+        return;
+    }
+    if (getContext().getCurrentChatId?.() !== chatId) {
+        ttDebug(`  #${mesId} chat changed during separate generation — discarding`);
+        return;
+    }
+
+    const issues = validateTracker(data, getMostRecentTracker(ctx.chat, mesId), msg.mes);
+    const state = getChatState();
+    state.heartPoints = parseInt(data.heart, 10) || 0;
+    if (!isBlankValue(data.time)) state.lastTime = data.time;
+    applyWeatherEngine(data);
+    recordTrackerQuests(data, mesId);
+    setMessageTracker(msg, data);
+    setTrackerWarnings(msg, getValidationMode() === 'flag' ? issues : []);
+    ctx.saveChat();
+    saveChatState();
+    renderMessageTracker(mesId);
+    populatePrecedingUserMessages(mesId);
+    await injectPrompt();
 }
 
-// ── Settings ──────────────────────────────────────────────────
+// ── Regenerate Tracker ────────────────────────────────────────
 
-function getSettings() {
-    if (!extension_settings[EXT_NAME]) {
-        extension_settings[EXT_NAME] = {
-            ...DEFAULT_SETTINGS,
-            heartColors: DEFAULT_SETTINGS.heartColors.map(c => ({ ...c })),
-        };
+async function regenTracker(mesId) {
+    const ctx = getContext();
+    const msg = ctx.chat[mesId];
+    if (!msg) return;
+
+    ttDebug(`regenTracker #${mesId} is_user=${msg.is_user}`);
+
+    const btn = $(`.mes[mesid="${mesId}"] .tt-regen-btn`);
+    btn.prop('disabled', true).html('<i class="fa-solid fa-rotate fa-spin"></i> Regenerating…');
+
+    try {
+        const data = await generateTrackerData(mesId, 'opening');
+        if (!msg.is_user) getChatState().heartPoints = parseInt(data.heart, 10) || 0;
+
+        applyWeatherEngine(data);
+        recordTrackerQuests(data, mesId);
+        setMessageTracker(msg, data);
+        setTrackerWarnings(msg, []);
+        await ctx.saveChat();
+        saveChatState();
+        renderMessageTracker(mesId);
+        ttDebug(`  regen #${mesId}: done — time="${data.time}" heart=${data.heart} chars=${(data.characters||[]).map(c=>c.name).join(',')}`);
+    } catch (err) {
+        console.warn(`[TurboTracker] Regen failed for message #${mesId}:`, err);
+        ttDebug(`  regen #${mesId}: ERROR ${err.message}`);
+        await injectPrompt(true);
+    } finally {
+        btn.prop('disabled', false).html('<i class="fa-solid fa-rotate"></i> Regenerate Tracker');
     }
-    for (const [k, v] of Object.entries(DEFAULT_SETTINGS)) {
-        if (extension_settings[EXT_NAME][k] === undefined) {
-            extension_settings[EXT_NAME][k] = Array.isArray(v) ? v.map(c => ({ ...c })) : v;
+}
+
+/**
+ * Infer a message's tracker with dedicated quiet generations.  Returns the
+ * tracker without storing it.
+ *
+ * `moment` picks the snapshot: 'opening' describes the scene at the first
+ * line of the message (Regenerate Tracker), 'end' describes it after
+ * everything in the message has happened (separate-call generation of new
+ * replies, matching what an inline block at the end of a reply reports).
+ */
+async function generateTrackerData(mesId, moment = 'opening') {
+    const ctx   = getContext();
+    const msg   = ctx.chat[mesId];
+    const atEnd = moment === 'end';
+
+    const s        = getSettings();
+    const maxShift = getMaxHeartShift();
+
+    const { trackerText: prevTrackerText, prevHeart: rawPrevHeart, prevTime: regenPrevTime } = getBestPrevContext(ctx.chat, mesId);
+    const heartKnown = rawPrevHeart !== null;
+    const prevHeart  = heartKnown ? rawPrevHeart : 0;
+    const heartLo    = heartKnown ? Math.max(0,     prevHeart - maxShift) : 0;
+    const heartHi    = heartKnown ? Math.min(99999, prevHeart + maxShift) : 99999;
+
+    // Build roster of known characters for description/outfit reference.
+    // The AI will determine which characters are actually present in the scene.
+    // Saved roster entries are listed separately as the canonical source.
+    const roster = buildCharacterRoster(ctx.chat);
+    const known  = Array.from(roster.values()).filter(c => !findRosterEntry(c.name));
+    const canonicalRoster = formatRosterForPrompt();
+    const rosterRef = (known.length > 0
+        ? '\nKnown characters (use for description/outfit reference — only include those present in the scene):\n' +
+          known.map(c => `- ${c.name}: ${c.description || '???'} | outfit: ${c.outfit || '???'}`).join('\n')
+        : '') + (canonicalRoster ? `\n${canonicalRoster}` : '');
+
+    // Heart instruction varies by sender
+    let heartInstr = msg.is_user
+        ? `heart must remain exactly ${prevHeart} — only the character's emotions change this, never the user.`
+        : `heart must be between ${heartLo} and ${heartHi}${heartKnown ? ` (previous value was ${prevHeart})` : ' — heart has not been established yet, infer an appropriate value from the narrative'}.`;
+    const prevTrackerForHearts = getMostRecentTracker(ctx.chat, mesId);
+    if (s.perCharacterHeart && !msg.is_user && prevTrackerForHearts?.characters?.length) {
+        heartInstr += `\n- Each character line carries its own heart value:\n${formatCharacterHeartRanges(prevTrackerForHearts, maxShift).join('\n')}`;
+    }
+
+    // Build the generation prompt — unified for both user and AI messages.
+    // Context is provided both inline (for emphasis) and via the limited
+    // generateQuietPrompt conversation window (for natural chat flow).
+    const genPrompt = renderPromptTemplate(atEnd ? 'separate' : 'regen', {
+        heart_rule:       heartInstr,
+        heart_min:        heartLo,
+        heart_max:        heartHi,
+        previous_tracker: prevTrackerText,
+        roster:           rosterRef,
+        tracker_template: buildTrackerTemplate({
+            time:     msg.is_user && regenPrevTime ? regenPrevTime : calendarTimeFormat(),
+            location: atEnd ? 'Where characters are at the end of this message' : 'Where characters are at the very first line of this message',
+            weather:  'Weather description, Temperature',
+            heart:    msg.is_user ? prevHeart : `integer between ${heartLo} and ${heartHi}`,
+        }, [characterTemplate({
+            state:    'Specific emotional/physical state',
+            position: 'Precise placement and posture within the scene',
+        })]),
+    });
+
+    ttDebug(`  regen #${mesId}: prevHeart=${prevHeart} range=[${heartLo},${heartHi}] prevTime="${regenPrevTime || 'none'}" roster=${roster.size} chars`);
+
+    // ── Call AI with limited context window ──
+    // Only current message + 5 previous messages are visible to the AI.
+    // This prevents future messages from leaking in and causing the AI
+    // to respond about the wrong scene.
+    //
+    // Additionally, show only the first ~300 chars of the current message
+    // so the AI can only see the OPENING of the post. Without
+    // this it reads the entire message and generates state for where events
+    // lead by the end, not where the scene starts. Characters not mentioned
+    // in the opening are inferred from the previous messages/tracker (which
+    // are visible in the context window and show who is in the group).
+    // The 'end' snapshot needs the whole message, so it is left intact.
+    const CONTEXT_WINDOW = 6;
+    const OPEN_CHARS = 300;
+    const excerpt = mes => atEnd ? (mes || '').slice(-OPEN_CHARS) : (mes || '').slice(0, OPEN_CHARS);
+    const response = await generateWithLimitedContext(ctx, mesId, genPrompt, CONTEXT_WINDOW, atEnd ? null : excerpt(msg.mes));
+
+    ttDebug(`  regen #${mesId}: raw response="${(response || '').slice(0, 200).replace(/\n/g, '\\n')}"`);
+
+    let data = resolveFromPrevious(parseTrackerOutput(response), getMostRecentTracker(ctx.chat, mesId));
+    ttDebug(`  regen #${mesId}: parsed=${data ? `time="${data.time}" heart=${data.heart} chars=${(data.characters||[]).map(c=>c.name).join(',')}` : 'null (no [TRACKER] block)'}`);
+
+    // Fallback: if the AI returned roleplay instead of a tracker block,
+    // build from existing tracker data.
+    if (!data) {
+        ttDebug(`  regen #${mesId}: AI returned no tracker block — using fallback`);
+        const existingTracker = msg.extra?.tt_tracker;
+        const currentSTData   = tryImportSTTracker(msg);
+        const prevTrackerObj  = getMostRecentTracker(ctx.chat, mesId);
+
+        if (existingTracker) {
+            data = { ...existingTracker, characters: (existingTracker.characters || []).map(c => ({...c})) };
+            ttDebug(`  regen #${mesId}: base from existing tt_tracker`);
+        } else if (currentSTData) {
+            data = { ...currentSTData, characters: (currentSTData.characters || []).map(c => ({...c})) };
+            ttDebug(`  regen #${mesId}: base from STTracker`);
+        } else if (prevTrackerObj) {
+            data = { ...prevTrackerObj, characters: (prevTrackerObj.characters || []).map(c => ({...c})) };
+            ttDebug(`  regen #${mesId}: base from prev tracker`);
+        } else {
+            data = { time: 'Unknown', location: 'Unknown', weather: 'Unknown', heart: prevHeart, characters: detectCharactersInMessage(ctx.chat, mesId) || [] };
+        }
+    }
+
+    // ── Merge roster description/outfit into AI-detected characters ──
+    // The AI determines WHO is present, but the roster has the most complete
+    // description/outfit data accumulated across the entire chat, and the
+    // saved roster's descriptions are canonical.
+    if (data.characters && roster.size > 0) {
+        for (const c of data.characters) {
+            const entry = roster.get(c.name);
+            if (entry) {
+                if (!c.description) c.description = entry.description || '';
+                if (!c.outfit)      c.outfit      = entry.outfit      || '';
+            }
+        }
+    }
+    applyCanonicalDescriptions(data);
+
+    // ── Focused location/weather prompt (safety check) ──
+    // Same excerpt here, for the same reason — only show the opening (or,
+    // for the 'end' snapshot, the closing lines) to the AI.
+    if (msg.mes) {
+        const locPrompt = renderPromptTemplate(atEnd ? 'location_end' : 'location', {
+            excerpt:             excerpt(msg.mes),
+            temperature_unit:    TEMPERATURE_UNITS[getTemperatureUnit()],
+            temperature_example: formatTemperature(55),
+        });
+
+        try {
+            const locResp = await generateWithLimitedContext(ctx, mesId, locPrompt, CONTEXT_WINDOW, excerpt(msg.mes));
+            ttDebug(`  regen #${mesId}: locPrompt raw="${locResp.slice(0, 200).replace(/\n/g, '\\n')}"`);
+
+            const lines = locResp.trim().split('\n').map(l => l.trim()).filter(l => l.length > 0);
+            const looksLikeRoleplay = locResp.startsWith('(') || locResp.startsWith('*') || locResp.startsWith('"') || locResp.length > 400;
+
+            if (!looksLikeRoleplay && lines.length >= 1) {
+                const locLine = lines[0].replace(/^(?:location|loc|1)[:\.\)]\s*/i, '').trim();
+                if (locLine.length > 3 && locLine.length < 200) {
+                    data.location = locLine;
+                    ttDebug(`  regen #${mesId}: extracted location="${locLine}"`);
+                }
+                if (lines.length >= 2) {
+                    const wxLine = lines[1].replace(/^(?:weather|wx|2)[:\.\)]\s*/i, '').trim();
+                    if (wxLine.length > 3 && wxLine.length < 200) {
+                        data.weather = wxLine;
+                        ttDebug(`  regen #${mesId}: extracted weather="${wxLine}"`);
+                    }
+                }
+            } else {
+                ttDebug(`  regen #${mesId}: locPrompt returned roleplay, keeping existing location`);
+            }
+        } catch (e) {
+            ttDebug(`  regen #${mesId}: locPrompt ERROR ${e.message}`);
+        }
+    }
+
+    // ── Heart handling ──
+    if (msg.is_user) {
+        data.heart = prevHeart;
+        // Only the characters' own emotions move their hearts — carry them forward
+        if (s.perCharacterHeart) {
+            for (const c of (data.characters || [])) c.heart = null;
+            applyCharacterHearts(data, prevTrackerForHearts, maxShift);
+        }
+    } else {
+        // Always use generateHeartValue for AI messages — it has calibrated
+        // multiplier guidance so the AI picks sensible values for the current
+        // sensitivity level. The tracker block heart is ignored here because
+        // the main prompt only says "integer between X and Y" and the AI
+        // tends to anchor conservatively (100–200) regardless of sensitivity.
+        ttDebug(`  regen #${mesId}: generating heart via generateHeartValue (prev=${prevHeart})`);
+        clearTrackerPrompt();
+        try {
+            data.heart = await generateHeartValue(msg.mes, prevHeart, maxShift);
+        } finally {
+            injectPrompt(true);
         }
+        applyCharacterHearts(data, prevTrackerForHearts, maxShift, true);
     }
-    return extension_settings[EXT_NAME];
-}
-
-// ── Rendering ─────────────────────────────────────────────────
 
-/**
- * Inject (or refresh) the tracker UI for a single message.
- */
-function renderMessageTracker(mesId) {
-    const el = $(`.mes[mesid="${mesId}"]`);
-    if (!el.length) return;
+    // ── Minimum time advance floor ──
+    // If the AI returned the same time or barely advanced it, and the user
+    // has configured a minimum, force-advance by at least that many minutes.
+    const minAdv = parseInt(getChatSetting('minTimeAdvance'), 10) || 0;
+    if (minAdv > 0 && regenPrevTime && data.time) {
+        const prevMins = parseTimeToMinutes(regenPrevTime);
+        const aiMins   = parseTimeToMinutes(data.time);
+        if (prevMins !== null && aiMins !== null) {
+            let delta = aiMins - prevMins;
+            if (delta < 0) delta += 24 * 60; // overnight wrap
+            if (delta < minAdv) {
+                const variance = Math.floor(Math.random() * 6); // 0-5 minutes
+                data.time = advanceTimeString(regenPrevTime, minAdv + variance);
+                ttDebug(`  regen #${mesId}: time floor: AI delta=${delta}min < min ${minAdv}min → "${data.time}" (+${variance} variance)`);
+            }
+        }
+    }
 
-    el.find('.tt-container').remove();
+    return data;
+}
 
-    const s = getSettings();
-    if (!s.enabled) return;
+// ── Edit Tracker ──────────────────────────────────────────────
 
+function showEditForm(mesId) {
     const ctx = getContext();
     const msg = ctx.chat[mesId];
     if (!msg || !msg.extra?.tt_tracker) return;
 
-    const mesText = el.find('.mes_text');
+    const el = $(`.mes[mesid="${mesId}"]`);
+    el.find('.tt-container').replaceWith(buildEditFormHtml(msg.extra.tt_tracker, mesId));
+}
 
-    // Strip any lingering [TRACKER] block from the displayed HTML (AI messages only)
-    if (!msg.is_user) {
-        mesText.html(
-            mesText.html().replace(/\[TRACKER\][\s\S]*?(?:\[\/TRACKER\]|$)/gi, '').trim()
-        );
+/**
+ * Read the edit form's values as tracker changes.
+ */
+function readEditForm(mesId) {
+    const changes = {};
+    for (const f of getSceneFields()) {
+        changes[f.key] = coerceFieldValue(f, $(`#tt-edit-field-${f.key}-${mesId}`).val());
     }
+    changes.heart = parseInt($(`#tt-edit-heart-${mesId}`).val()) || 0;
+    // Raw lines keep the stored fields they don't mention, matched by name
+    const stored = getStoredCharacters(mesId);
+    changes.characters = $(`#tt-edit-raw-${mesId}`).is(':checked')
+        ? parseCharacterText($(`#tt-edit-chars-${mesId}`).val()).map(c => ({ ...stored.find(o => sameName(o.name, c.name)), ...c }))
+        : readCharacterCards(mesId);
+    return changes;
+}
 
-    mesText.before(buildTrackerHtml(msg.extra.tt_tracker, mesId, msg.is_user));
+function getStoredCharacters(mesId) {
+    return getContext().chat[mesId]?.extra?.tt_tracker?.characters || [];
+}
+
+function parseCharacterText(text) {
+    const characters = String(text || '').split('\n').filter(l => l.trim()).map(line => parseCharacterLine(line)).filter(c => c.name);
+    // The raw text states each inventory in full
+    return resolveInventories({ characters }, null).characters;
 }
 
 /**
- * After storing a tracker on an AI message, retroactively apply the pre-exchange
- * tracker state to any preceding user messages that don't have one yet.
- * This ensures user messages get their tracker only after the AI has responded.
+ * Characters from the edit form's cards, in card order.  Cards without a
+ * name are skipped.  Each starts from its stored character, so fields the
+ * form doesn't show (inventory or hearts while turned off) are kept.
  */
-function populatePrecedingUserMessages(aiMesId) {
-    const ctx = getContext();
-    let modified = false;
-
-    ttDebug(`populatePrecedingUser from ai #${aiMesId}`);
+function readCharacterCards(mesId) {
+    const fields = getCharacterFields();
+    const stored = getStoredCharacters(mesId);
+    return $(`#tt-edit-cards-${mesId} .tt-edit-card`).get().map(card => {
+        const name = String($(card).find('.tt-edit-char-name').val() || '').trim();
+        const c    = { ...emptyCharacter(), ...stored[parseInt($(card).data('stored'), 10)], name };
+        $(card).find('.tt-edit-char-field').each(function () {
+            const f = fields.find(field => field.key === $(this).data('key'));
+            if (f) c[f.key] = coerceFieldValue(f, this.value);
+        });
+        if (isInventoryEnabled()) {
+            c.inventory = $(card).find('.tt-edit-inv-row').get().map(row => ({
+                item:     String($(row).find('.tt-edit-inv-item').val() || '').trim(),
+                qty:      Math.max(1, parseInt($(row).find('.tt-edit-inv-qty').val(), 10) || 1),
+                equipped: $(row).find('.tt-edit-inv-equipped').is(':checked'),
+            })).filter(i => i.item);
+        }
+        return c;
+    }).filter(c => c.name);
+}
 
-    for (let i = aiMesId - 1; i >= 0; i--) {
-        const msg = ctx.chat[i];
-        if (!msg || !msg.is_user) break; // Stop at the previous AI message
-        if (msg.extra?.tt_tracker) { ttDebug(`  #${i} user: already has tracker`); continue; }
+/**
+ * Switch the character editor between cards and the raw pipe-separated
+ * text, carrying the current characters across.
+ */
+function toggleRawCharacterEditor(mesId, raw) {
+    const $cards = $(`#tt-edit-cards-${mesId}`);
+    const $text  = $(`#tt-edit-chars-${mesId}`);
+    if (raw) {
+        $text.val(readCharacterCards(mesId).map(c => formatCharacterLine(c)).join('\n'));
+    } else {
+        const stored = getStoredCharacters(mesId);
+        $cards.html(parseCharacterText($text.val()).map(c => buildCharacterCardHtml(c, mesId, stored.findIndex(o => sameName(o.name, c.name)))).join(''));
+    }
+    $text.toggle(raw);
+    $cards.toggle(!raw);
+    $cards.closest('.tt-edit-chars-editor').find('.tt-edit-char-add').toggle(!raw);
+}
 
-        // The tracker for a user message is whatever was current before they sent their message,
-        // with time advanced by 1–3 minutes so every message has a unique, forward-moving timestamp.
-        const tracker = getMostRecentTracker(ctx.chat, i);
-        if (tracker) {
-            const advancedTracker = { ...tracker };
-            const nudge = 2 + Math.floor(Math.random() * 4); // 2–5 min variance
-            advancedTracker.time = advanceTimeString(tracker.time, nudge);
-            ttDebug(`  #${i} user: base="${tracker.time}" +${nudge}min → "${advancedTracker.time}"`);
-            msg.extra = msg.extra || {};
-            msg.extra.tt_tracker = advancedTracker;
-            renderMessageTracker(i);
-            modified = true;
-        } else {
-            ttDebug(`  #${i} user: no base tracker found`);
-        }
+/**
+ * A name picked from the roster fills the card's blank description and outfit.
+ */
+function fillCardFromRoster(card) {
+    const name  = String($(card).find('.tt-edit-char-name').val() || '').trim();
+    const entry = [...buildCharacterRoster(getContext().chat).values()].find(r => sameName(r.name, name));
+    if (!entry) return;
+    for (const key of ['description', 'outfit']) {
+        const $input = $(card).find(`.tt-edit-char-field[data-key="${key}"]`);
+        if ($input.length && !String($input.val()).trim() && entry[key]) $input.val(entry[key]);
     }
+}
 
-    if (modified) ctx.saveChat();
+function saveEditedTracker(mesId) {
+    const changes = readEditForm(mesId);
+    // Plan against the tracker as it was before this edit
+    const plan = $(`#tt-edit-propagate-${mesId}`).is(':checked') ? planEditPropagation(mesId, changes) : [];
+
+    applyTrackerEdit(mesId, changes);
+    if (plan.length) applyEditPropagation(plan);
 }
 
 /**
- * Parse tracker data from an AI message, clamp the heart value, strip the
- * block from msg.mes permanently, store in extra, and update the display.
+ * Merge `changes` into a message's tracker (creating one if the message has
+ * none yet) and persist it.  Shared by the edit form and the slash commands.
+ * Returns the updated tracker, or null if the message doesn't exist.
  */
-async function processMessage(mesId) {
-    const s = getSettings();
-    if (!s.enabled) return;
-
+function applyTrackerEdit(mesId, changes) {
     const ctx = getContext();
     const msg = ctx.chat[mesId];
-    if (!msg || msg.is_user) return;
+    if (!msg) return null;
 
-    ttDebug(`processMessage #${mesId} msgLen=${(msg.mes || '').length}`);
+    const tracker = { ...(msg.extra?.tt_tracker || { heart: null, characters: [] }), ...changes };
+    setMessageTracker(msg, tracker);
+    setTrackerWarnings(msg, []); // a manual edit signs the tracker off
 
-    // 1. Try our own [TRACKER] format
-    const data = parseTrackerBlock(msg.mes || '');
-    if (data) {
-        ttDebug(`  #${mesId} [TRACKER] found: time="${data.time}" heart=${data.heart} chars=${data.characters.length}`);
-        // Enforce heart shift limit in code — don't trust the AI to respect it
-        const maxShift = (Number(s.heartSensitivity) || 5) * 500;
-        if (data.heart !== null) {
-            data.heart = clampHeart(data.heart, s.heartPoints, maxShift);
-            s.heartPoints = data.heart;
-        }
+    if (changes.heart !== undefined && changes.heart !== null) {
+        getChatState().heartPoints = Math.max(0, changes.heart);
+    }
 
-        // Permanently strip the tracker block from msg.mes so it never renders again
-        // Handle both closed [TRACKER]...[/TRACKER] and unclosed [TRACKER]... (cutoff)
-        msg.mes = (msg.mes || '').replace(/\[TRACKER\][\s\S]*?(?:\[\/TRACKER\]|$)/gi, '').trim();
+    ctx.saveChat();
+    saveChatState();
+    renderMessageTracker(mesId);
+    injectPrompt();
+    return tracker;
+}
 
-        msg.extra = msg.extra || {};
-        msg.extra.tt_tracker = data;
-        ctx.saveChat();
-        saveSettingsDebounced();
-        renderMessageTracker(mesId);
-        populatePrecedingUserMessages(mesId);
-        injectPrompt();
-        return;
-    }
+// ── Edit propagation ──────────────────────────────────────────
 
-    ttDebug(`  #${mesId} no [TRACKER] block — trying STTracker`);
+const sameName = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
 
-    // 2. Try importing from SillyTavern-Tracker format
-    const imported = tryImportSTTracker(msg);
-    if (imported) {
-        ttDebug(`  #${mesId} STTracker imported: time="${imported.time}"`);
-        // ST-Tracker has no heart data — generate one via AI
-        const prevTracker = getMostRecentTracker(ctx.chat, mesId);
-        const prevHeart = parseInt(prevTracker?.heart ?? s.heartPoints, 10) || 0;
-        const maxShift = (Number(s.heartSensitivity) || 5) * 500;
+/**
+ * Work out which later trackers still carry the values an edit replaces.
+ * Each changed scene field, and each changed field of a character kept in
+ * the edit, is followed forward while later trackers hold the old value and
+ * dropped at the first one where the model changed it independently.
+ * Heart and the character list itself are never propagated.
+ *
+ * Returns [{ mesId, edits: [{ name?, field, from, to }] }] in chat order.
+ */
+function planEditPropagation(mesId, changes) {
+    const chat   = getContext().chat;
+    const before = chat[mesId]?.extra?.tt_tracker;
+    if (!before) return [];
+
+    const fmt  = (f, v) => formatFieldValue(f, v);
+    const live = [];
+    for (const f of getSceneFields()) {
+        if (f.key in changes && fmt(f, changes[f.key]) !== fmt(f, before[f.key])) {
+            live.push({ field: f, from: fmt(f, before[f.key]), to: changes[f.key] });
+        }
+    }
+    for (const c of changes.characters || []) {
+        const old = (before.characters || []).find(o => sameName(o.name, c.name));
+        if (!old) continue;
+        for (const f of getCharacterFields()) {
+            if (f === CHARACTER_HEART_FIELD) continue;
+            if (fmt(f, c[f.key]) !== fmt(f, old[f.key])) {
+                live.push({ name: old.name, field: f, from: fmt(f, old[f.key]), to: c[f.key] });
+            }
+        }
+    }
 
-        setExtensionPrompt(EXT_NAME, '', extension_prompt_types.BEFORE_PROMPT, 0);
-        try {
-            imported.heart = await generateHeartValue(msg.mes, prevHeart, maxShift);
-        } finally {
-            injectPrompt();
+    const plan = [];
+    for (let i = mesId + 1; i < chat.length && live.length; i++) {
+        const tracker = chat[i]?.extra?.tt_tracker;
+        if (!tracker) continue;
+        const edits = [];
+        for (const edit of [...live]) {
+            const holder = edit.name ? (tracker.characters || []).find(c => sameName(c.name, edit.name)) : tracker;
+            if (!holder) continue; // character absent here — keep following
+            if (fmt(edit.field, holder[edit.field.key]) === edit.from) edits.push(edit);
+            else live.splice(live.indexOf(edit), 1);
         }
-        s.heartPoints = parseInt(imported.heart, 10) || 0;
-        ttDebug(`  #${mesId} STTracker heart generated: ${imported.heart} (prev=${prevHeart})`);
-        msg.extra = msg.extra || {};
-        msg.extra.tt_tracker = imported;
-        ctx.saveChat();
-        saveSettingsDebounced();
+        if (edits.length) plan.push({ mesId: i, edits });
+    }
+    return plan;
+}
+
+function applyEditPropagation(plan) {
+    const ctx = getContext();
+    for (const { mesId, edits } of plan) {
+        const msg     = ctx.chat[mesId];
+        const tracker = { ...msg.extra.tt_tracker, characters: (msg.extra.tt_tracker.characters || []).map(c => ({ ...c })) };
+        for (const edit of edits) {
+            const holder = edit.name ? tracker.characters.find(c => sameName(c.name, edit.name)) : tracker;
+            holder[edit.field.key] = edit.to;
+        }
+        setMessageTracker(msg, tracker);
         renderMessageTracker(mesId);
-        populatePrecedingUserMessages(mesId);
-        injectPrompt();
-    } else {
-        ttDebug(`  #${mesId} no tracker data found`);
     }
+    ttDebug(`propagated edit to ${plan.length} later tracker(s): ${plan.map(p => `#${p.mesId}`).join(', ')}`);
+    ctx.saveChat();
+    injectPrompt();
 }
 
-// ── Regenerate Tracker ────────────────────────────────────────
+/**
+ * List what saving the edit form would change in later messages.
+ */
+function refreshEditPreview(mesId) {
+    const $preview = $(`#tt-edit-preview-${mesId}`);
+    if (!$(`#tt-edit-propagate-${mesId}`).is(':checked')) {
+        $preview.empty();
+        return;
+    }
+    const plan = planEditPropagation(mesId, readEditForm(mesId));
+    if (!plan.length) {
+        $preview.html('<small>No later message still carries the old values.</small>');
+        return;
+    }
+    const show = v => `“${esc(v || '—')}”`;
+    $preview.html(`<small>Will also update ${plan.length} later message${plan.length === 1 ? '' : 's'}:</small>
+        <ul class="tt-edit-preview-list">${plan.map(({ mesId: id, edits }) => `
+            <li><b>#${id}</b> ${edits.map(e =>
+                `${e.name ? `${esc(e.name)} ` : ''}${esc(e.field.label.toLowerCase())}: ${show(e.from)} → ${show(formatFieldValue(e.field, e.to))}`).join('; ')}</li>`).join('')}
+        </ul>`);
+}
 
-async function regenTracker(mesId) {
-    const ctx = getContext();
-    const msg = ctx.chat[mesId];
-    if (!msg) return;
+// ── Prompt templates ──────────────────────────────────────────
 
-    ttDebug(`regenTracker #${mesId} is_user=${msg.is_user}`);
+/**
+ * Every prompt TurboTracker sends, as an editable template.  `{{name}}`
+ * placeholders listed in `vars` are filled in per call; anything else in
+ * double braces ({{user}}, {{char}}…) is left for SillyTavern to expand.
+ * User edits live in settings.promptTemplates, keyed by id.
+ */
+const PROMPT_TEMPLATES = {
+    inject: {
+        label: 'Main injection',
+        vars: {
+            tracker_template: 'The empty tracker block in the chosen output format',
+            user_message:     "The user's latest message with its instructions (empty when not included)",
+            previous_tracker: 'The most recent tracker',
+            roster:           'The saved character roster (empty when it has no entries)',
+            quests:           'Active quests (empty when there are none or quests are off)',
+            calendar_rules:   "Time format rules for the chat's calendar",
+            custom_rules:     'Instructions for custom fields',
+            heart_value:      'Current heart value',
+            heart_min:        'Lowest heart value allowed this response',
+            heart_max:        'Highest heart value allowed this response',
+            heart_guide:      'Expected heart change per kind of exchange',
+            color_legend:     'Heart color tiers',
+            character_hearts: 'Per-character heart ranges (empty when disabled)',
+            character_format: 'How character entries must be written in the output format',
+        },
+        text:
+`[TurboTracker — mandatory instructions]
+At the very end of EVERY response, after all narrative text, append a tracker block in exactly this format:
 
-    const btn = $(`.mes[mesid="${mesId}"] .tt-regen-btn`);
-    btn.prop('disabled', true).html('<i class="fa-solid fa-rotate fa-spin"></i> Regenerating…');
+{{tracker_template}}
+{{user_message}}
+PREVIOUS TRACKER STATE — your baseline. Update each field that the current exchange (user message + your response) requires; copy everything else forward exactly:
+{{previous_tracker}}{{roster}}{{quests}}
 
-    try {
-        const s        = getSettings();
-        const maxShift = (Number(s.heartSensitivity) || 5) * 500;
-
-        const { trackerText: prevTrackerText, prevHeart: rawPrevHeart, prevTime: regenPrevTime } = getBestPrevContext(ctx.chat, mesId);
-        const heartKnown = rawPrevHeart !== null;
-        const prevHeart  = heartKnown ? rawPrevHeart : 0;
-        const heartLo    = heartKnown ? Math.max(0,     prevHeart - maxShift) : 0;
-        const heartHi    = heartKnown ? Math.min(99999, prevHeart + maxShift) : 99999;
-
-        // Build roster of known characters for description/outfit reference.
-        // The AI will determine which characters are actually present in the scene.
-        const roster = buildCharacterRoster(ctx.chat);
-        const rosterRef = roster.size > 0
-            ? '\nKnown characters (use for description/outfit reference — only include those present in the scene):\n' +
-              Array.from(roster.values()).map(c => `- ${c.name}: ${c.description || '???'} | outfit: ${c.outfit || '???'}`).join('\n')
-            : '';
-
-        // Heart instruction varies by sender
-        const heartInstr = msg.is_user
-            ? `heart must remain exactly ${prevHeart} — only the character's emotions change this, never the user.`
-            : `heart must be between ${heartLo} and ${heartHi}${heartKnown ? ` (previous value was ${prevHeart})` : ' — heart has not been established yet, infer an appropriate value from the narrative'}.`;
-
-        // Build the generation prompt — unified for both user and AI messages.
-        // Context is provided both inline (for emphasis) and via the limited
-        // generateQuietPrompt conversation window (for natural chat flow).
-        const genPrompt =
+TIME RULES — most important field:
+  • IN-STORY fiction time only. NEVER use the real-world current date or clock time.
+  • HARD CAP: Advance by AT MOST 20 minutes from the baseline, unless the narrative text contains a literal, explicit time-skip phrase such as "an hour passed", "by late afternoon", "after several hours", "the next morning", etc.
+  • Default advance: 2–10 minutes for a typical exchange.
+  • Atmosphere words ("the morning sun", "it's almost noon", "the midday heat") are NOT time-skip phrases and must NOT move the clock more than a few minutes.
+  • If no previous time exists, invent one that fits the world — do NOT use today's date.
+  • Only jump hours or days when the exchange explicitly depicts that much time passing.
+{{calendar_rules}}
+
+OTHER FIELD RULES:
+  • Location: update if the user's message or your response shows characters moving somewhere new.
+  • Weather: update only if the exchange gives a narrative reason.
+  • Characters: add or remove only as the scene requires.
+{{custom_rules}}
+Heart Meter:
+  Tracks the CHARACTER's romantic interest in {{user}}. Starts at 0 for every new story. Range: 0–99,999.
+  Only the character's own emotions drive this — never adjust based on user actions alone.
+  Current value: {{heart_value}}
+  THIS RESPONSE: the heart value MUST be between {{heart_min}} and {{heart_max}}. Any value outside this range is an error.
+  Expected change amounts for this sensitivity level:
+{{heart_guide}}
+  Do NOT return tiny values like 100–200 unless sensitivity is at its minimum. Use the ranges above as your guide.
+  {{color_legend}}{{character_hearts}}
+
+Characters section:
+  List every character currently present in the scene.
+  {{character_format}}
+  description: physical description — hair color, eye color, height, build, notable features. Pull from character/user card if available; infer or estimate if not.
+  state: specific emotional and/or physical condition (e.g. "Nervous, fidgeting with her braid" or "Relaxed, slightly flushed from the heat").
+  position: precise placement and posture in the scene (e.g. "Leaning against the bar with arms crossed, facing the entrance" or "Seated across the table, hands wrapped around a mug, leaning slightly forward").`,
+    },
+    regen: {
+        label: 'Regenerate Tracker',
+        vars: {
+            heart_rule:       'What the heart value must be',
+            heart_min:        'Lowest heart value allowed',
+            heart_max:        'Highest heart value allowed',
+            previous_tracker: 'The most recent earlier tracker',
+            roster:           'Known characters with their description and outfit, then the saved roster',
+            tracker_template: 'The tracker block to fill in',
+        },
+        text:
 `[OOC: Based on the conversation context, determine the tracker state for the OPENING MOMENT of the most recent message. Think of this as a freeze-frame snapshot taken at the very first line — before any events in that message unfold. Output ONLY the tracker block — no story text, no dialogue, nothing else.
 
 IMPORTANT:
 - Time: What time is it at the VERY FIRST LINE of the most recent message? Determine this from the full conversation context — including what happened in previous messages. If previous messages described travel, a long activity, or a significant time skip, the opening of the current message should reflect that elapsed time. Do NOT advance time to reflect where events lead by the END of the current message — only the opening moment matters.
 - Location: Where are the characters standing/sitting at the VERY FIRST LINE? Ignore where they travel to later in the message.
 - Characters: Include ALL characters present in the opening moment, including {{user}} if present. State and position must reflect the opening moment, not the end of the message.
-- ${heartInstr}]
+- {{heart_rule}}]
 
 Previous tracker state (for reference — use context to determine how much time has passed since this):
-${prevTrackerText}
-${rosterRef}
-
-[TRACKER]
-time: ${msg.is_user && regenPrevTime ? regenPrevTime : 'h:MM AM/PM; MM/DD/YYYY (DayOfWeek)'}
-location: Where characters are at the very first line of this message
-weather: Weather description, Temperature
-heart: ${msg.is_user ? prevHeart : `integer between ${heartLo} and ${heartHi}`}
-characters:
-- name: CharacterName | description: Hair color, eye color, height, build, notable features | outfit: Full clothing description | state: Specific emotional/physical state | position: Precise placement and posture within the scene
-[/TRACKER]`;
-
-        ttDebug(`  regen #${mesId}: prevHeart=${prevHeart} range=[${heartLo},${heartHi}] prevTime="${regenPrevTime || 'none'}" roster=${roster.size} chars`);
-
-        // ── Call AI with limited context window ──
-        // Only current message + 5 previous messages are visible to the AI.
-        // This prevents future messages from leaking in and causing the AI
-        // to respond about the wrong scene.
-        //
-        // Additionally, temporarily truncate the current message to its first
-        // ~300 chars so the AI can only see the OPENING of the post. Without
-        // this it reads the entire message and generates state for where events
-        // lead by the end, not where the scene starts. Characters not mentioned
-        // in the opening are inferred from the previous messages/tracker (which
-        // are visible in the context window and show who is in the group).
-        const CONTEXT_WINDOW = 6;
-        const OPEN_CHARS = 300;
-        const originalMes = msg.mes;
-        msg.mes = (msg.mes || '').slice(0, OPEN_CHARS);
-        let response;
-        try {
-            response = await generateWithLimitedContext(ctx, mesId, genPrompt, CONTEXT_WINDOW);
-        } finally {
-            msg.mes = originalMes;
-        }
-
-        ttDebug(`  regen #${mesId}: raw response="${(response || '').slice(0, 200).replace(/\n/g, '\\n')}"`);
-
-        let data = parseTrackerBlock(response);
-        ttDebug(`  regen #${mesId}: parsed=${data ? `time="${data.time}" heart=${data.heart} chars=${(data.characters||[]).map(c=>c.name).join(',')}` : 'null (no [TRACKER] block)'}`);
-
-        // Fallback: if the AI returned roleplay instead of a tracker block,
-        // build from existing tracker data.
-        if (!data) {
-            ttDebug(`  regen #${mesId}: AI returned no tracker block — using fallback`);
-            const existingTracker = msg.extra?.tt_tracker;
-            const currentSTData   = tryImportSTTracker(msg);
-            const prevTrackerObj  = getMostRecentTracker(ctx.chat, mesId);
-
-            if (existingTracker) {
-                data = { ...existingTracker, characters: (existingTracker.characters || []).map(c => ({...c})) };
-                ttDebug(`  regen #${mesId}: base from existing tt_tracker`);
-            } else if (currentSTData) {
-                data = { ...currentSTData, characters: (currentSTData.characters || []).map(c => ({...c})) };
-                ttDebug(`  regen #${mesId}: base from STTracker`);
-            } else if (prevTrackerObj) {
-                data = { ...prevTrackerObj, characters: (prevTrackerObj.characters || []).map(c => ({...c})) };
-                ttDebug(`  regen #${mesId}: base from prev tracker`);
-            } else {
-                data = { time: 'Unknown', location: 'Unknown', weather: 'Unknown', heart: prevHeart, characters: [] };
-            }
-        }
+{{previous_tracker}}
+{{roster}}
+
+{{tracker_template}}`,
+    },
+    separate: {
+        label: 'Separate-call tracker',
+        vars: {
+            heart_rule:       'What the heart value must be',
+            heart_min:        'Lowest heart value allowed',
+            heart_max:        'Highest heart value allowed',
+            previous_tracker: 'The most recent earlier tracker',
+            roster:           'Known characters with their description and outfit, then the saved roster',
+            tracker_template: 'The tracker block to fill in',
+        },
+        text:
+`[OOC: Based on the conversation context, determine the tracker state at the END of the most recent message — a freeze-frame snapshot taken after everything in that message has happened. Output ONLY the tracker block — no story text, no dialogue, nothing else.
 
-        // ── Merge roster description/outfit into AI-detected characters ──
-        // The AI determines WHO is present, but the roster has the most complete
-        // description/outfit data accumulated across the entire chat.
-        if (data.characters && roster.size > 0) {
-            for (const c of data.characters) {
-                const entry = roster.get(c.name);
-                if (entry) {
-                    if (!c.description) c.description = entry.description || '';
-                    if (!c.outfit)      c.outfit      = entry.outfit      || '';
-                }
-            }
-        }
+IMPORTANT:
+- Time: What time is it at the LAST LINE of the most recent message? Start from the previous tracker time and advance only by the time the message's events take — usually a few minutes, more only if the message explicitly skips time.
+- Location: Where are the characters at the LAST LINE? Include any travel that happens during the message.
+- Characters: Include ALL characters present at the end of the message, including {{user}} if present. State and position must reflect the end of the message.
+- {{heart_rule}}]
 
-        // ── Focused location/weather prompt (safety check) ──
-        // msg.mes is restored here (after the main call), so we re-truncate
-        // it for the same reason — only show the opening to the AI.
-        if (msg.mes) {
-            const locPrompt =
+Previous tracker state (for reference — use context to determine how much time has passed since this):
+{{previous_tracker}}
+{{roster}}
+
+{{tracker_template}}`,
+    },
+    location: {
+        label: 'Location check (regenerate)',
+        vars: {
+            excerpt:             'The opening of the message',
+            temperature_unit:    'Preferred temperature unit, e.g. °F',
+            temperature_example: 'An example temperature in that unit',
+        },
+        text:
 `[OOC: Based on ONLY the opening of this scene excerpt (first sentence or two), answer two questions.
 Line 1: Where are the characters at the very start? Give the specific location (e.g. a room, building, or area — not where they travel to later).
-Line 2: What is the weather/temperature? Include a temperature in °F.
+Line 2: What is the weather/temperature? Include a temperature in {{temperature_unit}}.
+Reply with ONLY two lines, no other text. Example:
+Inn room, second floor of the Nibelheim inn
+Cool evening, thin mountain air, {{temperature_example}}]
+
+"{{excerpt}}"`,
+    },
+    location_end: {
+        label: 'Location check (separate call)',
+        vars: {
+            excerpt:             'The end of the message',
+            temperature_unit:    'Preferred temperature unit, e.g. °F',
+            temperature_example: 'An example temperature in that unit',
+        },
+        text:
+`[OOC: Based on ONLY the end of this scene excerpt (last sentence or two), answer two questions.
+Line 1: Where are the characters at the very end? Give the specific location (e.g. a room, building, or area — where they have ended up).
+Line 2: What is the weather/temperature? Include a temperature in {{temperature_unit}}.
 Reply with ONLY two lines, no other text. Example:
 Inn room, second floor of the Nibelheim inn
-Cool evening, thin mountain air, 55°F]
+Cool evening, thin mountain air, {{temperature_example}}]
+
+"{{excerpt}}"`,
+    },
+    fill: {
+        label: 'Populate: fill blank fields',
+        vars: {
+            block_name:       'Name of the block in the chosen output format',
+            excerpt:          'The start of the message',
+            tracker_template: 'The existing tracker with blanks marked ???',
+        },
+        text:
+`[OOC: Extract tracker metadata from the story excerpt below. Output ONLY the completed {{block_name}}. Fill every ??? using the story for context. Do NOT change the heart value. No story content, no dialogue — only the block.]
 
-"${(msg.mes || '').slice(0, OPEN_CHARS)}"`;
+Story excerpt:
+"{{excerpt}}"
+
+{{tracker_template}}`,
+    },
+    minutes: {
+        label: 'Populate: elapsed minutes',
+        vars: { excerpt: 'The start of the message' },
+        text:
+`[OOC: How many in-story minutes pass during the following story excerpt? Reply with ONLY a single integer. Minimum is 2. Examples: brief dialogue exchange = 2-6, moving to a nearby location = 8-15, a longer journey = 15-60, a large time skip = 60+. No other text — just the integer.]
+{{excerpt}}`,
+    },
+    populate: {
+        label: 'Populate: new tracker',
+        vars: {
+            heart_rule:       'What the heart value must be',
+            heart_min:        'Lowest heart value allowed',
+            heart_max:        'Highest heart value allowed',
+            block_name:       'Name of the block in the chosen output format',
+            tracker_template: 'The tracker with time and carried-over fields filled in',
+        },
+        text:
+`[OOC: Complete this scene tracker. Fill each field based on the current story moment. The time is already set — do NOT change it. {{heart_rule}} Output ONLY the {{block_name}} — no story text, no dialogue, nothing else.]
+
+{{tracker_template}}`,
+    },
+    heart: {
+        label: 'Heart value',
+        vars: {
+            heart_value:   'Heart value before the message',
+            max_shift:     'Largest change allowed (Heart Sensitivity)',
+            heart_guide:   'Expected change per kind of interaction',
+            example_delta: 'A sample change amount',
+            excerpt:       'The start of the message',
+        },
+        text:
+`[OOC: Based on the following story excerpt, how does the character's romantic interest toward {{user}} change?
+Current heart value: {{heart_value}} (scale: 0–99,999).
+Reply with ONLY a signed integer for the change amount. Must be a multiple of 100.
+Positive = warmer/friendlier feelings. Negative = colder/hostile feelings.
+The change MUST be between -{{max_shift}} and +{{max_shift}}.
+{{heart_guide}}
+Reply with ONLY a signed integer like +{{example_delta}} or -{{example_delta}}. No other text.]
 
-            try {
-                msg.mes = (msg.mes || '').slice(0, OPEN_CHARS);
-                const locResp = await generateWithLimitedContext(ctx, mesId, locPrompt, CONTEXT_WINDOW);
-                msg.mes = originalMes;
-                ttDebug(`  regen #${mesId}: locPrompt raw="${locResp.slice(0, 200).replace(/\n/g, '\\n')}"`);
-
-                const lines = locResp.trim().split('\n').map(l => l.trim()).filter(l => l.length > 0);
-                const looksLikeRoleplay = locResp.startsWith('(') || locResp.startsWith('*') || locResp.startsWith('"') || locResp.length > 400;
-
-                if (!looksLikeRoleplay && lines.length >= 1) {
-                    const locLine = lines[0].replace(/^(?:location|loc|1)[:\.\)]\s*/i, '').trim();
-                    if (locLine.length > 3 && locLine.length < 200) {
-                        data.location = locLine;
-                        ttDebug(`  regen #${mesId}: extracted location="${locLine}"`);
-                    }
-                    if (lines.length >= 2) {
-                        const wxLine = lines[1].replace(/^(?:weather|wx|2)[:\.\)]\s*/i, '').trim();
-                        if (wxLine.length > 3 && wxLine.length < 200) {
-                            data.weather = wxLine;
-                            ttDebug(`  regen #${mesId}: extracted weather="${wxLine}"`);
-                        }
-                    }
-                } else {
-                    ttDebug(`  regen #${mesId}: locPrompt returned roleplay, keeping existing location`);
-                }
-            } catch (e) {
-                msg.mes = originalMes;
-                ttDebug(`  regen #${mesId}: locPrompt ERROR ${e.message}`);
-            }
-        }
+"{{excerpt}}"`,
+    },
+};
 
-        // ── Heart handling ──
-        if (msg.is_user) {
-            data.heart = prevHeart;
-        } else {
-            // Always use generateHeartValue for AI messages — it has calibrated
-            // multiplier guidance so the AI picks sensible values for the current
-            // sensitivity level. The tracker block heart is ignored here because
-            // the main prompt only says "integer between X and Y" and the AI
-            // tends to anchor conservatively (100–200) regardless of sensitivity.
-            ttDebug(`  regen #${mesId}: generating heart via generateHeartValue (prev=${prevHeart})`);
-            setExtensionPrompt(EXT_NAME, '', extension_prompt_types.BEFORE_PROMPT, 0);
-            try {
-                data.heart = await generateHeartValue(msg.mes, prevHeart, maxShift);
-            } finally {
-                injectPrompt(true);
-            }
-            s.heartPoints = parseInt(data.heart, 10) || 0;
-        }
-
-        // ── Minimum time advance floor ──
-        // If the AI returned the same time or barely advanced it, and the user
-        // has configured a minimum, force-advance by at least that many minutes.
-        const minAdv = parseInt(s.minTimeAdvance, 10) || 0;
-        if (minAdv > 0 && regenPrevTime && data.time) {
-            const prevMins = parseTimeToMinutes(regenPrevTime);
-            const aiMins   = parseTimeToMinutes(data.time);
-            if (prevMins !== null && aiMins !== null) {
-                let delta = aiMins - prevMins;
-                if (delta < 0) delta += 24 * 60; // overnight wrap
-                if (delta < minAdv) {
-                    const variance = Math.floor(Math.random() * 6); // 0-5 minutes
-                    data.time = advanceTimeString(regenPrevTime, minAdv + variance);
-                    ttDebug(`  regen #${mesId}: time floor: AI delta=${delta}min < min ${minAdv}min → "${data.time}" (+${variance} variance)`);
-                }
-            }
-        }
+function getPromptTemplate(id) {
+    const custom = getSettings().promptTemplates?.[id];
+    return typeof custom === 'string' && custom.trim() ? custom : PROMPT_TEMPLATES[id].text;
+}
 
-        msg.extra = msg.extra || {};
-        msg.extra.tt_tracker = data;
-        await ctx.saveChat();
-        saveSettingsDebounced();
-        renderMessageTracker(mesId);
-        ttDebug(`  regen #${mesId}: done — time="${data.time}" heart=${data.heart} chars=${(data.characters||[]).map(c=>c.name).join(',')}`);
-    } catch (err) {
-        console.warn(`[TurboTracker] Regen failed for message #${mesId}:`, err);
-        ttDebug(`  regen #${mesId}: ERROR ${err.message}`);
-        injectPrompt(true);
-    } finally {
-        btn.prop('disabled', false).html('<i class="fa-solid fa-rotate"></i> Regenerate Tracker');
-    }
+/**
+ * Fill a template's placeholders.  Unknown names are left untouched so
+ * SillyTavern macros survive; values are inserted verbatim (never re-scanned).
+ */
+function renderPromptTemplate(id, vars) {
+    return getPromptTemplate(id).replace(/\{\{(\w+)\}\}/g, (match, name) =>
+        Object.prototype.hasOwnProperty.call(vars, name) ? String(vars[name] ?? '') : match);
 }
 
-// ── Edit Tracker ──────────────────────────────────────────────
+/**
+ * Store an edited template; text identical to the default clears the override.
+ */
+function setPromptTemplate(id, text) {
+    const templates = getSettings().promptTemplates;
+    if (!text.trim() || text === PROMPT_TEMPLATES[id].text) delete templates[id];
+    else templates[id] = text;
+    saveSettingsDebounced();
+}
 
-function showEditForm(mesId) {
-    const ctx = getContext();
-    const msg = ctx.chat[mesId];
-    if (!msg || !msg.extra?.tt_tracker) return;
+// ── Prompt injection ──────────────────────────────────────────
 
-    const el = $(`.mes[mesid="${mesId}"]`);
-    el.find('.tt-container').replaceWith(buildEditFormHtml(msg.extra.tt_tracker, mesId));
+// Where the tracker instructions sit: before the system prompt, right after
+// it, or inside the chat history at a depth (0 = after the last message).
+const INJECT_POSITIONS = {
+    before: extension_prompt_types.BEFORE_PROMPT,
+    after:  extension_prompt_types.IN_PROMPT,
+    chat:   extension_prompt_types.IN_CHAT,
+};
+const INJECT_ROLES = {
+    system:    extension_prompt_roles.SYSTEM,
+    user:      extension_prompt_roles.USER,
+    assistant: extension_prompt_roles.ASSISTANT,
+};
+
+/**
+ * Set the tracker prompt at the configured position, depth and role.  Every
+ * write and clear goes through here so the slot never moves between calls.
+ * `level` is the prompt's compaction level (see COMPACTION_LEVELS), kept with
+ * it so replies can be parsed against the prompt they were generated with.
+ */
+function setTrackerPrompt(text, level = 0) {
+    const s = getSettings();
+    const position = INJECT_POSITIONS[s.injectPosition] ?? extension_prompt_types.BEFORE_PROMPT;
+    const depth    = position === extension_prompt_types.IN_CHAT ? Math.max(0, parseInt(s.injectDepth, 10) || 0) : 0;
+    const role     = INJECT_ROLES[s.injectRole] ?? extension_prompt_roles.SYSTEM;
+    setExtensionPrompt(EXT_NAME, text, position, depth, false, role);
+    injectedPrompt = { text, level };
 }
 
-function saveEditedTracker(mesId) {
+function clearTrackerPrompt() {
+    promptSeq++; // a budget fit still counting must not restore the prompt
+    setTrackerPrompt('');
+}
+
+// ── Token budget ──────────────────────────────────────────────
+
+/**
+ * Compaction steps tried in order until the injected prompt fits the token
+ * budget.  Each level keeps everything the previous one removed.
+ */
+const COMPACTION_LEVELS = [
+    'full',
+    'examples dropped',
+    'characters abbreviated to changed fields',
+    'roster descriptions omitted',
+];
+
+let promptSeq = 0;                          // bumped by every inject/clear; stale budget fits are discarded
+let injectedPrompt   = { text: '', level: 0 };  // the tracker prompt currently set
+let pendingInject    = Promise.resolve();       // settles once the latest injectPrompt has set its prompt
+let generationPrompt = injectedPrompt;          // the prompt the running main generation started with
+
+// AI message → the prompt its current reply was generated with
+const replyPrompts = new WeakMap();
+
+async function countPromptTokens(text) {
     const ctx = getContext();
-    const msg = ctx.chat[mesId];
-    if (!msg) return;
+    try {
+        if (typeof ctx.getTokenCountAsync === 'function') return await ctx.getTokenCountAsync(text);
+    } catch (err) {
+        ttDebug(`countPromptTokens: tokenizer ERROR ${err.message} — estimating`);
+    }
+    return Math.ceil(text.length / 4);
+}
+
+/**
+ * Inject the least-compacted variant that fits `budget` tokens (or the most
+ * compact one if none do).  Skipped if another inject/clear happened meanwhile.
+ */
+async function fitPromptToBudget(variants, budget, seq) {
+    const counts = [];
+    let chosen = variants.length - 1;
+    for (let level = 0; level < variants.length; level++) {
+        counts.push(await countPromptTokens(variants[level]));
+        if (counts[level] <= budget) {
+            chosen = level;
+            break;
+        }
+    }
+    if (seq !== promptSeq) return;
+
+    ttDebug(`injectPrompt: budget=${budget} tokens=[${counts.join(', ')}] → level ${chosen} (${COMPACTION_LEVELS[chosen]})${counts[chosen] > budget ? ' — still over budget' : ''}`);
+    setTrackerPrompt(variants[chosen], chosen);
+}
 
-    const time     = $(`#tt-edit-time-${mesId}`).val().trim();
-    const location = $(`#tt-edit-location-${mesId}`).val().trim();
-    const weather  = $(`#tt-edit-weather-${mesId}`).val().trim();
-    const heart    = parseInt($(`#tt-edit-heart-${mesId}`).val()) || 0;
-    const charsRaw = $(`#tt-edit-chars-${mesId}`).val().trim();
-
-    const characters = charsRaw
-        ? charsRaw.split('\n').filter(l => l.trim()).map(line => {
-            const char = { name: '', description: '', outfit: '', state: '', position: '' };
-            const parts = line.split('|').map(p => p.trim());
-            for (const part of parts) {
-                const sep = part.indexOf(':');
-                if (sep === -1) continue;
-                const k = part.slice(0, sep).trim().toLowerCase();
-                const v = part.slice(sep + 1).trim();
-                if      (k === 'name')        char.name        = v;
-                else if (k === 'description') char.description = v;
-                else if (k === 'outfit')      char.outfit      = v;
-                else if (k === 'state')       char.state       = v;
-                else if (k === 'position')    char.position    = v;
+/**
+ * Compact form of formatTrackerForPrompt: scene fields in full, but each
+ * character only with the fields that changed since `before`.  With
+ * `findSaved` (name → saved roster entry), descriptions the injected roster
+ * already gives are left out as well.
+ */
+function formatChangedTrackerForPrompt(tracker, before, findSaved = null) {
+    const lines = [formatTrackerForPrompt({ ...tracker, characters: [] })];
+    if (tracker.characters?.length) {
+        lines.push('characters (only fields that changed since the tracker before — unchanged fields may be left empty, they are carried forward):');
+        for (const c of tracker.characters) {
+            const old = (before?.characters || []).find(o => o.name === c.name);
+            const parts = [`name: ${c.name}`];
+            for (const f of getCharacterFields()) {
+                const v = formatFieldValue(f, c[f.key]);
+                if (isBlankValue(v)) continue;
+                if (old && formatFieldValue(f, old[f.key]) === v) continue;
+                if (findSaved && f.key === 'description' && findSaved(c.name)?.description) continue;
+                parts.push(`${f.key}: ${v}`);
+            }
+            if (isInventoryEnabled() && formatInventory(c.inventory) !== formatInventory(old?.inventory)) {
+                parts.push(`inventory: ${formatInventory(c.inventory) || 'none'}`);
             }
-            return char;
-        }).filter(c => c.name)
-        : [];
-
-    msg.extra = msg.extra || {};
-    msg.extra.tt_tracker = { time, location, weather, heart, characters };
-
-    const s = getSettings();
-    s.heartPoints = Math.max(0, heart);
+            lines.push(`- ${parts.join(' | ')}`);
+        }
+    }
+    lines.push(...formatRelationshipsForPrompt(tracker));
+    return lines.join('\n');
+}
 
-    ctx.saveChat();
-    saveSettingsDebounced();
-    renderMessageTracker(mesId);
-    injectPrompt();
+/**
+ * Fill character fields a compacted prompt let the AI leave empty: from the
+ * same character in the previous tracker, then from the roster.
+ */
+function fillCompactedCharacterFields(data, prev, roster) {
+    for (const c of data.characters || []) {
+        const old   = (prev?.characters || []).find(o => o.name === c.name);
+        const known = roster.get(c.name);
+        for (const f of getCharacterFields()) {
+            if (!isBlankValue(formatFieldValue(f, c[f.key]))) continue;
+            const v = !isBlankValue(formatFieldValue(f, old?.[f.key])) ? old[f.key] : known?.[f.key];
+            if (!isBlankValue(formatFieldValue(f, v))) c[f.key] = v;
+        }
+    }
 }
 
-// ── Prompt injection ──────────────────────────────────────────
+// ── Prompt building ───────────────────────────────────────────
 
+/**
+ * Set the main tracker prompt.  Without a token budget it is injected at
+ * once; with one, every compaction level is built now (so later chat changes
+ * can't leak in) and one is chosen once the tokenizer has counted them.
+ * Returns a promise that settles when the prompt is in place — callers that
+ * lead into a generation await it, and onGenerationStarted waits for the
+ * latest one in case a caller didn't.
+ */
 function injectPrompt(includeLatestUserMsg = true) {
     const s = getSettings();
-    if (!s.enabled) {
-        setExtensionPrompt(EXT_NAME, '', extension_prompt_types.BEFORE_PROMPT, 0);
-        return;
+    const seq = ++promptSeq;
+    if (!s.enabled || getGenerationMode() === 'separate') {
+        clearTrackerPrompt();
+        return (pendingInject = Promise.resolve());
+    }
+
+    const budget = parseInt(s.tokenBudget, 10) || 0;
+    if (budget <= 0) {
+        setTrackerPrompt(buildInjectionPrompt(includeLatestUserMsg));
+        return (pendingInject = Promise.resolve());
     }
+    const variants = COMPACTION_LEVELS.map((_, level) => buildInjectionPrompt(includeLatestUserMsg, level));
+    return (pendingInject = fitPromptToBudget(variants, budget, seq));
+}
 
-    const maxShift = (Number(s.heartSensitivity) || 5) * 500;
+/**
+ * The main injected instructions at a compaction `level` (see COMPACTION_LEVELS).
+ */
+function buildInjectionPrompt(includeLatestUserMsg = true, level = 0) {
+    const s = getSettings();
+    const maxShift = getMaxHeartShift();
+    const state    = getChatState();
 
     const ctx  = getContext();
     const chat = ctx?.chat || [];
 
     // Most recent tracker — concrete starting point for all fields
-    let currentTrackerText = 'No previous tracker yet — this is the start of the story.';
+    let currentTrackerText = state.lastTime
+        ? `No tracker on the current messages — the last known time in this chat was ${state.lastTime}.`
+        : 'No previous tracker yet — this is the start of the story.';
+    let currentTracker = null;
     for (let i = chat.length - 1; i >= 0; i--) {
         if (chat[i]?.extra?.tt_tracker) {
-            currentTrackerText = formatTrackerForPrompt(chat[i].extra.tt_tracker);
+            currentTracker = chat[i].extra.tt_tracker;
+            currentTrackerText = level >= 2
+                ? formatChangedTrackerForPrompt(currentTracker, getMostRecentTracker(chat, i), level >= 3 ? findRosterEntry : null)
+                : formatTrackerForPrompt(currentTracker);
             break;
         }
     }
@@ -1513,62 +4060,55 @@ function injectPrompt(includeLatestUserMsg = true) {
         return `${c.emoji} ${c.min.toLocaleString()}–${maxLabel}`;
     }).join('   ');
 
-    const prompt = `[TurboTracker — mandatory instructions]
-At the very end of EVERY response, after all narrative text, append a tracker block in exactly this format:
-
-[TRACKER]
-time: h:MM AM/PM; story-appropriate date (DayOfWeek)
-location: Full location description
-weather: Weather condition, temperature in °F (e.g. Warm morning sun, light mountain breeze, 65°F)
-heart: integer_value
-characters:
-- name: CharacterName | description: Hair color, eye color, height, build, notable features | outfit: Full clothing description | state: Emotional/physical state | position: Precise location and posture within the scene (e.g. "Seated at the bar, elbows on the counter, facing the door")
-[/TRACKER]
-${userMsgSection}
-PREVIOUS TRACKER STATE — your baseline. Update each field that the current exchange (user message + your response) requires; copy everything else forward exactly:
-${currentTrackerText}
-
-TIME RULES — most important field:
-  • IN-STORY fiction time only. NEVER use the real-world current date or clock time.
-  • HARD CAP: Advance by AT MOST 20 minutes from the baseline, unless the narrative text contains a literal, explicit time-skip phrase such as "an hour passed", "by late afternoon", "after several hours", "the next morning", etc.
-  • Default advance: 2–10 minutes for a typical exchange.
-  • Atmosphere words ("the morning sun", "it's almost noon", "the midday heat") are NOT time-skip phrases and must NOT move the clock more than a few minutes.
-  • The date must match the story's setting (fantasy era, sci-fi calendar, historical period, etc.).
-  • If no previous time exists, invent one that fits the world — do NOT use today's date.
-  • Only jump hours or days when the exchange explicitly depicts that much time passing.
-
-  Correct examples (fictional — not real-world dates):
-    Sci-fi:     "9:10 PM; 01/20/31 BBY (Monday)"
-    Historical: "8:10 PM; 10/4/1452 (Monday)"
-    Fantasy:    "11:30 PM; Day 47, Third Age (Friday)"
-
-OTHER FIELD RULES:
-  • Location: update if the user's message or your response shows characters moving somewhere new.
-  • Weather: update only if the exchange gives a narrative reason.
-  • Characters: add or remove only as the scene requires.
-
-Heart Meter:
-  Tracks the CHARACTER's romantic interest in {{user}}. Starts at 0 for every new story. Range: 0–99,999.
-  Only the character's own emotions drive this — never adjust based on user actions alone.
-  Current value: ${s.heartPoints}
-  THIS RESPONSE: the heart value MUST be between ${Math.max(0, s.heartPoints - maxShift)} and ${Math.min(99999, s.heartPoints + maxShift)}. Any value outside this range is an error.
-  Expected change amounts for this sensitivity level:
-    Neutral/casual exchange:              +${Math.round(maxShift * 0.2 / 100) * 100} – +${Math.round(maxShift * 0.4 / 100) * 100}
-    Friendly/kind interaction:            +${Math.round(maxShift * 0.3 / 100) * 100} – +${Math.round(maxShift * 0.5 / 100) * 100}
-    Meaningful positive moment:           +${Math.round(maxShift * 0.5 / 100) * 100} – +${Math.round(maxShift * 0.8 / 100) * 100}
-    Major emotional event (kiss/confession): +${Math.round(maxShift * 0.8 / 100) * 100} – +${Math.round(maxShift * 1.0 / 100) * 100}
-    Negative interaction:                 -${Math.round(maxShift * 0.2 / 100) * 100} – -${Math.round(maxShift * 0.7 / 100) * 100}
-  Do NOT return tiny values like 100–200 unless sensitivity is at its minimum. Use the ranges above as your guide.
-  ${colorDesc}
+    // Instructions for user-defined fields from the field registry
+    const customFields = [...getCustomFields('scene'), ...getCustomFields('character')];
+    const customRules = (customFields.length
+        ? customFields.map(f => `  • ${f.label}${f.scope === 'character' ? ' (per character)' : ''}: ${fieldTemplateHint(f)}.`).join('\n') + '\n'
+        : '') + (isInventoryEnabled()
+        ? '  • Inventory (per character): report ONLY what changed since the previous tracker — "+2 torch", "-1 healing potion", "equip sword", "unequip shield" — or "none". Never re-list items the character already carries.\n'
+        : '') + (isRelationshipTrackingEnabled()
+        ? `  • Relationships: one entry for each ordered pair of characters in the scene — how "from" feels about "to", labelled ${RELATIONSHIP_LABELS.join(' / ')}, scored -${RELATIONSHIP_RANGE} (hostile) to ${RELATIONSHIP_RANGE} (devoted). A score moves by at most ±${getRelationshipMaxShift()} per response.\n`
+        : '') + (isQuestTrackingEnabled()
+        ? '  • Quests: add a quests entry only when this exchange opens, completes or fails a quest or objective — otherwise leave the quests section out.\n'
+        : '') + (isWeatherEngineEnabled() ? weatherPromptRule(currentTracker) : '') + unitsPromptRule();
+
+    // Per-character heart ranges, one line per character in the current scene
+    const charHeartSection = s.perCharacterHeart
+        ? `\n  Per-character hearts: every character line carries its own heart value — that character's romantic interest in {{user}}, with the same scale and shift limit as above.
+${[...formatCharacterHeartRanges(currentTracker, maxShift), `    - New characters: start near ${getChatSetting('defaultHeartValue') || 0}`].join('\n')}
+  The top-level heart value must always equal {{char}}'s own character heart.`
+        : '';
 
-Characters section:
-  List every character currently present in the scene.
-  Each line must use the pipe-separated format shown above.
-  description: physical description — hair color, eye color, height, build, notable features. Pull from character/user card if available; infer or estimate if not.
-  state: specific emotional and/or physical condition (e.g. "Nervous, fidgeting with her braid" or "Relaxed, slightly flushed from the heat").
-  position: precise placement and posture in the scene (e.g. "Leaning against the bar with arms crossed, facing the entrance" or "Seated across the table, hands wrapped around a mug, leaning slightly forward").`;
+    const savedRoster  = formatRosterForPrompt();
+    const activeQuests = formatActiveQuestsForPrompt();
+    const r100 = f => Math.round(maxShift * f / 100) * 100;
+    const prompt = renderPromptTemplate('inject', {
+        tracker_template: buildTrackerTemplate(),
+        user_message:     userMsgSection,
+        previous_tracker: currentTrackerText,
+        roster:           savedRoster && `\n\n${savedRoster}`,
+        quests:           activeQuests && `\n\n${activeQuests}`,
+        calendar_rules:   calendarPromptRules(undefined, level < 1),
+        custom_rules:     customRules,
+        heart_value:      state.heartPoints,
+        heart_min:        Math.max(0, state.heartPoints - maxShift),
+        heart_max:        Math.min(99999, state.heartPoints + maxShift),
+        heart_guide: [
+            `    Neutral/casual exchange:              +${r100(0.2)} – +${r100(0.4)}`,
+            `    Friendly/kind interaction:            +${r100(0.3)} – +${r100(0.5)}`,
+            `    Meaningful positive moment:           +${r100(0.5)} – +${r100(0.8)}`,
+            `    Major emotional event (kiss/confession): +${r100(0.8)} – +${r100(1.0)}`,
+            `    Negative interaction:                 -${r100(0.2)} – -${r100(0.7)}`,
+        ].join('\n'),
+        color_legend:     colorDesc,
+        character_hearts: charHeartSection,
+        character_format: getTrackerFormat() === 'text'
+            ? 'Each line must use the pipe-separated format shown above.'
+            : `Each character is one entry with the keys shown above. Output valid ${getTrackerFormat().toUpperCase()} only.`,
+    });
 
-    setExtensionPrompt(EXT_NAME, prompt, extension_prompt_types.BEFORE_PROMPT, 0);
+    // Compacted prompts lose their "(e.g. …)" examples, template text included
+    return level >= 1 ? prompt.replace(/ ?\(e\.g\.[^()]*\)/g, '') : prompt;
 }
 
 // ── Blank-field helpers ───────────────────────────────────────
@@ -1576,50 +4116,71 @@ Characters section:
 const isBlankValue = v => v == null || String(v).trim() === '' || String(v).trim().toLowerCase() === 'unknown';
 
 function hasBlankFields(tracker) {
-    if (isBlankValue(tracker.time) || isBlankValue(tracker.location) || isBlankValue(tracker.weather)) return true;
+    if (getSceneFields().some(f => isBlankValue(formatFieldValue(f, tracker[f.key])))) return true;
     if (tracker.heart === null || tracker.heart === undefined) return true;
-    for (const c of (tracker.characters || [])) {
-        if (!c.description || !c.outfit || !c.state || !c.position) return true;
-    }
-    return false;
+    return hasBlankCharacterFields(tracker);
+}
+
+function hasBlankCharacterFields(tracker) {
+    const charFields = getCharacterFields();
+    return (tracker.characters || []).some(c => charFields.some(f => isBlankValue(formatFieldValue(f, c[f.key]))));
+}
+
+const markBlank = (f, v) => isBlankValue(formatFieldValue(f, v)) ? '???' : formatFieldValue(f, v);
+
+/**
+ * Scene field values with blanks replaced by ???, for fill prompts.
+ */
+function blankMarkedSceneValues(tracker) {
+    return Object.fromEntries(getSceneFields().map(f => [f.key, markBlank(f, tracker[f.key])]));
+}
+
+/**
+ * Character template entries with blanks replaced by ???, for fill prompts.
+ */
+function blankMarkedCharacters(tracker) {
+    return (tracker.characters || []).length
+        ? tracker.characters.map(c => characterTemplateFrom(c, markBlank))
+        : [characterTemplateFrom(emptyCharacter('???'), () => '???')];
 }
 
 function formatTrackerWithBlanks(tracker) {
-    const mark = v => isBlankValue(v) ? '???' : v;
     const heartStr = (tracker.heart === null || tracker.heart === undefined) ? '???' : (parseInt(tracker.heart, 10) || 0);
-    let text = `time: ${mark(tracker.time)}\nlocation: ${mark(tracker.location)}\nweather: ${mark(tracker.weather)}\nheart: ${heartStr}`;
+    const lines = getSceneFields().map(f => `${f.key}: ${markBlank(f, tracker[f.key])}`);
+    lines.push(`heart: ${heartStr}`);
+    let text = lines.join('\n');
     if (tracker.characters && tracker.characters.length > 0) {
         text += '\ncharacters:';
         for (const c of tracker.characters) {
-            text += `\n- name: ${c.name} | description: ${mark(c.description)} | outfit: ${mark(c.outfit)} | state: ${mark(c.state)} | position: ${mark(c.position)}`;
+            text += `\n- ${formatCharacterLine(c, markBlank)}`;
         }
     }
     return text;
 }
 
 function mergeTrackers(existing, filled) {
+    const charFields  = getCharacterFields();
+    const isBlankField = (f, v) => isBlankValue(formatFieldValue(f, v));
     const mergedChars = (existing.characters || []).map(ec => {
         const fc = (filled.characters || []).find(c => c.name === ec.name) || {};
-        return {
-            name:        ec.name,
-            description: ec.description || fc.description || '',
-            outfit:      ec.outfit      || fc.outfit      || '',
-            state:       ec.state       || fc.state       || '',
-            position:    ec.position    || fc.position    || '',
-        };
+        const merged = { ...ec };
+        for (const f of charFields) {
+            merged[f.key] = (isBlankField(f, ec[f.key]) && !isBlankField(f, fc[f.key])) ? fc[f.key] : ec[f.key];
+        }
+        return merged;
     });
 
     // Append any characters the AI returned that weren't in the existing tracker
     const existingNames = new Set((existing.characters || []).map(c => c.name));
     const newChars = (filled.characters || []).filter(c => c.name && !existingNames.has(c.name));
 
-    return {
-        time:       isBlankValue(existing.time)     && filled.time     ? filled.time     : existing.time,
-        location:   isBlankValue(existing.location) && filled.location ? filled.location : existing.location,
-        weather:    isBlankValue(existing.weather)  && filled.weather  ? filled.weather  : existing.weather,
-        heart:      (existing.heart !== null && existing.heart !== undefined) ? existing.heart : filled.heart,
-        characters: [...mergedChars, ...newChars],
-    };
+    const merged = { ...existing };
+    for (const f of getSceneFields()) {
+        if (isBlankField(f, existing[f.key]) && !isBlankField(f, filled[f.key])) merged[f.key] = filled[f.key];
+    }
+    merged.heart      = (existing.heart !== null && existing.heart !== undefined) ? existing.heart : filled.heart;
+    merged.characters = [...mergedChars, ...newChars];
+    return merged;
 }
 
 // ── Retroactive population ────────────────────────────────────
@@ -1627,6 +4188,17 @@ function mergeTrackers(existing, filled) {
 let isPopulating = false;
 let stopPopulate = false;
 
+/**
+ * Ask a running populate loop to stop after the current message.
+ * Returns false if nothing was running.
+ */
+function requestPopulateStop() {
+    if (!isPopulating) return false;
+    stopPopulate = true;
+    $('#tt-stop-btn').prop('disabled', true).html('<i class="fa-solid fa-spinner fa-spin"></i> Stopping…');
+    return true;
+}
+
 async function populateAllMessages() {
     if (isPopulating) return;
     isPopulating = true;
@@ -1640,8 +4212,10 @@ async function populateAllMessages() {
     stopBtn.show().prop('disabled', false).html('<i class="fa-solid fa-stop"></i> Stop');
 
     try {
-        const s   = getSettings();
-        const ctx = getContext();
+        const s      = getSettings();
+        const ctx    = getContext();
+        const state  = getChatState();
+        const chatId = ctx.getCurrentChatId?.();
         if (!ctx.chat || ctx.chat.length === 0) {
             status.text('No chat loaded.');
             return;
@@ -1650,8 +4224,8 @@ async function populateAllMessages() {
         // Completely clear the extension prompt for all quiet generations inside this loop.
         // Each genPrompt below supplies its own explicit context (previous tracker + conversation
         // excerpt), so the main extension prompt would only add noise — and would supply
-        // s.heartPoints / current tracker state that could contaminate historical generations.
-        setExtensionPrompt(EXT_NAME, '', extension_prompt_types.BEFORE_PROMPT, 0);
+        // state.heartPoints / current tracker state that could contaminate historical generations.
+        clearTrackerPrompt();
 
         const totalMessages = ctx.chat.length;
         let done = 0;
@@ -1666,6 +4240,11 @@ async function populateAllMessages() {
                 status.text('Stopped by user.');
                 break;
             }
+            if (getContext().getCurrentChatId?.() !== chatId) {
+                ttDebug('Populate stopped — chat changed');
+                stopPopulate = true;
+                break;
+            }
 
             const msg = ctx.chat[idx];
 
@@ -1674,22 +4253,20 @@ async function populateAllMessages() {
                 const stImported = tryImportSTTracker(msg);
                 if (stImported) {
                     const sourceTracker = getMostRecentTracker(ctx.chat, idx);
-                    stImported.heart = sourceTracker?.heart ?? s.heartPoints;
-                    msg.extra = msg.extra || {};
-                    msg.extra.tt_tracker = stImported;
+                    stImported.heart = sourceTracker?.heart ?? state.heartPoints;
+                    setMessageTracker(msg, stImported);
                     ttDebug(`  user #${idx}: STTracker imported, heart=${stImported.heart}`);
                 } else {
                     const sourceTracker = getMostRecentTracker(ctx.chat, idx);
                     if (sourceTracker) {
-                        msg.extra = msg.extra || {};
-                        const existing = msg.extra.tt_tracker;
+                        const existing = msg.extra?.tt_tracker;
                         if (existing) {
-                            msg.extra.tt_tracker = { ...existing, heart: sourceTracker.heart };
+                            setMessageTracker(msg, { ...existing, heart: sourceTracker.heart });
                             ttDebug(`  user #${idx}: synced heart=${sourceTracker.heart}`);
                         } else {
                             const nudge = 2 + Math.floor(Math.random() * 4);
                             const nudgedTime = advanceTimeString(sourceTracker.time, nudge);
-                            msg.extra.tt_tracker = { ...sourceTracker, time: nudgedTime };
+                            setMessageTracker(msg, { ...sourceTracker, time: nudgedTime });
                             ttDebug(`  user #${idx}: inherited time="${sourceTracker.time}" +${nudge}min → "${nudgedTime}" heart=${sourceTracker.heart}`);
                         }
                     } else {
@@ -1712,9 +4289,9 @@ async function populateAllMessages() {
 
             ttDebug(`populate #${idx}: hasTracker=${!!msg.extra?.tt_tracker} hasSTTracker=${!!(msg.tracker && Object.keys(msg.tracker || {}).length)} heartLocked=${heartLocked}${heartLocked ? ` val=${lockedHeartVal}` : ''}`);
 
-            // Strip any leftover [TRACKER] text from msg.mes regardless of path
-            if ((msg.mes || '').match(/\[TRACKER\]/i)) {
-                msg.mes = (msg.mes || '').replace(/\[TRACKER\][\s\S]*?(?:\[\/TRACKER\]|$)/gi, '').trim();
+            // Strip any leftover tracker text from msg.mes regardless of path
+            if (hasTrackerBlock(msg.mes)) {
+                msg.mes = stripTrackerBlocks(msg.mes);
             }
 
             // ── Priority 1: STTracker data on this exact message ──────────
@@ -1725,52 +4302,36 @@ async function populateAllMessages() {
                 ttDebug(`  #${idx} P1: STTracker time="${stImported.time}" loc="${stImported.location}"`);
                 // Compute heart context — ST-Tracker never has heart data
                 const prevContext = getMostRecentTracker(ctx.chat, idx);
-                const prevHeart = parseInt(prevContext?.heart ?? s.heartPoints, 10) || 0;
-                const pMaxShift = (Number(s.heartSensitivity) || 5) * 500;
+                const prevHeart = parseInt(prevContext?.heart ?? state.heartPoints, 10) || 0;
+                const pMaxShift = getMaxHeartShift();
 
                 // Heart handled separately — set placeholder so fill focuses on other fields
                 stImported.heart = heartLocked ? lockedHeartVal : prevHeart;
 
-                msg.extra = msg.extra || {};
-                msg.extra.tt_tracker = stImported;
+                setMessageTracker(msg, stImported);
 
                 // Fill non-heart blank fields (location details, character info, etc.)
-                const hasOtherBlanks = isBlankValue(stImported.time) || isBlankValue(stImported.location) || isBlankValue(stImported.weather) ||
-                    (stImported.characters || []).some(c => !c.description || !c.outfit || !c.state || !c.position);
+                const hasOtherBlanks = getSceneFields().some(f => isBlankValue(formatFieldValue(f, stImported[f.key]))) ||
+                    hasBlankCharacterFields(stImported);
 
                 if (hasOtherBlanks) {
                     ttDebug(`  #${idx} P1: has blank non-heart fields, calling AI fill`);
-                    const markV = v => isBlankValue(v) ? '???' : v;
-                    const fillCharsText = (stImported.characters || []).length
-                        ? stImported.characters
-                            .map(c => `- name: ${c.name} | description: ${markV(c.description)} | outfit: ${markV(c.outfit)} | state: ${markV(c.state)} | position: ${markV(c.position)}`)
-                            .join('\n')
-                        : '- name: ??? | description: ??? | outfit: ??? | state: ??? | position: ???';
-                    const fillPrompt =
-`[OOC: Extract tracker metadata from the story excerpt below. Output ONLY the completed [TRACKER]...[/TRACKER] block. Fill every ??? using the story for context. Do NOT change the heart value. No story content, no dialogue — only the block.]
-
-Story excerpt:
-"${(msg.mes || '').slice(0, 600)}"
-
-[TRACKER]
-time: ${markV(stImported.time)}
-location: ${markV(stImported.location)}
-weather: ${markV(stImported.weather)}
-heart: ${prevHeart}
-characters:
-${fillCharsText}
-[/TRACKER]`;
-                    setExtensionPrompt(EXT_NAME, '', extension_prompt_types.BEFORE_PROMPT, 0);
+                    const fillPrompt = renderPromptTemplate('fill', {
+                        block_name:       trackerBlockName(),
+                        excerpt:          (msg.mes || '').slice(0, 600),
+                        tracker_template: buildTrackerTemplate({ ...blankMarkedSceneValues(stImported), heart: prevHeart }, blankMarkedCharacters(stImported)),
+                    });
+                    clearTrackerPrompt();
                     try {
                         const response = await generateQuietPrompt(fillPrompt, false, true);
                         ttDebug(`  #${idx} P1 fill raw: "${response.slice(0, 300).replace(/\n/g, '\\n')}"`);
-                        const filled = parseTrackerBlock(response);
+                        const filled = parseTrackerOutput(response);
                         ttDebug(`  #${idx} P1 fill: parsed=${filled ? `time="${filled.time}"` : 'null'}`);
                         if (filled) {
                             // Merge non-heart fields only — heart handled below
                             const merged = mergeTrackers(stImported, filled);
                             merged.heart = stImported.heart; // preserve, don't use fill's heart
-                            msg.extra.tt_tracker = merged;
+                            setMessageTracker(msg, merged);
                         }
                     } catch (err) {
                         console.warn(`[TurboTracker] Could not fill blank ST fields for message #${idx}:`, err);
@@ -1782,17 +4343,19 @@ ${fillCharsText}
                 if (!heartLocked) {
                     if (!prevContext) {
                         // First message in chat — use default starting heart, no AI call
-                        msg.extra.tt_tracker.heart = s.defaultHeartValue || 0;
+                        msg.extra.tt_tracker.heart = getChatSetting('defaultHeartValue') || 0;
                         ttDebug(`  #${idx} P1: first message, heart set to default ${msg.extra.tt_tracker.heart}`);
                     } else {
                         ttDebug(`  #${idx} P1: generating heart (prev=${prevHeart})`);
-                        setExtensionPrompt(EXT_NAME, '', extension_prompt_types.BEFORE_PROMPT, 0);
+                        clearTrackerPrompt();
                         msg.extra.tt_tracker.heart = await generateHeartValue(msg.mes, prevHeart, pMaxShift);
                     }
                 }
 
+                applyCharacterHearts(msg.extra.tt_tracker, prevContext, pMaxShift, true);
+                setMessageTracker(msg, msg.extra.tt_tracker);
                 // Always update the running heart state so subsequent messages have a correct baseline
-                s.heartPoints = parseInt(msg.extra.tt_tracker.heart, 10) || 0;
+                state.heartPoints = parseInt(msg.extra.tt_tracker.heart, 10) || 0;
                 ttDebug(`  #${idx} P1 done: time="${msg.extra.tt_tracker.time}" heart=${msg.extra.tt_tracker.heart}`);
                 renderMessageTracker(idx);
                 done++;
@@ -1805,52 +4368,40 @@ ${fillCharsText}
                 ttDebug(`  #${idx} P2: existing tt_tracker time="${msg.extra.tt_tracker.time}" heart=${msg.extra.tt_tracker.heart}`);
                 // Compute heart context for potential generation
                 const prevContext2 = getMostRecentTracker(ctx.chat, idx);
-                const prevHeart2 = parseInt(prevContext2?.heart ?? s.heartPoints, 10) || 0;
-                const p2MaxShift = (Number(s.heartSensitivity) || 5) * 500;
+                const prevHeart2 = parseInt(prevContext2?.heart ?? state.heartPoints, 10) || 0;
+                const p2MaxShift = getMaxHeartShift();
 
                 // Inline heart always wins over whatever is stored
                 if (heartLocked) {
-                    msg.extra.tt_tracker = { ...msg.extra.tt_tracker, heart: lockedHeartVal };
-                    s.heartPoints = lockedHeartVal;
+                    setMessageTracker(msg, { ...msg.extra.tt_tracker, heart: lockedHeartVal });
+                    state.heartPoints = lockedHeartVal;
                 } else if (msg.extra.tt_tracker.heart !== null) {
-                    s.heartPoints = parseInt(msg.extra.tt_tracker.heart, 10) || 0;
+                    state.heartPoints = parseInt(msg.extra.tt_tracker.heart, 10) || 0;
                 }
 
                 if (hasBlankFields(msg.extra.tt_tracker)) {
                     ttDebug(`  #${idx} P2: has blank fields, calling AI fill`);
                     const curTracker = msg.extra.tt_tracker;
                     const needsHeart = (curTracker.heart === null || curTracker.heart === undefined);
-                    const markV = v => isBlankValue(v) ? '???' : v;
-                    const fillCharsText = (curTracker.characters || []).length
-                        ? curTracker.characters
-                            .map(c => `- name: ${c.name} | description: ${markV(c.description)} | outfit: ${markV(c.outfit)} | state: ${markV(c.state)} | position: ${markV(c.position)}`)
-                            .join('\n')
-                        : '- name: ??? | description: ??? | outfit: ??? | state: ??? | position: ???';
-                    const fillPrompt =
-`[OOC: Extract tracker metadata from the story excerpt below. Output ONLY the completed [TRACKER]...[/TRACKER] block. Fill every ??? using the story for context. Do NOT change the heart value. No story content, no dialogue — only the block.]
-
-Story excerpt:
-"${(msg.mes || '').slice(0, 600)}"
-
-[TRACKER]
-time: ${markV(curTracker.time)}
-location: ${markV(curTracker.location)}
-weather: ${markV(curTracker.weather)}
-heart: ${needsHeart ? prevHeart2 : parseInt(curTracker.heart, 10) || 0}
-characters:
-${fillCharsText}
-[/TRACKER]`;
-                    setExtensionPrompt(EXT_NAME, '', extension_prompt_types.BEFORE_PROMPT, 0);
+                    const fillPrompt = renderPromptTemplate('fill', {
+                        block_name:       trackerBlockName(),
+                        excerpt:          (msg.mes || '').slice(0, 600),
+                        tracker_template: buildTrackerTemplate({
+                            ...blankMarkedSceneValues(curTracker),
+                            heart: needsHeart ? prevHeart2 : parseInt(curTracker.heart, 10) || 0,
+                        }, blankMarkedCharacters(curTracker)),
+                    });
+                    clearTrackerPrompt();
                     try {
                         const response = await generateQuietPrompt(fillPrompt, false, true);
                         ttDebug(`  #${idx} P2 fill raw: "${response.slice(0, 300).replace(/\n/g, '\\n')}"`);
-                        const filled = parseTrackerBlock(response);
+                        const filled = parseTrackerOutput(response);
                         ttDebug(`  #${idx} P2 fill: parsed=${filled ? `time="${filled.time}"` : 'null'}`);
                         if (filled) {
                             const merged = mergeTrackers(msg.extra.tt_tracker, filled);
                             // Preserve heart — don't use fill's value
                             merged.heart = msg.extra.tt_tracker.heart;
-                            msg.extra.tt_tracker = merged;
+                            setMessageTracker(msg, merged);
                             if (heartLocked) msg.extra.tt_tracker.heart = lockedHeartVal;
                         }
                     } catch (err) {
@@ -1862,13 +4413,15 @@ ${fillCharsText}
                 // If heart is still null after fill, generate via dedicated AI call
                 if (!heartLocked && (msg.extra.tt_tracker.heart === null || msg.extra.tt_tracker.heart === undefined)) {
                     ttDebug(`  #${idx} P2: heart still null, generating via dedicated AI call`);
-                    setExtensionPrompt(EXT_NAME, '', extension_prompt_types.BEFORE_PROMPT, 0);
+                    clearTrackerPrompt();
                     msg.extra.tt_tracker.heart = await generateHeartValue(msg.mes, prevHeart2, p2MaxShift);
                 }
 
+                applyCharacterHearts(msg.extra.tt_tracker, prevContext2, p2MaxShift, true);
+                setMessageTracker(msg, msg.extra.tt_tracker);
                 // Always update running heart state
                 if (msg.extra.tt_tracker.heart !== null) {
-                    s.heartPoints = parseInt(msg.extra.tt_tracker.heart, 10) || 0;
+                    state.heartPoints = parseInt(msg.extra.tt_tracker.heart, 10) || 0;
                 }
 
                 ttDebug(`  #${idx} P2 done: time="${msg.extra.tt_tracker.time}" heart=${msg.extra.tt_tracker.heart}`);
@@ -1878,20 +4431,22 @@ ${fillCharsText}
                 continue;
             }
 
-            // ── Priority 3: Inline [TRACKER] block in message text ────────
-            const existing = parseTrackerBlock(msg.mes || '');
+            // ── Priority 3: Inline tracker block in message text ──────────
+            const existing = resolveFromPrevious(parseTrackerOutput(msg.mes || ''), getMostRecentTracker(ctx.chat, idx));
             if (existing) {
-                ttDebug(`  #${idx} P3: [TRACKER] in msg.mes time="${existing.time}" heart=${existing.heart}`);
+                ttDebug(`  #${idx} P3: tracker block in msg.mes time="${existing.time}" heart=${existing.heart}`);
                 if (heartLocked) {
                     existing.heart = lockedHeartVal;
                 } else if (existing.heart !== null) {
-                    const maxShift = (Number(s.heartSensitivity) || 5) * 500;
-                    existing.heart = clampHeart(existing.heart, s.heartPoints, maxShift);
+                    const maxShift = getMaxHeartShift();
+                    existing.heart = clampHeart(existing.heart, state.heartPoints, maxShift);
                 }
-                if (existing.heart !== null) s.heartPoints = existing.heart;
-                msg.mes = (msg.mes || '').replace(/\[TRACKER\][\s\S]*?(?:\[\/TRACKER\]|$)/gi, '').trim();
-                msg.extra = msg.extra || {};
-                msg.extra.tt_tracker = existing;
+                applyCharacterHearts(existing, getMostRecentTracker(ctx.chat, idx), getMaxHeartShift(), heartLocked);
+                if (existing.heart !== null) state.heartPoints = existing.heart;
+                msg.mes = stripTrackerBlocks(msg.mes);
+                applyWeatherEngine(existing);
+                recordTrackerQuests(existing, idx);
+                setMessageTracker(msg, existing);
                 renderMessageTracker(idx);
                 done++;
                 status.text(`${done} / ${totalMessages} messages…`);
@@ -1904,7 +4459,7 @@ ${fillCharsText}
 
             ttDebug(`  #${idx} P4: AI gen — prevTime="${populatePrevTime || 'none'}" prevHeart=${populatePrevHeart}`);
 
-            const populateMaxShift = (Number(s.heartSensitivity) || 5) * 500;
+            const populateMaxShift = getMaxHeartShift();
             const heartKnownForPopulate = populatePrevHeart !== null;
             const populateHeartLo = heartLocked ? lockedHeartVal
                                   : heartKnownForPopulate ? Math.max(0,     populatePrevHeart - populateMaxShift) : 0;
@@ -1922,9 +4477,7 @@ ${fillCharsText}
             // so far less likely to produce roleplay.  Fall back to content heuristic on failure.
             let advanceMinutes = null;
             if (populatePrevTime) {
-                const minutePrompt =
-`[OOC: How many in-story minutes pass during the following story excerpt? Reply with ONLY a single integer. Minimum is 2. Examples: brief dialogue exchange = 2-6, moving to a nearby location = 8-15, a longer journey = 15-60, a large time skip = 60+. No other text — just the integer.]
-${msg.mes.slice(0, 600)}`;
+                const minutePrompt = renderPromptTemplate('minutes', { excerpt: msg.mes.slice(0, 600) });
                 try {
                     const minuteResp = await generateQuietPrompt(minutePrompt, false, true);
                     // Extract the first 1-4 digit number we can find in the response
@@ -1946,37 +4499,50 @@ ${msg.mes.slice(0, 600)}`;
             // Compute the final time — we own this value and the AI will not be asked to change it
             const prefilledTime = populatePrevTime
                 ? advanceTimeString(populatePrevTime, advanceMinutes)
-                : 'h:MM AM/PM; MM/DD/YYYY (DayOfWeek)';
+                : calendarTimeFormat();
 
             ttDebug(`  #${idx} P4: prefilledTime="${prefilledTime}" (advance=${advanceMinutes}min)`);
 
             // ── Step 2: Fill remaining tracker fields ─────────────────────
-            const prefilledLocation  = prevTrackerObj?.location || 'Unknown';
-            const prefilledWeather   = prevTrackerObj?.weather  || 'Unknown';
+            // Carry forward every scene field from the previous tracker except time,
+            // which we computed above.  Blank fields show their instruction.
+            const prefilledScene = {};
+            for (const f of getSceneFields()) {
+                const v = formatFieldValue(f, prevTrackerObj?.[f.key]);
+                if (!isBlankValue(v)) prefilledScene[f.key] = v;
+            }
+            prefilledScene.location = prefilledScene.location || 'Unknown';
+            prefilledScene.weather  = prefilledScene.weather  || 'Unknown';
             // Carry forward name/description/outfit but mark state/position as ??? —
-            // those are the fields most likely to change each message.
-            const prefilledCharsText = (prevTrackerObj?.characters?.length)
-                ? prevTrackerObj.characters
-                    .map(c => `- name: ${c.name} | description: ${c.description || '???'} | outfit: ${c.outfit || '???'} | state: ??? | position: ???`)
-                    .join('\n')
-                : `- name: CharacterName | description: Hair color, eye color, height, build | outfit: Full clothing description | state: Specific emotional/physical state | position: Precise placement and posture within the scene`;
-
-            const genPrompt =
-`[OOC: Complete this scene tracker. Fill each field based on the current story moment. The time is already set — do NOT change it. ${heartInstruction} Output ONLY the [TRACKER]...[/TRACKER] block — no story text, no dialogue, nothing else.]
-
-[TRACKER]
-time: ${prefilledTime}
-location: ${prefilledLocation}
-weather: ${prefilledWeather}
-heart: ${heartLocked ? lockedHeartVal : `integer between ${populateHeartLo} and ${populateHeartHi}`}
-characters:
-${prefilledCharsText}
-[/TRACKER]`;
+            // those are the fields most likely to change each message.  With no
+            // previous characters, start from the known characters the message mentions.
+            const detectedChars = detectCharactersInMessage(ctx.chat, idx);
+            const baseChars = prevTrackerObj?.characters?.length ? prevTrackerObj.characters : detectedChars;
+            const prefilledChars = baseChars
+                ? baseChars
+                    .map(c => ({ ...characterTemplateFrom(c, (f, v) => (f.key === 'state' || f.key === 'position') ? '???' : markBlank(f, v)), ...inventoryTemplate() }))
+                : [characterTemplate({
+                    description: 'Hair color, eye color, height, build',
+                    state:       'Specific emotional/physical state',
+                    position:    'Precise placement and posture within the scene',
+                })];
+
+            const genPrompt = renderPromptTemplate('populate', {
+                heart_rule:       heartInstruction,
+                heart_min:        populateHeartLo,
+                heart_max:        populateHeartHi,
+                block_name:       trackerBlockName(),
+                tracker_template: buildTrackerTemplate({
+                    ...prefilledScene,
+                    time:  prefilledTime,
+                    heart: heartLocked ? lockedHeartVal : `integer between ${populateHeartLo} and ${populateHeartHi}`,
+                }, prefilledChars),
+            });
 
             try {
                 const response = await generateQuietPrompt(genPrompt, false, true);
                 ttDebug(`  #${idx} P4 step2 raw: "${response.slice(0, 400).replace(/\n/g, '\\n')}"`);
-                const data = parseTrackerBlock(response);
+                const data = resolveFromPrevious(parseTrackerOutput(response), prevTrackerObj);
                 ttDebug(`  #${idx} P4 result: ${data ? `time="${data.time}" heart=${data.heart}` : 'null — retrying'}`);
                 if (data) {
                     // Always enforce our pre-computed time — never let the AI override it
@@ -1986,15 +4552,17 @@ ${prefilledCharsText}
                     } else if (data.heart !== null) {
                         data.heart = clampHeart(data.heart, populatePrevHeart, populateMaxShift);
                     }
-                    s.heartPoints = data.heart ?? populatePrevHeart;
-                    msg.extra = msg.extra || {};
-                    msg.extra.tt_tracker = data;
+                    applyCharacterHearts(data, prevTrackerObj, populateMaxShift, heartLocked);
+                    state.heartPoints = data.heart ?? populatePrevHeart;
+                    applyWeatherEngine(data);
+                    recordTrackerQuests(data, idx);
+                    setMessageTracker(msg, data);
                     renderMessageTracker(idx);
                 } else {
                     // Retry once
                     const retry = await generateQuietPrompt(genPrompt, false, true);
                     ttDebug(`  #${idx} P4 retry raw: "${retry.slice(0, 400).replace(/\n/g, '\\n')}"`);
-                    const retryData = parseTrackerBlock(retry);
+                    const retryData = resolveFromPrevious(parseTrackerOutput(retry), prevTrackerObj);
                     ttDebug(`  #${idx} P4 retry: ${retryData ? `time="${retryData.time}"` : 'null — using fallback'}`);
                     if (retryData) {
                         retryData.time = prefilledTime;
@@ -2003,27 +4571,35 @@ ${prefilledCharsText}
                         } else if (retryData.heart !== null) {
                             retryData.heart = clampHeart(retryData.heart, populatePrevHeart, populateMaxShift);
                         }
-                        s.heartPoints = retryData.heart ?? populatePrevHeart;
-                        msg.extra = msg.extra || {};
-                        msg.extra.tt_tracker = retryData;
+                        applyCharacterHearts(retryData, prevTrackerObj, populateMaxShift, heartLocked);
+                        state.heartPoints = retryData.heart ?? populatePrevHeart;
+                        applyWeatherEngine(retryData);
+                        recordTrackerQuests(retryData, idx);
+                        setMessageTracker(msg, retryData);
                         renderMessageTracker(idx);
                     } else {
                         // Both tracker fills failed — clone previous tracker with our computed time
-                        // and generate heart via heuristic
-                        ttDebug(`  #${idx} P4 fallback: cloning prev tracker, time="${prefilledTime}"`);
+                        // and generate heart via heuristic.  When the message mentions known
+                        // characters, they replace the cloned cast (keeping their previous state).
+                        ttDebug(`  #${idx} P4 fallback: cloning prev tracker, time="${prefilledTime}" detected=${(detectedChars || []).map(c => c.name).join(',') || 'none'}`);
+                        const prevChars = prevTrackerObj?.characters || [];
                         const fallback = prevTrackerObj
-                            ? { ...prevTrackerObj, time: prefilledTime, characters: [...(prevTrackerObj.characters || [])] }
-                            : { time: prefilledTime, location: 'Unknown', weather: 'Unknown', heart: null, characters: [] };
+                            ? { ...prevTrackerObj, time: prefilledTime }
+                            : { time: prefilledTime, location: 'Unknown', weather: 'Unknown', heart: null };
+                        fallback.characters = detectedChars
+                            ? detectedChars.map(c => ({ ...(prevChars.find(o => o.name === c.name) || c) }))
+                            : prevChars.map(c => ({ ...c }));
 
                         if (heartLocked) {
                             fallback.heart = lockedHeartVal;
                         } else {
-                            setExtensionPrompt(EXT_NAME, '', extension_prompt_types.BEFORE_PROMPT, 0);
+                            clearTrackerPrompt();
                             fallback.heart = await generateHeartValue(msg.mes, populatePrevHeart, populateMaxShift);
                         }
-                        s.heartPoints = parseInt(fallback.heart, 10) || populatePrevHeart;
-                        msg.extra = msg.extra || {};
-                        msg.extra.tt_tracker = fallback;
+                        applyCharacterHearts(fallback, prevTrackerObj, populateMaxShift, true);
+                        state.heartPoints = parseInt(fallback.heart, 10) || populatePrevHeart;
+                        applyWeatherEngine(fallback);
+                        setMessageTracker(msg, fallback);
                         renderMessageTracker(idx);
                         console.warn(`[TurboTracker] Used fallback tracker for message #${idx}.`);
                     }
@@ -2037,8 +4613,9 @@ ${prefilledCharsText}
             status.text(`${done} / ${totalMessages} messages…`);
         }
 
+        syncChatState();
         await ctx.saveChat();
-        saveSettingsDebounced();
+        saveChatState();
         status.text(stopPopulate ? 'Stopped.' : 'Done!');
         setTimeout(() => status.text(''), 3000);
 
@@ -2048,7 +4625,7 @@ ${prefilledCharsText}
         btn.prop('disabled', false);
         $('#tt-regen-all-btn').prop('disabled', false);
         stopBtn.hide();
-        injectPrompt(true); // restore full prompt when done
+        await injectPrompt(true); // restore full prompt when done
     }
 }
 
@@ -2059,7 +4636,7 @@ async function regenerateAllTrackers() {
 
     // Clear all tt_tracker entries, preserving everything else (msg.tracker, msg.mes, etc.)
     ctx.chat.forEach(msg => {
-        if (msg.extra?.tt_tracker) delete msg.extra.tt_tracker;
+        if (msg.extra?.tt_tracker) clearMessageTracker(msg);
     });
     $('.tt-container').remove();
 
@@ -2067,6 +4644,451 @@ async function regenerateAllTrackers() {
     await populateAllMessages();
 }
 
+// ── Timeline panel ────────────────────────────────────────────
+
+const REFRESH_DELAY = 250;
+let refreshTimer = null;
+
+/**
+ * Create the floating timeline panel and its extensions-menu entry once,
+ * then restore the saved open/dock state.
+ */
+function initTimelinePanel() {
+    if ($('#tt-panel').length) return;
+
+    $('body').append(`
+        <div id="tt-panel" class="tt-panel" style="display:none;">
+            <div class="tt-panel-header">
+                <b>TurboTracker</b>
+                <div class="tt-panel-buttons">
+                    <div id="tt-panel-dock" class="menu_button menu_button_icon fa-solid fa-arrow-right-arrow-left" title="Dock to the other side"></div>
+                    <div id="tt-panel-close" class="menu_button menu_button_icon fa-solid fa-xmark" title="Close"></div>
+                </div>
+            </div>
+            <div class="tt-panel-tabs">
+                <div class="tt-panel-tab" data-tab="timeline">🕰️ Timeline</div>
+                <div class="tt-panel-tab" data-tab="heart">💘 Heart</div>
+                <div class="tt-panel-tab" data-tab="roster">👥 Roster</div>
+                <div class="tt-panel-tab" data-tab="wardrobe">👗 Wardrobe</div>
+                <div class="tt-panel-tab" data-tab="relations">🤝 Relations</div>
+                <div class="tt-panel-tab" data-tab="quests">📜 Quests</div>
+            </div>
+            <div id="tt-panel-body" class="tt-panel-body"></div>
+        </div>`);
+
+    $('#extensionsMenu').append(`
+        <div id="tt-panel-menu-item" class="list-group-item flex-container flexGap5">
+            <div class="fa-solid fa-timeline extensionsMenuExtensionButton"></div>
+            Tracker Timeline
+        </div>`);
+
+    $('#tt-panel-menu-item').on('click', () => toggleTimelinePanel());
+    $('#tt-panel-close').on('click', () => toggleTimelinePanel(false));
+    $('#tt-panel-dock').on('click', function () {
+        const s = getSettings();
+        s.panelDock = s.panelDock === 'left' ? 'right' : 'left';
+        saveSettingsDebounced();
+        applyPanelDock();
+    });
+    $('#tt-panel .tt-panel-tab').on('click', function () {
+        getSettings().panelTab = $(this).data('tab');
+        saveSettingsDebounced();
+        refreshTimelinePanel();
+    });
+    $('#tt-panel-body').on('click', '.tt-tl-entry, .tt-graph-point, .tt-graph-milestone-item, .tt-wardrobe-item, .tt-quest-jump', function () {
+        jumpToMessage(parseInt(this.getAttribute('data-mesid')));
+    });
+    $('#tt-panel-body').on('change', '.tt-roster-input', function () {
+        updateRosterEntry(parseInt($(this).closest('.tt-roster-entry').data('index')), $(this).data('key'), $(this).val());
+    });
+    $('#tt-panel-body').on('click', '.tt-roster-add', function () {
+        getChatState().roster.push({ name: '', description: '', outfit: '', aliases: [], exclude: [], notes: '' });
+        saveChatState();
+        refreshTimelinePanel();
+        $('#tt-panel-body .tt-roster-input[data-key="name"]').last().trigger('focus');
+    });
+    $('#tt-panel-body').on('click', '.tt-roster-remove', function () {
+        getChatState().roster.splice(parseInt($(this).closest('.tt-roster-entry').data('index')), 1);
+        saveChatState();
+        refreshTimelinePanel();
+    });
+    $('#tt-panel-body').on('click', '.tt-quest-add-btn', function () {
+        const title = String($('#tt-panel-body .tt-quest-new-title').val() || '').trim();
+        if (!title) return;
+        recordQuestEdit({ action: 'open', title, description: String($('#tt-panel-body .tt-quest-new-desc').val() || '').trim() });
+        refreshTimelinePanel();
+    });
+    $('#tt-panel-body').on('click', '.tt-quest-action', function () {
+        const quests = getQuests();
+        const quest  = quests[parseInt($(this).closest('.tt-quest').data('index'))];
+        if (!quest) return;
+        // nth keeps the change on this quest when others share its title
+        const nth = quests.filter(q => sameName(q.title, quest.title)).indexOf(quest);
+        recordQuestEdit({ action: $(this).data('action'), title: quest.title, description: '', nth });
+        refreshTimelinePanel();
+    });
+    $('#tt-panel-body').on('click', '.tt-roster-import', function () {
+        const added = importRosterFromChat();
+        toastr.info(added ? `Added ${added} character(s) to the roster.` : 'Every character in this chat is already in the roster.', 'TurboTracker');
+        refreshTimelinePanel();
+    });
+
+    applyPanelDock();
+    if (getSettings().panelOpen) toggleTimelinePanel(true);
+}
+
+function applyPanelDock() {
+    $('#tt-panel')
+        .toggleClass('tt-panel-left', getSettings().panelDock === 'left')
+        .toggleClass('tt-panel-right', getSettings().panelDock !== 'left');
+}
+
+/**
+ * Show or hide the panel; with no argument the current state is flipped.
+ */
+function toggleTimelinePanel(open) {
+    const s = getSettings();
+    s.panelOpen = open ?? !s.panelOpen;
+    saveSettingsDebounced();
+    $('#tt-panel').toggle(s.panelOpen);
+    if (s.panelOpen) refreshTimelinePanel();
+}
+
+/**
+ * One entry per message with a tracker, oldest first.
+ */
+function buildTimelineHtml() {
+    const chat = getContext()?.chat || [];
+    const sceneFields = getSceneFields();
+
+    const entries = chat.map((msg, idx) => {
+        const t = msg?.extra?.tt_tracker;
+        if (!t) return '';
+        const heartPts = parseInt(t.heart, 10) || 0;
+        const rows = sceneFields
+            .map(f => [f, formatFieldValue(f, t[f.key])])
+            .filter(([, v]) => !isBlankValue(v))
+            .map(([f, v]) => `<div class="tt-tl-row">${esc(f.emoji || '•')} ${esc(localizeUnits(v))}</div>`)
+            .join('');
+        const names = (t.characters || []).map(c => esc(c.name)).join(', ');
+        return `
+            <div class="tt-tl-entry ${msg.is_user ? 'tt-tl-user' : ''}" data-mesid="${idx}" title="Jump to message #${idx}">
+                <div class="tt-tl-head">
+                    <span class="tt-tl-id">#${idx} ${esc(msg.name || '')}</span>
+                    <span class="tt-tl-heart">${getHeartEmoji(heartPts)} ${heartPts.toLocaleString()}</span>
+                </div>
+                ${rows}
+                ${names ? `<div class="tt-tl-row">👥 ${names}</div>` : ''}
+            </div>`;
+    }).join('');
+
+    return entries || '<div class="tt-panel-empty">No tracker data in this chat yet.</div>';
+}
+
+const PANEL_TABS = {
+    timeline:  buildTimelineHtml,
+    heart:     buildHeartGraphHtml,
+    roster:    buildRosterHtml,
+    wardrobe:  buildWardrobeHtml,
+    relations: buildRelationshipMatrixHtml,
+    quests:    buildQuestPanelHtml,
+};
+
+function refreshTimelinePanel() {
+    if (!$('#tt-panel').is(':visible')) return;
+    const tab = PANEL_TABS[getSettings().panelTab] ? getSettings().panelTab : 'timeline';
+    // Don't rebuild the roster form under the user's cursor
+    if (tab === 'roster' && $('#tt-panel .tt-panel-tab-active').data('tab') === 'roster' && $('#tt-panel-body :focus').length) return;
+    $('#tt-panel .tt-panel-tab').each(function () {
+        $(this).toggleClass('tt-panel-tab-active', $(this).data('tab') === tab);
+    });
+    $('#tt-panel-body').html(PANEL_TABS[tab]());
+}
+
+/**
+ * Coalesce the bursts of renders that happen on chat load or populate into
+ * a single rebuild of everything derived from the chat's trackers.
+ */
+function scheduleTrackerRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(() => {
+        refreshTimelinePanel();
+        syncTrackerMacros();
+    }, REFRESH_DELAY);
+}
+
+function jumpToMessage(mesId) {
+    const el = $(`.mes[mesid="${mesId}"]`);
+    if (!el.length) {
+        toastr.info(`Message #${mesId} isn't loaded — scroll up in the chat to load older messages.`, 'TurboTracker');
+        return;
+    }
+    el[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    el.addClass('tt-flash');
+    setTimeout(() => el.removeClass('tt-flash'), 1500);
+}
+
+// ── Heart graph ───────────────────────────────────────────────
+
+const GRAPH_W   = 300;
+const GRAPH_H   = 180;
+const GRAPH_PAD = { l: 40, r: 10, t: 14, b: 10 };
+
+/**
+ * Heart values from AI-message trackers, oldest first.  User messages only
+ * mirror the previous AI heart, so they would just add flat duplicates.
+ */
+function collectHeartHistory() {
+    return (getContext()?.chat || []).map((msg, idx) => {
+        const h = parseInt(msg?.extra?.tt_tracker?.heart, 10);
+        return (msg?.is_user || isNaN(h)) ? null : { mesId: idx, heart: h, tier: getHeartTier(h) };
+    }).filter(Boolean);
+}
+
+const shortNum = n => n >= 1000 ? `${Math.round(n / 100) / 10}k` : String(n);
+
+/**
+ * SVG line chart of the heart history with the tier boundaries drawn as
+ * dashed lines and a marker wherever the value crosses into another tier.
+ * The y axis stops at the top of the highest tier reached, so slow-burn
+ * stories aren't flattened against a 0–99,999 scale.
+ */
+function buildHeartGraphHtml() {
+    const points = collectHeartHistory();
+    if (points.length < 2) return '<div class="tt-panel-empty">Not enough heart data to plot yet.</div>';
+
+    const colors = getSettings().heartColors;
+    const peak   = Math.max(...points.map(p => p.heart));
+    const top    = Math.max(1, colors.find(c => c.max >= peak)?.max ?? 99999);
+    const { l, r, t, b } = GRAPH_PAD;
+    const x = i => (l + (i / (points.length - 1)) * (GRAPH_W - l - r)).toFixed(1);
+    const y = v => (t + (1 - Math.min(v, top) / top) * (GRAPH_H - t - b)).toFixed(1);
+
+    const tiers = colors
+        .filter(c => c.min > 0 && c.min <= top)
+        .map(c => `
+            <line class="tt-graph-tier" x1="${l}" x2="${GRAPH_W - r}" y1="${y(c.min)}" y2="${y(c.min)}"/>
+            <text class="tt-graph-axis" x="${l - 4}" y="${y(c.min)}" text-anchor="end" dominant-baseline="middle">${c.emoji} ${shortNum(c.min)}</text>`)
+        .join('');
+
+    const milestones = points.filter((p, i) => i > 0 && p.tier !== points[i - 1].tier);
+    const line = points.map((p, i) => `${x(i)},${y(p.heart)}`).join(' ');
+    const dots = points.map((p, i) => {
+        const isMilestone = milestones.includes(p);
+        return `
+            <circle class="tt-graph-point${isMilestone ? ' tt-graph-milestone' : ''}" data-mesid="${p.mesId}"
+                    cx="${x(i)}" cy="${y(p.heart)}" r="${isMilestone ? 5 : 3}">
+                <title>#${p.mesId} — ${colors[p.tier].emoji} ${p.heart.toLocaleString()}</title>
+            </circle>${isMilestone ? `
+            <text class="tt-graph-axis" x="${x(i)}" y="${(y(p.heart) - 8).toFixed(1)}" text-anchor="middle">${colors[p.tier].emoji}</text>` : ''}`;
+    }).join('');
+
+    const shifts   = points.slice(1).map((p, i) => Math.abs(p.heart - points[i].heart));
+    const avgShift = Math.round(shifts.reduce((a, v) => a + v, 0) / shifts.length);
+    const current  = points[points.length - 1];
+
+    const milestoneList = milestones.map(p => {
+        const prev = points[points.indexOf(p) - 1];
+        return `<div class="tt-graph-milestone-item" data-mesid="${p.mesId}">#${p.mesId} ${colors[prev.tier].emoji} → ${colors[p.tier].emoji} at ${p.heart.toLocaleString()}</div>`;
+    }).join('');
+
+    return `
+        <svg class="tt-graph" viewBox="0 0 ${GRAPH_W} ${GRAPH_H}" preserveAspectRatio="xMidYMid meet">
+            <line class="tt-graph-base" x1="${l}" x2="${GRAPH_W - r}" y1="${y(0)}" y2="${y(0)}"/>
+            <text class="tt-graph-axis" x="${l - 4}" y="${y(0)}" text-anchor="end" dominant-baseline="middle">0</text>
+            ${tiers}
+            <polyline class="tt-graph-line" points="${line}"/>
+            ${dots}
+        </svg>
+        <div class="tt-graph-stats">
+            Current ${colors[current.tier].emoji} ${current.heart.toLocaleString()} · Peak ${peak.toLocaleString()}<br>
+            Avg shift per response ±${avgShift.toLocaleString()} · Max ±${Math.max(...shifts).toLocaleString()} (limit ±${getMaxHeartShift().toLocaleString()})
+        </div>
+        <div class="tt-chars-header">Tier milestones</div>
+        ${milestoneList || '<div class="tt-panel-empty">No tier changes yet.</div>'}`;
+}
+
+// ── Roster tab ────────────────────────────────────────────────
+
+/**
+ * The chat's saved roster as an editable list; see getSavedRoster.
+ */
+function buildRosterHtml() {
+    if (!getContext()?.chatMetadata) return '<div class="tt-panel-empty">Open a chat to edit its roster.</div>';
+
+    const entries = (getChatState().roster || []).map((entry, idx) => `
+        <div class="tt-roster-entry" data-index="${idx}">
+            <div class="tt-roster-head">
+                <input class="tt-roster-input text_pole" data-key="name" value="${esc(entry.name || '')}" placeholder="Name">
+                <div class="tt-roster-remove menu_button menu_button_icon fa-solid fa-trash" title="Remove from roster"></div>
+            </div>
+            <textarea class="tt-roster-input text_pole" data-key="description" rows="2" placeholder="Canonical description">${esc(entry.description || '')}</textarea>
+            <input class="tt-roster-input text_pole" data-key="outfit" value="${esc(entry.outfit || '')}" placeholder="Default outfit">
+            <input class="tt-roster-input text_pole" data-key="aliases" value="${esc((entry.aliases || []).join(', '))}" placeholder="Aliases, comma-separated (e.g. the Captain)">
+            <input class="tt-roster-input text_pole" data-key="exclude" value="${esc((entry.exclude || []).join(', '))}" placeholder="Never match in, comma-separated (e.g. will be)">
+            <textarea class="tt-roster-input text_pole" data-key="notes" rows="2" placeholder="Notes for the AI">${esc(entry.notes || '')}</textarea>
+        </div>`).join('');
+
+    return `
+        <div class="tt-roster-tools">
+            <div class="tt-roster-add menu_button menu_button_icon"><i class="fa-solid fa-user-plus"></i> Add</div>
+            <div class="tt-roster-import menu_button menu_button_icon" title="Add every character found in this chat's trackers"><i class="fa-solid fa-file-import"></i> From chat</div>
+        </div>
+        ${entries || '<div class="tt-panel-empty">No characters in the roster yet. Roster descriptions are injected into every prompt and override the ones the AI writes.</div>'}`;
+}
+
+function updateRosterEntry(idx, key, value) {
+    const entry = getChatState().roster[idx];
+    if (!entry) return;
+    entry[key] = (key === 'aliases' || key === 'exclude')
+        ? String(value).split(',').map(a => a.trim()).filter(Boolean)
+        : String(value).trim();
+    saveChatState();
+}
+
+// ── Wardrobe log ──────────────────────────────────────────────
+
+/**
+ * Outfit changes across the chat's trackers, oldest first:
+ * { mesId, name, from, to, time }.  A character's first recorded outfit is
+ * an event with `from` null.  Aliases are folded into the roster name, and
+ * trackers that leave an outfit blank don't count as a change.
+ */
+function buildWardrobeLog(chat) {
+    const current = new Map();
+    const events  = [];
+    (chat || []).forEach((msg, mesId) => {
+        const t = msg?.extra?.tt_tracker;
+        for (const c of t?.characters || []) {
+            if (!c.name || isBlankValue(c.outfit)) continue;
+            const name = findRosterEntry(c.name)?.name || c.name;
+            const from = current.get(name) ?? null;
+            const to   = String(c.outfit).trim();
+            if (from !== null && sameName(from, to)) continue;
+            current.set(name, to);
+            events.push({ mesId, name, from, to, time: isBlankValue(t.time) ? '' : t.time });
+        }
+    });
+    return events;
+}
+
+/**
+ * One block per character with its current outfit and every change.
+ */
+function buildWardrobeHtml() {
+    const byName = new Map();
+    for (const e of buildWardrobeLog(getContext()?.chat)) {
+        if (!byName.has(e.name)) byName.set(e.name, []);
+        byName.get(e.name).push(e);
+    }
+    if (!byName.size) return '<div class="tt-panel-empty">No outfits recorded in this chat yet.</div>';
+
+    return [...byName].map(([name, events]) => `
+        <div class="tt-wardrobe-char">
+            <div class="tt-tl-head">
+                <span>${esc(name)}</span>
+                <span class="tt-wardrobe-count">${events.length - 1} change${events.length === 2 ? '' : 's'}</span>
+            </div>
+            <div class="tt-tl-row">👗 ${esc(events[events.length - 1].to)}</div>
+            ${events.slice().reverse().map(e => `
+            <div class="tt-wardrobe-item" data-mesid="${e.mesId}" title="Jump to message #${e.mesId}">
+                #${e.mesId}${e.time ? ` · ${esc(e.time)}` : ''} — ${e.from === null ? 'first seen wearing' : `${esc(e.from)} →`} ${esc(e.to)}
+            </div>`).join('')}
+        </div>`).join('');
+}
+
+// ── Relationship matrix ───────────────────────────────────────
+
+/**
+ * The latest tracker's relationship graph as a matrix: rows feel, columns
+ * are felt about.  Characters in the current scene are listed first.
+ */
+function buildRelationshipMatrixHtml() {
+    const tracker = latestTracker();
+    const pairs   = tracker?.relationships || [];
+    if (!pairs.length) {
+        return `<div class="tt-panel-empty">${isRelationshipTrackingEnabled()
+            ? 'No relationships recorded in this chat yet.'
+            : 'Turn on Track relationships in the TurboTracker settings.'}</div>`;
+    }
+
+    const names = [];
+    for (const name of [...(tracker.characters || []).map(c => c.name), ...pairs.flatMap(r => [r.from, r.to])]) {
+        if (name && !names.some(n => sameName(n, name))) names.push(name);
+    }
+    const find = (from, to) => pairs.find(r => sameName(r.from, from) && sameName(r.to, to));
+    const tone = score => score > 0 ? 'tt-rel-pos' : score < 0 ? 'tt-rel-neg' : 'tt-rel-zero';
+
+    const rows = names.map(from => `
+            <tr>
+                <th class="tt-rel-row-head">${esc(from)}</th>${names.map(to => {
+                    const r = sameName(from, to) ? null : find(from, to);
+                    return r
+                        ? `<td class="tt-rel-cell ${tone(r.score)}" title="${esc(`${r.from} → ${r.to}: ${r.label || 'no label'} ${r.score}`)}"><span class="tt-rel-score">${r.score}</span><span class="tt-rel-label">${esc(r.label)}</span></td>`
+                        : '<td class="tt-rel-cell tt-rel-empty">—</td>';
+                }).join('')}
+            </tr>`).join('');
+
+    return `
+        <table class="tt-rel-matrix">
+            <tr><th></th>${names.map(n => `<th class="tt-rel-col-head">${esc(n)}</th>`).join('')}</tr>${rows}
+        </table>
+        <div class="tt-graph-stats">Rows: how each character feels about the column character (−${RELATIONSHIP_RANGE} to ${RELATIONSHIP_RANGE}). Scores move at most ±${getRelationshipMaxShift()} per message.</div>`;
+}
+
+// ── Quest panel ───────────────────────────────────────────────
+
+const QUEST_ICONS = { active: '🎯', completed: '✅', failed: '❌' };
+
+/**
+ * Message index a quest change made by the user is recorded at: the
+ * newest message in the chat.
+ */
+function questMesId() {
+    return Math.max(0, (getContext()?.chat?.length || 1) - 1);
+}
+
+/**
+ * Active quests with complete/fail buttons, then the closed ones, newest
+ * first.  Message numbers jump to where a quest was opened or closed.
+ */
+function buildQuestPanelHtml() {
+    if (!getContext()?.chatMetadata) return '<div class="tt-panel-empty">Open a chat to see its quests.</div>';
+
+    const button = (action, icon, title) =>
+        `<div class="tt-quest-action menu_button menu_button_icon fa-solid ${icon}" data-action="${action}" title="${title}"></div>`;
+    const item = (q, idx) => `
+        <div class="tt-quest tt-quest-${q.status}" data-index="${idx}">
+            <div class="tt-tl-head">
+                <span>${QUEST_ICONS[q.status] || '•'} ${esc(q.title)}</span>
+                <span class="tt-quest-buttons">${q.status === 'active'
+                    ? button('completed', 'fa-check', 'Complete') + button('failed', 'fa-xmark', 'Fail')
+                    : button('reopen', 'fa-rotate-left', 'Reopen')}${button('remove', 'fa-trash', 'Remove')}</span>
+            </div>
+            ${q.description ? `<div class="tt-tl-row">${esc(q.description)}</div>` : ''}
+            <div class="tt-quest-meta">
+                <span class="tt-quest-jump" data-mesid="${q.openedAt}" title="Jump to message #${q.openedAt}">opened #${q.openedAt}</span>${q.closedAt !== null && q.closedAt !== undefined ? `
+                · <span class="tt-quest-jump" data-mesid="${q.closedAt}" title="Jump to message #${q.closedAt}">${esc(q.status)} #${q.closedAt}</span>` : ''}
+            </div>
+        </div>`;
+
+    const indexed = getQuests().map((q, idx) => [q, idx]);
+    const active  = indexed.filter(([q]) => q.status === 'active');
+    const closed  = indexed.filter(([q]) => q.status !== 'active').sort(([a], [b]) => (b.closedAt ?? 0) - (a.closedAt ?? 0));
+
+    return `
+        <div class="tt-quest-new">
+            <input class="tt-quest-new-title text_pole" placeholder="New quest">
+            <input class="tt-quest-new-desc text_pole" placeholder="Objective (optional)">
+            <div class="tt-quest-add-btn menu_button menu_button_icon"><i class="fa-solid fa-plus"></i> Open</div>
+        </div>
+        ${isQuestTrackingEnabled() ? '' : '<div class="tt-panel-empty">Quest tracking is off — the AI won\'t see or update these until Track quests is turned on.</div>'}
+        <div class="tt-chars-header">Active (${active.length})</div>
+        ${active.map(([q, idx]) => item(q, idx)).join('') || '<div class="tt-panel-empty">No active quests.</div>'}
+        <div class="tt-chars-header">History (${closed.length})</div>
+        ${closed.map(([q, idx]) => item(q, idx)).join('') || '<div class="tt-panel-empty">No completed or failed quests yet.</div>'}`;
+}
+
 // ── Event handlers ────────────────────────────────────────────
 
 async function onCharacterMessageRendered(mesId) {
@@ -2074,6 +5096,9 @@ async function onCharacterMessageRendered(mesId) {
     const msg = ctx.chat[mesId];
     if (!msg) return;
 
+    // A freshly generated swipe must not inherit the previous swipe's tracker
+    syncActiveSwipeTracker(msg);
+
     ttDebug(`EVENT char_msg_rendered #${mesId} hasTracker=${!!msg.extra?.tt_tracker}`);
 
     if (msg.extra?.tt_tracker) {
@@ -2089,22 +5114,37 @@ async function onCharacterMessageRendered(mesId) {
  * doesn't append a [TRACKER] block to the generated user message.
  * injectPrompt() is called again in onUserMessageRendered, which fires once
  * the impersonated message is placed into chat, restoring the prompt.
+ *
+ * SillyTavern awaits this handler, so waiting here for a token-budget fit
+ * still in progress keeps the generation from going out with an old prompt.
+ * The prompt in place is then remembered for the reply (see onMessageReceived).
  */
-function onGenerationStarted(type) {
+async function onGenerationStarted(type, options, dryRun) {
     const s = getSettings();
     if (!s.enabled) return;
 
     ttDebug(`GENERATION_STARTED type="${type}"`);
 
     if (type === 'impersonate') {
-        setExtensionPrompt(EXT_NAME, '', extension_prompt_types.BEFORE_PROMPT, 0);
+        clearTrackerPrompt();
         ttDebug('  → Impersonation — TT prompt suppressed');
         return;
     }
+    if (type === 'quiet') return; // quiet calls run with the tracker prompt cleared
+
+    await pendingInject;
+    await rebaseForRegeneration(type);
+    if (!dryRun) generationPrompt = injectedPrompt;
+}
 
+/**
+ * Regenerate / swipe of the last AI reply: re-inject the prompt with the heart
+ * baseline from before that reply, so its old tracker isn't built upon.
+ */
+async function rebaseForRegeneration(type) {
     // Only reset the baseline for explicit user-triggered regenerations.
     // 'normal' fires for background token-count / quiet-prompt operations and
-    // must be ignored here, otherwise those events corrupt s.heartPoints and
+    // must be ignored here, otherwise those events corrupt the heart baseline and
     // re-inject the wrong baseline while a generation is already in-flight.
     if (type !== 'regenerate' && type !== 'swipe') return;
     const ctx = getContext();
@@ -2118,19 +5158,28 @@ function onGenerationStarted(type) {
     const savedTracker = chat[lastAiIdx].extra.tt_tracker;
     chat[lastAiIdx].extra.tt_tracker = null;
 
-    let prevHeart = s.defaultHeartValue || 0;
+    let prevHeart = getChatSetting('defaultHeartValue') || 0;
     for (let i = lastAiIdx - 1; i >= 0; i--) {
         const h = chat[i]?.extra?.tt_tracker?.heart;
         if (h != null) { prevHeart = parseInt(h, 10) || 0; break; }
     }
-    s.heartPoints = prevHeart;
+    getChatState().heartPoints = prevHeart;
 
-    injectPrompt();
+    // The prompt text is built synchronously; with a token budget the
+    // promise settles once a compaction level is chosen.
+    const injected = injectPrompt();
 
-    // Restore — injectPrompt is synchronous so this is safe.
-    chat[lastAiIdx].extra.tt_tracker = savedTracker;
+    if (type === 'swipe') {
+        // The new swipe gets its own tracker once it renders.  The detached
+        // tracker stays in per-swipe storage for the swipe it belongs to.
+        delete chat[lastAiIdx].extra.tt_tracker;
+    } else {
+        // Restore — injectPrompt builds its text synchronously so this is safe.
+        chat[lastAiIdx].extra.tt_tracker = savedTracker;
+    }
 
     ttDebug(`  → Regen detected — re-injected prompt with pre-#${lastAiIdx} baseline, heart=${prevHeart}`);
+    await injected;
 }
 
 /**
@@ -2138,7 +5187,7 @@ function onGenerationStarted(type) {
  * Only renders existing tracker data — user message trackers are applied
  * retroactively by processMessage() after the AI responds.
  */
-function onUserMessageRendered(mesId) {
+async function onUserMessageRendered(mesId) {
     const ctx = getContext();
     const msg = ctx.chat[mesId];
     if (!msg || !msg.is_user) return;
@@ -2148,58 +5197,59 @@ function onUserMessageRendered(mesId) {
 
     ttDebug(`EVENT user_msg_rendered #${mesId} hasTracker=${!!msg.extra?.tt_tracker}`);
 
-    // Strip any [TRACKER] block the AI may have appended to an impersonated user
+    // Strip any tracker block the AI may have appended to an impersonated user
     // message. Without this, the AI sees a stale tracker in the user turn and uses
     // it as a baseline instead of the correct prior-message tracker.
-    if ((msg.mes || '').match(/\[TRACKER\]/i)) {
-        msg.mes = (msg.mes || '').replace(/\[TRACKER\][\s\S]*?(?:\[\/TRACKER\]|$)/gi, '').trim();
+    if (hasTrackerBlock(msg.mes)) {
+        msg.mes = stripTrackerBlocks(msg.mes);
         const mesText = $(`.mes[mesid="${mesId}"] .mes_text`);
-        if (mesText.length) {
-            mesText.html(mesText.html().replace(/\[TRACKER\][\s\S]*?\[\/TRACKER\]/gi, '').trim());
-        }
+        if (mesText.length) stripRenderedTracker(mesText, msg, mesId);
         ctx.saveChat();
-        ttDebug(`  #${mesId} user: stripped [TRACKER] block from impersonated message`);
+        ttDebug(`  #${mesId} user: stripped tracker block from impersonated message`);
     }
 
     // Re-inject the prompt now that the user's message is in chat — this ensures
     // the injected prompt includes the user's latest message as tracker context
     // before the AI begins generating its response.
-    injectPrompt();
+    const injected = injectPrompt();
 
     if (msg.extra?.tt_tracker) {
         renderMessageTracker(mesId);
     }
     // User message trackers are applied retroactively by populatePrecedingUserMessages
     // once the AI responds — no generation here.
+    await injected;
+}
+
+/**
+ * Fires when a reply is added to the chat, before it renders.  Pairs the reply
+ * with the prompt its generation started with, so processMessage knows how
+ * compacted that prompt was.
+ */
+function onMessageReceived(mesId) {
+    const msg = getContext().chat?.[mesId];
+    if (msg && !msg.is_user) replyPrompts.set(msg, generationPrompt);
 }
 
-function onChatChanged() {
+async function onChatChanged() {
     $('.tt-container').remove();
 
-    // Sync heartPoints with the most recent tracker in the incoming chat.
-    // For new chats with no tracker data, fall back to defaultHeartValue.
-    const s = getSettings();
+    // Sync the incoming chat's heart baseline with its most recent tracker.
     const ctx = getContext();
-    let latestHeart = s.defaultHeartValue || 0;
-    if (ctx?.chat) {
-        for (let i = ctx.chat.length - 1; i >= 0; i--) {
-            const h = ctx.chat[i]?.extra?.tt_tracker?.heart;
-            if (h != null) { latestHeart = parseInt(h, 10) || 0; break; }
-        }
-    }
-    s.heartPoints = latestHeart;
-    saveSettingsDebounced();
+    syncChatState();
+    renderChatOverridesUi();
+    scheduleTrackerRefresh();
 
-    injectPrompt();
+    const injected = injectPrompt();
 
-    if (!ctx?.chat) return;
+    if (!ctx?.chat) return injected;
 
     let modified = false;
     ctx.chat.forEach((msg, idx) => {
-        // Clean up any lingering [TRACKER] text in msg.mes — covers both AI messages
+        // Clean up any lingering tracker text in msg.mes — covers both AI messages
         // that weren't stripped at render time and impersonated user messages.
-        if ((msg.mes || '').match(/\[TRACKER\]/i)) {
-            msg.mes = (msg.mes || '').replace(/\[TRACKER\][\s\S]*?(?:\[\/TRACKER\]|$)/gi, '').trim();
+        if (hasTrackerBlock(msg.mes)) {
+            msg.mes = stripTrackerBlocks(msg.mes);
             modified = true;
         }
         if (msg.extra?.tt_tracker) {
@@ -2208,6 +5258,7 @@ function onChatChanged() {
     });
 
     if (modified) ctx.saveChat();
+    await injected;
 }
 
 async function onMessageEdited(mesId) {
@@ -2230,8 +5281,35 @@ async function onMessageEdited(mesId) {
     }
 }
 
+/**
+ * Fires when the user swipes an AI message.  Shows the tracker stored for the
+ * newly selected swipe and moves the heart baseline to match it.
+ */
+async function onMessageSwiped(mesId) {
+    const s = getSettings();
+    if (!s.enabled) return;
+
+    const ctx = getContext();
+    const msg = ctx.chat?.[mesId];
+    if (!msg) return;
+
+    const changed = syncActiveSwipeTracker(msg);
+    ttDebug(`EVENT message_swiped #${mesId} swipe=${getSwipeIndex(msg)} hasTracker=${!!msg.extra?.tt_tracker} changed=${changed}`);
+
+    const state = syncChatState();
+    saveChatState();
+    renderChatOverridesUi();
+    ttDebug(`  → heart baseline now ${state.heartPoints}`);
+
+    if (msg.extra?.tt_tracker) renderMessageTracker(mesId);
+    else $(`.mes[mesid="${mesId}"] .tt-container`).remove();
+    scheduleTrackerRefresh();
+    await injectPrompt();
+}
+
 function onMessageDeleted() {
     const ctx = getContext();
+    scheduleTrackerRefresh();
     if (!ctx.chat) return;
     ctx.chat.forEach((msg, idx) => {
         if (msg.extra?.tt_tracker) renderMessageTracker(idx);
@@ -2240,9 +5318,46 @@ function onMessageDeleted() {
 
 // ── Settings UI ───────────────────────────────────────────────
 
+// Custom climate inputs: [key, label, min, max, step, kind].  Limits are in
+// °F, as stored; 'temp' inputs are temperatures and 'delta' ones temperature
+// differences, both shown in the preferred unit.
+const WEATHER_CUSTOM_INPUTS = [
+    ['mean',        'Yearly Mean',      -60, 120, 1,    'temp'],
+    ['seasonal',    'Seasonal Swing',   0,   60,  1,    'delta'],
+    ['diurnal',     'Daily Swing',      0,   40,  1,    'delta'],
+    ['variability', 'Day-to-day Drift', 0,   30,  1,    'delta'],
+    ['wetness',     'Wetness',          0,   1,   0.05, null],
+    ['cloudiness',  'Cloudiness',       0,   1,   0.05, null],
+];
+
+/**
+ * Convert a custom climate number between its stored °F and the unit shown
+ * in settings (`toDisplay` false converts back).
+ */
+function convertClimateInput(kind, value, toDisplay = true) {
+    const unit = getTemperatureUnit();
+    if (kind === 'temp')  return toDisplay ? convertTemperature(value, 'F', unit) : convertTemperature(value, unit, 'F');
+    if (kind === 'delta' && unit === 'C') return toDisplay ? value * 5 / 9 : value * 9 / 5;
+    return value;
+}
+
+function customClimateRowsHtml() {
+    const custom = getSettings().weatherCustomClimate || {};
+    const shown  = (kind, v, round = x => Math.round(x * 10) / 10) => kind ? round(convertClimateInput(kind, v)) : v;
+    return WEATHER_CUSTOM_INPUTS.map(([key, label, min, max, step, kind]) => `
+                    <div class="tt-setting-row">
+                        <span class="tt-setting-label">${label}${kind ? ` ${TEMPERATURE_UNITS[getTemperatureUnit()]}` : ''}</span>
+                        <input type="number" class="tt-weather-custom tt-heart-num-input text_pole" data-key="${key}"
+                               min="${shown(kind, min, Math.floor)}" max="${shown(kind, max, Math.ceil)}" step="${step}" value="${custom[key] == null ? '' : shown(kind, custom[key])}">
+                    </div>`).join('');
+}
+
 function loadSettingsUi() {
     const s = getSettings();
-    const maxShift = (Number(s.heartSensitivity) || 5) * 500;
+    const maxShift = getMaxHeartShift();
+
+    const climateOptions = Object.entries(CLIMATE_PROFILES)
+        .map(([id, p]) => `<option value="${id}">${p.name}</option>`).join('');
 
     const colorRowsHtml = s.heartColors.map((c, i) => `
             <div class="tt-color-row">
@@ -2268,7 +5383,57 @@ function loadSettingsUi() {
                 <span>Enable TurboTracker</span>
             </label>
 
-            <hr class="tt-divider">
+            <hr class="tt-divider">
+
+            <div class="tt-setting-row">
+                <span class="tt-setting-label">Output Format</span>
+                <select id="tt-output-format" class="tt-format-select text_pole">
+                    <option value="text" ${s.outputFormat === 'text' ? 'selected' : ''}>[TRACKER] text block</option>
+                    <option value="json" ${s.outputFormat === 'json' ? 'selected' : ''}>JSON</option>
+                    <option value="xml"  ${s.outputFormat === 'xml'  ? 'selected' : ''}>XML</option>
+                </select>
+            </div>
+            <small>Format the AI is asked to write the tracker in. JSON and XML survive descriptions containing "|" or ":" and wrapped lines; if a structured block fails validation the text parser is tried instead.</small>
+
+            <div class="tt-setting-row">
+                <span class="tt-setting-label">Generation Mode</span>
+                <select id="tt-generation-mode" class="tt-format-select text_pole">
+                    <option value="inline"   ${s.generationMode === 'inline'   ? 'selected' : ''}>Inline</option>
+                    <option value="separate" ${s.generationMode === 'separate' ? 'selected' : ''}>Separate call</option>
+                    <option value="hybrid"   ${s.generationMode === 'hybrid'   ? 'selected' : ''}>Hybrid</option>
+                </select>
+            </div>
+            <small>Inline asks the AI to end every reply with the tracker. Separate call leaves replies untouched and builds the tracker with its own generation afterwards (three extra quiet requests per reply, the same as Regenerate Tracker: the tracker, a location/weather check and the heart value). Hybrid stays inline and only makes those calls when the reply's tracker is missing or unreadable.</small>
+
+            <div class="tt-setting-row">
+                <span class="tt-setting-label">Validation</span>
+                <select id="tt-validation-mode" class="tt-format-select text_pole">
+                    <option value="repair" ${s.validationMode === 'repair' ? 'selected' : ''}>Auto-repair</option>
+                    <option value="flag"   ${s.validationMode === 'flag'   ? 'selected' : ''}>Flag for review</option>
+                    <option value="off"    ${s.validationMode === 'off'    ? 'selected' : ''}>Off</option>
+                </select>
+            </div>
+            <small>Checks each new tracker against the previous one: unnamed or duplicate characters, fields that went blank, and a time that is unreadable, runs backwards or jumps hours without a time skip in the story. Auto-repair carries the previous value forward and advances the clock by Min Time Advance; Flag keeps the tracker and marks it with a warning you can Accept or Regenerate.</small>
+
+            <div class="tt-setting-row">
+                <span class="tt-setting-label">Injection</span>
+                <select id="tt-inject-position" class="tt-format-select text_pole">
+                    <option value="before" ${s.injectPosition === 'before' ? 'selected' : ''}>Before system prompt</option>
+                    <option value="after"  ${s.injectPosition === 'after'  ? 'selected' : ''}>After system prompt</option>
+                    <option value="chat"   ${s.injectPosition === 'chat'   ? 'selected' : ''}>In chat</option>
+                </select>
+            </div>
+            <div class="tt-setting-row tt-inject-chat-row" ${s.injectPosition === 'chat' ? '' : 'style="display:none;"'}>
+                <span class="tt-setting-label">Depth</span>
+                <input type="number" id="tt-inject-depth" class="tt-heart-num-input text_pole"
+                       min="0" max="99" step="1" value="${s.injectDepth ?? 1}">
+                <select id="tt-inject-role" class="tt-format-select text_pole">
+                    <option value="system"    ${s.injectRole === 'system'    ? 'selected' : ''}>System</option>
+                    <option value="user"      ${s.injectRole === 'user'      ? 'selected' : ''}>User</option>
+                    <option value="assistant" ${s.injectRole === 'assistant' ? 'selected' : ''}>Assistant</option>
+                </select>
+            </div>
+            <small>Where the tracker instructions go. In chat places them among the messages — depth 0 is a note after the last message, 1–4 sits just above the latest replies — with the chosen role.</small>
 
             <div class="tt-setting-row">
                 <span class="tt-setting-label">Min Time Advance</span>
@@ -2278,6 +5443,96 @@ function loadSettingsUi() {
             </div>
             <small>Minimum minutes to advance time per Regenerate. If the AI returns less than this, the floor is applied. Set to 0 to disable.</small>
 
+            <div class="tt-setting-row">
+                <span class="tt-setting-label">Token Budget</span>
+                <input type="number" id="tt-token-budget" class="tt-heart-num-input text_pole"
+                       min="0" max="32000" step="50" value="${s.tokenBudget ?? 0}">
+                <span class="tt-sensitivity-val">tokens</span>
+            </div>
+            <small>Largest size for the injected instructions, measured with SillyTavern's tokenizer. Over budget, the prompt is compacted step by step: examples are dropped, then characters show only changed fields, then descriptions already on record are left out. 0 = no limit.</small>
+
+            <div class="tt-setting-row">
+                <span class="tt-setting-label">Units</span>
+                <select id="tt-temperature-unit" class="tt-format-select text_pole">
+                    ${Object.entries(TEMPERATURE_UNITS).map(([id, label]) => `<option value="${id}" ${getTemperatureUnit() === id ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <select id="tt-distance-unit" class="tt-format-select text_pole">
+                    ${Object.entries(DISTANCE_UNITS).map(([id, label]) => `<option value="${id}" ${getDistanceUnit() === id ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </div>
+            <small>Units the AI is asked to write in. Temperatures and distances written in the other unit are converted on display; hover a value to see it as written.</small>
+
+            <label class="checkbox_label">
+                <input type="checkbox" id="tt-match-surnames" ${s.matchSurnames ? 'checked' : ''}>
+                <span>Match characters by surname</span>
+            </label>
+            <small>When working out who a message mentions, a character also matches by last name, not just by full name, first name or a roster alias. Set aliases and phrases to never match on in the side panel's Roster tab.</small>
+
+            <label class="checkbox_label">
+                <input type="checkbox" id="tt-track-inventory" ${s.trackInventory ? 'checked' : ''}>
+                <span>Track inventories</span>
+            </label>
+            <small>Give every character an inventory of items with quantities and an equipped flag. The AI only reports what changed (+2 torch, -1 potion, equip sword); the changes are applied to the previous inventory.</small>
+
+            <label class="checkbox_label">
+                <input type="checkbox" id="tt-track-quests" ${s.trackQuests ? 'checked' : ''}>
+                <span>Track quests</span>
+            </label>
+            <small>Keep a quest log for the chat. Active quests are added to the prompt, and the AI opens, completes or fails quests in its tracker output. Manage them in the Quests tab of the side panel or with /tt-quest.</small>
+
+            <label class="checkbox_label">
+                <input type="checkbox" id="tt-track-relationships" ${s.trackRelationships ? 'checked' : ''}>
+                <span>Track relationships</span>
+            </label>
+            <div class="tt-setting-row">
+                <span class="tt-setting-label">Max Relationship Shift</span>
+                <input type="number" id="tt-relationship-shift" class="tt-heart-num-input text_pole"
+                       min="1" max="${RELATIONSHIP_RANGE * 2}" step="1" value="${s.relationshipMaxShift ?? 10}">
+            </div>
+            <small>Track how each character in the scene feels about every other (${RELATIONSHIP_LABELS.join(', ')}, scored −${RELATIONSHIP_RANGE} to ${RELATIONSHIP_RANGE}). Scores are clamped to the max shift per message, like the heart meter. See the Relations tab of the side panel.</small>
+
+            <hr class="tt-divider">
+
+            <div class="inline-drawer tt-chat-drawer">
+                <div class="inline-drawer-toggle inline-drawer-header tt-heart-drawer-header">
+                    <b>📌 This Chat</b>
+                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down"></div>
+                </div>
+                <div class="inline-drawer-content tt-heart-drawer-content">
+                    <small>Overrides stored with the current chat only. Leave blank to use the global setting.</small>
+                    <div class="tt-setting-row">
+                        <span class="tt-setting-label">Heart Sensitivity</span>
+                        <input type="number" class="tt-chat-override tt-heart-num-input text_pole" data-key="heartSensitivity"
+                               min="1" max="10" step="1">
+                    </div>
+                    <div class="tt-setting-row">
+                        <span class="tt-setting-label">Default Starting Heart</span>
+                        <input type="number" class="tt-chat-override tt-heart-num-input text_pole" data-key="defaultHeartValue"
+                               min="0" max="99999" step="1">
+                    </div>
+                    <div class="tt-setting-row">
+                        <span class="tt-setting-label">Min Time Advance</span>
+                        <input type="number" class="tt-chat-override tt-heart-num-input text_pole" data-key="minTimeAdvance"
+                               min="0" max="99" step="1">
+                    </div>
+                    <div class="tt-setting-row">
+                        <span class="tt-setting-label">Calendar</span>
+                        <select class="tt-chat-override tt-calendar-select text_pole" data-key="calendar"></select>
+                    </div>
+                    <div class="tt-setting-row">
+                        <span class="tt-setting-label">Climate</span>
+                        <select class="tt-chat-override tt-calendar-select text_pole" data-key="weatherClimate">
+                            <option value="">(global default)</option>${climateOptions}
+                        </select>
+                    </div>
+                    <span class="tt-setting-label">Location Climates</span>
+                    <textarea id="tt-chat-climates" class="tt-climates-text text_pole" rows="3"
+                              placeholder="One per line, e.g.&#10;Sahara: desert&#10;Frostpeak: arctic"></textarea>
+                    <small>Locations containing a keyword use its climate (${Object.keys(CLIMATE_PROFILES).join(', ')}) in the weather engine.</small>
+                    <small id="tt-chat-heart-status"></small>
+                </div>
+            </div>
+
             <hr class="tt-divider">
 
             <div class="inline-drawer tt-heart-drawer">
@@ -2293,6 +5548,12 @@ function loadSettingsUi() {
                     </div>
                     <small>Heart value assigned at the start of every new chat.</small>
 
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="tt-per-char-heart" ${s.perCharacterHeart ? 'checked' : ''}>
+                        <span>Per-character heart meters</span>
+                    </label>
+                    <small>Track a separate heart value for every character present. The main heart follows {{char}}'s own value.</small>
+
                     <div class="tt-setting-row">
                         <span class="tt-setting-label">Heart Sensitivity</span>
                         <input type="range" id="tt-heart-sensitivity" class="tt-sensitivity-slider"
@@ -2303,112 +5564,480 @@ function loadSettingsUi() {
 
                     <hr class="tt-divider">
 
-                    <div class="tt-colors-header">Heart Color Ranges</div>
-                    ${colorRowsHtml}
-                </div>
-            </div>
+                    <div class="tt-colors-header">Heart Color Ranges</div>
+                    ${colorRowsHtml}
+                </div>
+            </div>
+
+            <hr class="tt-divider">
+
+            <div class="inline-drawer tt-fields-drawer">
+                <div class="inline-drawer-toggle inline-drawer-header tt-heart-drawer-header">
+                    <b>🧩 Custom Fields</b>
+                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down"></div>
+                </div>
+                <div class="inline-drawer-content tt-fields-drawer-content">
+                    <small>Extra fields tracked alongside Time/Location/Weather. Scene fields apply to the whole message; character fields are added to every character.</small>
+                    <div id="tt-custom-fields-list"></div>
+                    <div class="tt-setting-row">
+                        <button id="tt-custom-field-add" class="menu_button menu_button_icon">
+                            <i class="fa-solid fa-plus"></i> Add Field
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            <hr class="tt-divider">
+
+            <div class="inline-drawer tt-calendars-drawer">
+                <div class="inline-drawer-toggle inline-drawer-header tt-heart-drawer-header">
+                    <b>📅 Calendars</b>
+                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down"></div>
+                </div>
+                <div class="inline-drawer-content tt-fields-drawer-content">
+                    <div class="tt-setting-row">
+                        <span class="tt-setting-label">Default Calendar</span>
+                        <select id="tt-calendar-default" class="tt-calendar-select text_pole"></select>
+                    </div>
+                    <small>Controls the time format the AI is asked for and how dates roll over at midnight. Each chat can pick its own under 📌 This Chat.</small>
+                    <div id="tt-calendars-list"></div>
+                    <small>Months are written as <code>Name:days</code>, comma-separated. Leave them empty for a running day count ("Day 47"). Week days are comma-separated.</small>
+                    <div class="tt-setting-row">
+                        <button id="tt-calendar-add" class="menu_button menu_button_icon">
+                            <i class="fa-solid fa-plus"></i> Add Calendar
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            <hr class="tt-divider">
+
+            <div class="inline-drawer tt-weather-drawer">
+                <div class="inline-drawer-toggle inline-drawer-header tt-heart-drawer-header">
+                    <b>🌦️ Weather Engine</b>
+                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down"></div>
+                </div>
+                <div class="inline-drawer-content tt-heart-drawer-content">
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="tt-weather-engine" ${s.weatherEngine ? 'checked' : ''}>
+                        <span>Simulate weather</span>
+                    </label>
+                    <small>Weather and temperature follow the in-story clock and date through seasonal and daily curves, the same for the same time and place. The AI may only override them by giving a narrative reason (weather_reason).</small>
+                    <div class="tt-setting-row">
+                        <span class="tt-setting-label">Default Climate</span>
+                        <select id="tt-weather-climate" class="tt-calendar-select text_pole">${climateOptions}</select>
+                    </div>
+                    <small>Each chat can pick its own climate, and one per location, under 📌 This Chat.</small>
+                    <b>Custom Climate</b>
+                    <div id="tt-weather-custom-rows">${customClimateRowsHtml()}</div>
+                    <small>Swings are either side of the mean. Wetness is roughly how often it rains or snows.</small>
+                </div>
+            </div>
+
+            <hr class="tt-divider">
+
+            <div class="inline-drawer tt-templates-drawer">
+                <div class="inline-drawer-toggle inline-drawer-header tt-heart-drawer-header">
+                    <b>📝 Prompt Templates</b>
+                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down"></div>
+                </div>
+                <div class="inline-drawer-content tt-fields-drawer-content">
+                    <div class="tt-setting-row">
+                        <span class="tt-setting-label">Template</span>
+                        <select id="tt-template-select" class="tt-format-select text_pole">
+                            ${Object.entries(PROMPT_TEMPLATES).map(([id, t]) => `<option value="${id}">${t.label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div id="tt-template-vars" class="tt-template-vars"></div>
+                    <textarea id="tt-template-text" class="tt-template-text text_pole" rows="12"></textarea>
+                    <div class="tt-setting-row">
+                        <button id="tt-template-reset" class="menu_button menu_button_icon">
+                            <i class="fa-solid fa-rotate-left"></i> Reset to Default
+                        </button>
+                        <button id="tt-template-export" class="menu_button menu_button_icon">
+                            <i class="fa-solid fa-file-export"></i> Export
+                        </button>
+                        <button id="tt-template-import" class="menu_button menu_button_icon">
+                            <i class="fa-solid fa-file-import"></i> Import
+                        </button>
+                        <input type="file" id="tt-template-file" accept=".json,.txt" hidden>
+                    </div>
+                    <small>Placeholders in double braces are filled in for every call; other macros such as {{user}} and {{char}} are expanded by SillyTavern as usual. Emptying a template restores the default.</small>
+                </div>
+            </div>
+
+            <hr class="tt-divider">
+
+            <div class="tt-setting-row">
+                <button id="tt-populate-btn" class="menu_button menu_button_icon">
+                    <i class="fa-solid fa-wand-magic-sparkles"></i>
+                    Populate All Trackers
+                </button>
+                <button id="tt-stop-btn" class="menu_button menu_button_icon" style="display:none;">
+                    <i class="fa-solid fa-stop"></i>
+                    Stop
+                </button>
+                <span id="tt-populate-status" class="tt-status"></span>
+            </div>
+            <div class="tt-setting-row">
+                <button id="tt-regen-all-btn" class="menu_button menu_button_icon">
+                    <i class="fa-solid fa-rotate-left"></i>
+                    Regenerate All Trackers
+                </button>
+            </div>
+            <small>Populate: infers tracker data for messages missing it. Regenerate: clears and rebuilds all trackers from scratch.</small>
+
+            <div class="tt-setting-row">
+                <button id="tt-panel-open-btn" class="menu_button menu_button_icon">
+                    <i class="fa-solid fa-timeline"></i>
+                    Tracker Timeline
+                </button>
+            </div>
+            <small>Side panel listing every message's tracker in order. Click an entry to jump to its message. Also available from the extensions (wand) menu.</small>
+
+            <hr class="tt-divider">
+
+            <div class="inline-drawer tt-debug-drawer">
+                <div class="inline-drawer-toggle inline-drawer-header tt-heart-drawer-header">
+                    <b>🔧 Debug Log</b>
+                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down"></div>
+                </div>
+                <div class="inline-drawer-content tt-debug-drawer-content">
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="tt-debug-enabled" ${s.debugEnabled ? 'checked' : ''}>
+                        <span>Enable debug logging</span>
+                    </label>
+                    <div class="tt-debug-actions">
+                        <button id="tt-debug-copy-btn" class="menu_button menu_button_icon">
+                            <i class="fa-solid fa-copy"></i> Copy Log
+                        </button>
+                        <button id="tt-debug-clear-btn" class="menu_button menu_button_icon">
+                            <i class="fa-solid fa-trash"></i> Clear
+                        </button>
+                    </div>
+                    <textarea id="tt-debug-log" class="tt-debug-log text_pole" readonly rows="10"
+                              placeholder="Enable debug logging, then reproduce the issue…"></textarea>
+                </div>
+            </div>
+        </div>
+    </div>
+</div>`;
+
+    $('#extensions_settings').append(html);
+
+    $('#tt-enabled').on('change', function () {
+        getSettings().enabled = this.checked;
+        saveSettingsDebounced();
+        injectPrompt();
+        if (!this.checked) $('.tt-container').remove();
+    });
+
+    $('#tt-default-heart').on('input', function () {
+        const val = Math.max(0, Math.min(99999, parseInt(this.value) || 0));
+        getSettings().defaultHeartValue = val;
+        saveSettingsDebounced();
+    });
+
+    $('#tt-per-char-heart').on('change', function () {
+        getSettings().perCharacterHeart = this.checked;
+        saveSettingsDebounced();
+        injectPrompt();
+        refreshAllTrackers();
+    });
+
+    $('#tt-min-time-advance').on('input', function () {
+        const val = Math.max(0, Math.min(99, parseInt(this.value) || 0));
+        getSettings().minTimeAdvance = val;
+        saveSettingsDebounced();
+    });
+
+    $('#tt-heart-sensitivity').on('input', function () {
+        const val = Number(this.value);
+        getSettings().heartSensitivity = val;
+        $('#tt-heart-sensitivity-val').text(val);
+        $('#tt-sensitivity-desc').text(`Max Heart Meter shift per AI response: \u00b1${val * 500} pts \u00a0(1\u2009=\u2009slow \u2192 10\u2009=\u2009fast)`);
+        saveSettingsDebounced();
+        injectPrompt();
+    });
+
+    $('.tt-color-min').on('input', function () {
+        const idx = parseInt($(this).data('coloridx'));
+        const val = Math.max(0, Math.min(99999, parseInt(this.value) || 0));
+        getSettings().heartColors[idx].min = val;
+        saveSettingsDebounced();
+        injectPrompt();
+    });
+
+    $('.tt-color-max').on('input', function () {
+        const idx = parseInt($(this).data('coloridx'));
+        const val = Math.max(0, Math.min(99999, parseInt(this.value) || 0));
+        getSettings().heartColors[idx].max = val;
+        saveSettingsDebounced();
+        injectPrompt();
+    });
+
+    renderCustomFieldsUi();
+    renderCalendarsUi();
+    renderPromptTemplateUi();
+    renderChatOverridesUi();
+
+    $('.tt-chat-override').on('input', function () {
+        const key   = $(this).data('key');
+        const state = getChatState();
+        const limits = { heartSensitivity: [1, 10], defaultHeartValue: [0, 99999], minTimeAdvance: [0, 99] }[key];
+        if (this.value === '') {
+            delete state.overrides[key];
+        } else if (!limits) {
+            state.overrides[key] = this.value;
+        } else {
+            state.overrides[key] = Math.max(limits[0], Math.min(limits[1], parseInt(this.value) || 0));
+        }
+        saveChatState();
+        injectPrompt();
+    });
+
+    $('#tt-output-format').on('change', function () {
+        getSettings().outputFormat = this.value;
+        saveSettingsDebounced();
+        injectPrompt();
+    });
+
+    $('#tt-validation-mode').on('change', function () {
+        getSettings().validationMode = this.value;
+        saveSettingsDebounced();
+    });
+
+    $('#tt-temperature-unit, #tt-distance-unit').on('change', function () {
+        getSettings()[this.id === 'tt-temperature-unit' ? 'temperatureUnit' : 'distanceUnit'] = this.value;
+        saveSettingsDebounced();
+        $('#tt-weather-custom-rows').html(customClimateRowsHtml());
+        injectPrompt();
+        refreshAllTrackers();
+        refreshTimelinePanel();
+    });
+
+    $('#tt-weather-engine').on('change', function () {
+        getSettings().weatherEngine = this.checked;
+        saveSettingsDebounced();
+        injectPrompt();
+    });
+
+    $('#tt-weather-climate').val(s.weatherClimate || 'temperate').on('change', function () {
+        getSettings().weatherClimate = this.value;
+        saveSettingsDebounced();
+        injectPrompt();
+    });
+
+    $('#tt-weather-custom-rows').on('input', '.tt-weather-custom', function () {
+        const [key, , min, max, , kind] = WEATHER_CUSTOM_INPUTS.find(([k]) => k === $(this).data('key'));
+        const val = parseFloat(this.value);
+        if (isNaN(val)) return;
+        getSettings().weatherCustomClimate[key] = Math.max(min, Math.min(max, convertClimateInput(kind, val, false)));
+        saveSettingsDebounced();
+        injectPrompt();
+    });
+
+    $('#tt-chat-climates').on('change', function () {
+        const climates = [];
+        const invalid  = [];
+        for (const line of this.value.split('\n').map(l => l.trim()).filter(Boolean)) {
+            const sep     = line.lastIndexOf(':');
+            const profile = line.slice(sep + 1).trim().toLowerCase();
+            const location = line.slice(0, sep).trim();
+            if (sep > 0 && location && CLIMATE_PROFILES[profile]) climates.push({ location, profile });
+            else invalid.push(line);
+        }
+        getChatState().climates = climates;
+        saveChatState();
+        injectPrompt();
+        // Leave the text as typed so the bad lines can be fixed
+        if (invalid.length) {
+            toastr.warning(`Ignored ${invalid.map(l => `"${l}"`).join(', ')} — write "keyword: climate" with one of ${Object.keys(CLIMATE_PROFILES).join(', ')}.`, 'TurboTracker');
+        } else {
+            renderChatOverridesUi();
+        }
+    });
+
+    $('#tt-track-quests').on('change', function () {
+        getSettings().trackQuests = this.checked;
+        saveSettingsDebounced();
+        injectPrompt();
+        refreshTimelinePanel();
+    });
+
+    $('#tt-track-relationships').on('change', function () {
+        getSettings().trackRelationships = this.checked;
+        saveSettingsDebounced();
+        injectPrompt();
+        refreshTimelinePanel();
+    });
+
+    $('#tt-relationship-shift').on('input', function () {
+        getSettings().relationshipMaxShift = Math.max(1, Math.min(RELATIONSHIP_RANGE * 2, parseInt(this.value) || 10));
+        saveSettingsDebounced();
+        injectPrompt();
+    });
+
+    $('#tt-track-inventory').on('change', function () {
+        getSettings().trackInventory = this.checked;
+        saveSettingsDebounced();
+        injectPrompt();
+        refreshAllTrackers();
+    });
+
+    $('#tt-match-surnames').on('change', function () {
+        getSettings().matchSurnames = this.checked;
+        saveSettingsDebounced();
+    });
 
-            <hr class="tt-divider">
+    $('#tt-token-budget').on('input', function () {
+        getSettings().tokenBudget = Math.max(0, Math.min(32000, parseInt(this.value) || 0));
+        saveSettingsDebounced();
+        injectPrompt();
+    });
 
-            <div class="tt-setting-row">
-                <button id="tt-populate-btn" class="menu_button menu_button_icon">
-                    <i class="fa-solid fa-wand-magic-sparkles"></i>
-                    Populate All Trackers
-                </button>
-                <button id="tt-stop-btn" class="menu_button menu_button_icon" style="display:none;">
-                    <i class="fa-solid fa-stop"></i>
-                    Stop
-                </button>
-                <span id="tt-populate-status" class="tt-status"></span>
-            </div>
-            <div class="tt-setting-row">
-                <button id="tt-regen-all-btn" class="menu_button menu_button_icon">
-                    <i class="fa-solid fa-rotate-left"></i>
-                    Regenerate All Trackers
-                </button>
-            </div>
-            <small>Populate: infers tracker data for messages missing it. Regenerate: clears and rebuilds all trackers from scratch.</small>
+    $('#tt-inject-position').on('change', function () {
+        getSettings().injectPosition = this.value;
+        saveSettingsDebounced();
+        $('.tt-inject-chat-row').toggle(this.value === 'chat');
+        injectPrompt();
+    });
 
-            <hr class="tt-divider">
+    $('#tt-inject-depth').on('input', function () {
+        getSettings().injectDepth = Math.max(0, Math.min(99, parseInt(this.value) || 0));
+        saveSettingsDebounced();
+        injectPrompt();
+    });
 
-            <div class="inline-drawer tt-debug-drawer">
-                <div class="inline-drawer-toggle inline-drawer-header tt-heart-drawer-header">
-                    <b>🔧 Debug Log</b>
-                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down"></div>
-                </div>
-                <div class="inline-drawer-content tt-debug-drawer-content">
-                    <label class="checkbox_label">
-                        <input type="checkbox" id="tt-debug-enabled" ${s.debugEnabled ? 'checked' : ''}>
-                        <span>Enable debug logging</span>
-                    </label>
-                    <div class="tt-debug-actions">
-                        <button id="tt-debug-copy-btn" class="menu_button menu_button_icon">
-                            <i class="fa-solid fa-copy"></i> Copy Log
-                        </button>
-                        <button id="tt-debug-clear-btn" class="menu_button menu_button_icon">
-                            <i class="fa-solid fa-trash"></i> Clear
-                        </button>
-                    </div>
-                    <textarea id="tt-debug-log" class="tt-debug-log text_pole" readonly rows="10"
-                              placeholder="Enable debug logging, then reproduce the issue…"></textarea>
-                </div>
-            </div>
-        </div>
-    </div>
-</div>`;
+    $('#tt-inject-role').on('change', function () {
+        getSettings().injectRole = this.value;
+        saveSettingsDebounced();
+        injectPrompt();
+    });
 
-    $('#extensions_settings').append(html);
+    $('#tt-generation-mode').on('change', function () {
+        getSettings().generationMode = this.value;
+        saveSettingsDebounced();
+        injectPrompt();
+    });
 
-    $('#tt-enabled').on('change', function () {
-        getSettings().enabled = this.checked;
+    $('#tt-calendar-default').on('change', function () {
+        getSettings().calendar = this.value;
         saveSettingsDebounced();
         injectPrompt();
-        if (!this.checked) $('.tt-container').remove();
     });
 
-    $('#tt-default-heart').on('input', function () {
-        const val = Math.max(0, Math.min(99999, parseInt(this.value) || 0));
-        getSettings().defaultHeartValue = val;
+    $('#tt-calendar-add').on('click', function () {
+        getSettings().calendars.push({
+            id: `cal_${Date.now().toString(36)}`, name: '', clock: '12h', era: '', months: [], weekdays: [],
+        });
         saveSettingsDebounced();
+        renderCalendarsUi();
     });
 
-    $('#tt-min-time-advance').on('input', function () {
-        const val = Math.max(0, Math.min(99, parseInt(this.value) || 0));
-        getSettings().minTimeAdvance = val;
+    $('#tt-calendars-list').on('change', '.tt-cal-input', function () {
+        const idx  = parseInt($(this).data('calidx'));
+        const prop = $(this).data('calprop');
+        const cal  = getSettings().calendars[idx];
+        if (!cal) return;
+        const raw = String(this.value).trim();
+        if (prop === 'months') cal.months = parseCalendarMonths(raw);
+        else if (prop === 'weekdays') cal.weekdays = raw.split(',').map(w => w.trim()).filter(Boolean);
+        else cal[prop] = raw;
         saveSettingsDebounced();
+        renderCalendarsUi();
+        injectPrompt();
     });
 
-    $('#tt-heart-sensitivity').on('input', function () {
-        const val = Number(this.value);
-        getSettings().heartSensitivity = val;
-        $('#tt-heart-sensitivity-val').text(val);
-        $('#tt-sensitivity-desc').text(`Max Heart Meter shift per AI response: \u00b1${val * 500} pts \u00a0(1\u2009=\u2009slow \u2192 10\u2009=\u2009fast)`);
+    $('#tt-calendars-list').on('click', '.tt-cal-delete', function () {
+        const idx = parseInt($(this).data('calidx'));
+        getSettings().calendars.splice(idx, 1);
         saveSettingsDebounced();
+        renderCalendarsUi();
         injectPrompt();
     });
 
-    $('.tt-color-min').on('input', function () {
-        const idx = parseInt($(this).data('coloridx'));
-        const val = Math.max(0, Math.min(99999, parseInt(this.value) || 0));
-        getSettings().heartColors[idx].min = val;
+    $('#tt-template-select').on('change', renderPromptTemplateUi);
+
+    $('#tt-template-text').on('input', function () {
+        setPromptTemplate($('#tt-template-select').val(), String(this.value));
+        renderPromptTemplateUi(false);
+        injectPrompt();
+    });
+
+    $('#tt-template-reset').on('click', function () {
+        setPromptTemplate($('#tt-template-select').val(), '');
+        renderPromptTemplateUi();
+        injectPrompt();
+    });
+
+    $('#tt-template-export').on('click', function () {
+        const id   = $('#tt-template-select').val();
+        const blob = new Blob([JSON.stringify({ turboTrackerTemplate: id, text: getPromptTemplate(id) }, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `turbotracker-${id}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+
+    $('#tt-template-import').on('click', () => $('#tt-template-file').trigger('click'));
+
+    $('#tt-template-file').on('change', async function () {
+        const file = this.files?.[0];
+        this.value = '';
+        if (!file) return;
+        const id = $('#tt-template-select').val();
+        try {
+            const text = parseTemplateImport(id, await file.text());
+            setPromptTemplate(id, text);
+            renderPromptTemplateUi();
+            injectPrompt();
+            toastr.success(`Imported "${PROMPT_TEMPLATES[id].label}" template.`, 'TurboTracker');
+        } catch (err) {
+            toastr.warning(err.message, 'TurboTracker');
+        }
+    });
+
+    $('#tt-custom-field-add').on('click', function () {
+        getSettings().customFields.push({ scope: 'scene', key: '', label: '', emoji: '', type: 'text', prompt: '' });
         saveSettingsDebounced();
+        renderCustomFieldsUi();
+    });
+
+    $('#tt-custom-fields-list').on('change', '.tt-cf-input', function () {
+        const idx   = parseInt($(this).data('cfidx'));
+        const prop  = $(this).data('cfprop');
+        const field = getSettings().customFields[idx];
+        if (!field) return;
+        const prevKey = field.key;
+        field[prop] = String(this.value).trim();
+        // Derive the key from the label until the user types one explicitly
+        if (prop === 'label' && !field.key) field.key = normalizeFieldKey(field.label);
+        if (prop === 'key') field.key = normalizeFieldKey(field.key);
+        if (field.key && getSettings().customFields.some(f => f !== field && f.key === field.key)) {
+            toastr.warning(`Another custom field already uses the key "${field.key}".`, 'TurboTracker');
+            field.key = prevKey;
+        }
+        saveSettingsDebounced();
+        renderCustomFieldsUi();
         injectPrompt();
+        refreshAllTrackers();
     });
 
-    $('.tt-color-max').on('input', function () {
-        const idx = parseInt($(this).data('coloridx'));
-        const val = Math.max(0, Math.min(99999, parseInt(this.value) || 0));
-        getSettings().heartColors[idx].max = val;
+    $('#tt-custom-fields-list').on('click', '.tt-cf-delete', function () {
+        const idx = parseInt($(this).data('cfidx'));
+        getSettings().customFields.splice(idx, 1);
         saveSettingsDebounced();
+        renderCustomFieldsUi();
         injectPrompt();
+        refreshAllTrackers();
     });
 
     $('#tt-populate-btn').on('click', populateAllMessages);
+    $('#tt-panel-open-btn').on('click', () => toggleTimelinePanel(true));
     $('#tt-regen-all-btn').on('click', regenerateAllTrackers);
-    $('#tt-stop-btn').on('click', function () {
-        stopPopulate = true;
-        $(this).prop('disabled', true).html('<i class="fa-solid fa-spinner fa-spin"></i> Stopping…');
-    });
+    $('#tt-stop-btn').on('click', requestPopulateStop);
 
     $('#tt-debug-enabled').on('change', function () {
         getSettings().debugEnabled = this.checked;
@@ -2435,16 +6064,530 @@ function loadSettingsUi() {
     });
 }
 
+/**
+ * Rebuild the custom field editor rows from settings.
+ */
+function renderCustomFieldsUi() {
+    const $list = $('#tt-custom-fields-list');
+    if (!$list.length) return;
+
+    const select = (idx, prop, value, options) => `
+                <select class="tt-cf-input text_pole" data-cfidx="${idx}" data-cfprop="${prop}">
+                    ${options.map(o => `<option value="${o}" ${o === value ? 'selected' : ''}>${o}</option>`).join('')}
+                </select>`;
+    const input = (idx, prop, value, placeholder, cls = '') => `
+                <input class="tt-cf-input text_pole ${cls}" data-cfidx="${idx}" data-cfprop="${prop}"
+                       value="${esc(value || '')}" placeholder="${placeholder}">`;
+
+    $list.html(getSettings().customFields.map((f, i) => {
+        const invalid = !isValidCustomFieldKey(f);
+        return `
+            <div class="tt-cf-row ${invalid ? 'tt-cf-invalid' : ''}" title="${invalid ? 'Needs a unique key that is not a built-in field name' : ''}">
+                ${input(i, 'emoji', f.emoji, '🏷️', 'tt-cf-emoji')}
+                ${input(i, 'label', f.label, 'Label')}
+                ${input(i, 'key', f.key, 'key')}
+                ${select(i, 'scope', f.scope, ['scene', 'character'])}
+                ${select(i, 'type', f.type, FIELD_TYPES)}
+                <button class="tt-cf-delete menu_button menu_button_icon" data-cfidx="${i}" title="Delete field">
+                    <i class="fa-solid fa-trash"></i>
+                </button>
+                ${input(i, 'prompt', f.prompt, 'Instruction for the AI, e.g. "Coins {{user}} is carrying"', 'tt-cf-prompt')}
+            </div>`;
+    }).join(''));
+}
+
+/**
+ * Parse "Frostmoon:30, Thawmoon:28" into [{ name, days }].  Months without a
+ * usable day count default to 30 days.
+ */
+function parseCalendarMonths(raw) {
+    return String(raw || '').split(',').map(part => {
+        const [name, days] = part.split(':').map(x => x.trim());
+        return { name, days: Math.max(1, parseInt(days, 10) || 30) };
+    }).filter(mo => mo.name);
+}
+
+/**
+ * Rebuild the custom calendar editor rows and every calendar dropdown.
+ */
+function renderCalendarsUi() {
+    const s = getSettings();
+    const options = getCalendars().map(c => `<option value="${esc(c.id)}">${esc(c.name)}</option>`).join('');
+    $('#tt-calendar-default').html(options).val(getCalendars().some(c => c.id === s.calendar) ? s.calendar : 'gregorian');
+    $('.tt-chat-override[data-key="calendar"]').html(`<option value="">(global default)</option>${options}`);
+
+    const $list = $('#tt-calendars-list');
+    if (!$list.length) return;
+
+    const input = (idx, prop, value, placeholder, cls = '') => `
+                <input class="tt-cal-input text_pole ${cls}" data-calidx="${idx}" data-calprop="${prop}"
+                       value="${esc(value || '')}" placeholder="${placeholder}">`;
+
+    $list.html(s.calendars.map((c, i) => `
+            <div class="tt-cf-row ${c.name ? '' : 'tt-cf-invalid'}" title="${c.name ? '' : 'Needs a name'}">
+                ${input(i, 'name', c.name, 'Name')}
+                <select class="tt-cal-input text_pole" data-calidx="${i}" data-calprop="clock">
+                    ${['12h', '24h'].map(o => `<option value="${o}" ${o === c.clock ? 'selected' : ''}>${o}</option>`).join('')}
+                </select>
+                ${input(i, 'era', c.era, 'Era, e.g. Third Age')}
+                <button class="tt-cal-delete menu_button menu_button_icon" data-calidx="${i}" title="Delete calendar">
+                    <i class="fa-solid fa-trash"></i>
+                </button>
+                ${input(i, 'months', (c.months || []).map(mo => `${mo.name}:${mo.days}`).join(', '), 'Months, e.g. Frostmoon:30, Thawmoon:28', 'tt-cf-prompt')}
+                ${input(i, 'weekdays', (c.weekdays || []).join(', '), 'Week days, e.g. Moonday, Starday, Sunday', 'tt-cf-prompt')}
+            </div>`).join(''));
+}
+
+/**
+ * Show the selected prompt template, its placeholders and whether it has
+ * been customised.  `withText` is false while the user is typing.
+ */
+function renderPromptTemplateUi(withText = true) {
+    const id  = $('#tt-template-select').val();
+    const def = PROMPT_TEMPLATES[id];
+    if (!def) return;
+
+    const custom = !!getSettings().promptTemplates[id];
+    $('#tt-template-vars').html(
+        `${custom ? '<b>Customised.</b> ' : ''}Placeholders: ` +
+        Object.entries(def.vars).map(([name, desc]) => `<code title="${esc(desc)}">{{${name}}}</code>`).join(' '));
+    if (withText) $('#tt-template-text').val(getPromptTemplate(id));
+}
+
+/**
+ * Read an exported template file.  Accepts TurboTracker's JSON export (which
+ * must be for the selected template) or a plain-text template.
+ */
+function parseTemplateImport(id, raw) {
+    let parsed = null;
+    try { parsed = JSON.parse(raw); } catch { /* plain text */ }
+    if (parsed === null || typeof parsed !== 'object') {
+        if (!raw.trim()) throw new Error('The file is empty.');
+        return raw;
+    }
+    if (typeof parsed.text !== 'string' || !parsed.turboTrackerTemplate) {
+        throw new Error('Not a TurboTracker template export.');
+    }
+    if (parsed.turboTrackerTemplate !== id) {
+        const other = PROMPT_TEMPLATES[parsed.turboTrackerTemplate]?.label || parsed.turboTrackerTemplate;
+        throw new Error(`That file holds the "${other}" template — select it first.`);
+    }
+    return parsed.text;
+}
+
+/**
+ * Fill the "This Chat" override inputs from the active chat's metadata.
+ */
+function renderChatOverridesUi() {
+    const state = getChatState();
+    $('.tt-chat-override').each(function () {
+        const v = state.overrides[$(this).data('key')];
+        $(this).val(v === undefined || v === null ? '' : v);
+    });
+    $('#tt-chat-climates').val(state.climates.map(c => `${c.location}: ${c.profile}`).join('\n'));
+    $('#tt-chat-heart-status').text(`Current heart in this chat: ${state.heartPoints}`);
+}
+
+/**
+ * Re-render every visible tracker, e.g. after the field registry changes.
+ */
+function refreshAllTrackers() {
+    const ctx = getContext();
+    if (!ctx?.chat) return;
+    ctx.chat.forEach((msg, idx) => {
+        if (msg.extra?.tt_tracker) renderMessageTracker(idx);
+    });
+}
+
+// ── Macros ────────────────────────────────────────────────────
+
+// Fixed macros → tracker value read by readTrackerValue.
+const TRACKER_MACROS = {
+    tt_time:        ['time',        'Time from the most recent tracker'],
+    tt_location:    ['location',    'Location from the most recent tracker'],
+    tt_weather:     ['weather',     'Weather from the most recent tracker'],
+    tt_temperature: ['temperature', 'Temperature from the most recent tracker, in the preferred unit'],
+    tt_heart:       ['heart',       'Heart meter value from the most recent tracker'],
+    tt_heart_emoji: ['heart_emoji', 'Heart meter tier emoji from the most recent tracker'],
+    tt_characters:  ['characters',  'Names of the characters present in the most recent tracker'],
+};
+
+// Macro keys registered by syncTrackerMacros, removed again when stale.
+const dynamicMacros = new Set();
+
+function latestTracker() {
+    const chat = getContext()?.chat || [];
+    return getMostRecentTracker(chat, chat.length);
+}
+
+/**
+ * Register the fixed macros and {{tt_char::Name::field}}.  tt_char takes
+ * arguments, which only SillyTavern's macro engine (on by default) can
+ * pass; the legacy engine matches macros by literal name only.  Characters
+ * missing from the latest tracker resolve to an empty string.
+ */
+function registerTrackerMacros() {
+    for (const [key, [field, description]] of Object.entries(TRACKER_MACROS)) {
+        MacrosParser.registerMacro(key, () => readTrackerValue(latestTracker(), field), description);
+    }
+
+    const { macros, powerUserSettings } = getContext();
+    if (!macros?.register || !powerUserSettings?.experimental_macro_engine) {
+        ttDebug('registerTrackerMacros: macro engine unavailable — {{tt_char::Name::field}} is not registered');
+        return;
+    }
+    macros.register('tt_char', {
+        category:     macros.category?.MISC,
+        description:  "A character's field from the most recent tracker",
+        unnamedArgs:  [
+            { name: 'name',  description: 'Character name' },
+            { name: 'field', description: 'name, description, outfit, state, position or a custom character field key' },
+        ],
+        exampleUsage: '{{tt_char::Alice::outfit}}',
+        handler:      ({ unnamedArgs: [name, field] }) => name.trim() ? readTrackerValue(latestTracker(), field, name) : '',
+    });
+}
+
+/**
+ * Register {{tt_<custom field>}} for custom scene fields.
+ */
+function syncTrackerMacros() {
+    const wanted = new Map();
+    for (const f of getCustomFields('scene')) {
+        if (TRACKER_MACROS[`tt_${f.key}`]) continue;
+        wanted.set(`tt_${f.key}`, [() => readTrackerValue(latestTracker(), f.key), `${f.label} from the most recent tracker`]);
+    }
+
+    for (const key of dynamicMacros) {
+        if (!wanted.has(key)) {
+            MacrosParser.unregisterMacro(key);
+            dynamicMacros.delete(key);
+        }
+    }
+    for (const [key, [fn, description]] of wanted) {
+        if (dynamicMacros.has(key)) continue;
+        MacrosParser.registerMacro(key, fn, description);
+        dynamicMacros.add(key);
+    }
+}
+
+// ── Slash commands ────────────────────────────────────────────
+
+function findTrackerCharacter(tracker, name) {
+    const wanted = String(name || '').trim().toLowerCase();
+    return (tracker?.characters || []).find(c => String(c.name).toLowerCase() === wanted) || null;
+}
+
+/**
+ * Read one tracker value as text: a scene field, `heart`, `heart_emoji`,
+ * `characters` (names), or a character field when `charName` is given.
+ * Returns '' for unknown fields and missing characters.
+ */
+function readTrackerValue(tracker, key, charName = null) {
+    if (!tracker) return '';
+    const k = normalizeFieldKey(key);
+    if (charName) {
+        const c = findTrackerCharacter(tracker, charName);
+        if (!c) return '';
+        if (k === 'name') return c.name;
+        const f = findField(getCharacterFields(), key);
+        return f ? formatFieldValue(f, c[f.key]) : '';
+    }
+    if (k === 'heart')       return tracker.heart == null ? '' : String(tracker.heart);
+    if (k === 'heart_emoji') return tracker.heart == null ? '' : getHeartEmoji(parseInt(tracker.heart, 10) || 0);
+    if (k === 'characters')  return (tracker.characters || []).map(c => c.name).join(', ');
+    const f = findField(getSceneFields(), key);
+    if (f) return formatFieldValue(f, tracker[f.key]);
+    return k === 'temperature' ? trackerTemperature(tracker) : '';
+}
+
+/**
+ * Message a command targets: `mes=N` when given, otherwise the newest
+ * message with a tracker (or, with `orLast`, the last message).
+ * Returns null when there is nothing to target.
+ */
+function resolveCommandMesId(args, orLast = false) {
+    const chat = getContext()?.chat || [];
+    if (args?.mes !== undefined && String(args.mes).trim() !== '') {
+        const n = parseInt(args.mes, 10);
+        return (n >= 0 && n < chat.length) ? n : null;
+    }
+    for (let i = chat.length - 1; i >= 0; i--) {
+        if (chat[i]?.extra?.tt_tracker) return i;
+    }
+    return orLast && chat.length ? chat.length - 1 : null;
+}
+
+function commandTracker(mesId) {
+    return mesId === null ? null : getContext().chat[mesId]?.extra?.tt_tracker || null;
+}
+
+/**
+ * /tt-get [mes=N] [char=Name] [field] — one value, or the whole tracker as JSON.
+ */
+function ttGetCommand(args, field) {
+    const tracker = commandTracker(resolveCommandMesId(args));
+    if (!tracker) return '';
+    if (!String(field || '').trim()) {
+        return JSON.stringify(args.char ? findTrackerCharacter(tracker, args.char) ?? {} : tracker);
+    }
+    return readTrackerValue(tracker, field, args.char || null);
+}
+
+/**
+ * /tt-set [mes=N] [char=Name] field=<field> value — write one field.
+ * The value is the unnamed argument, so it may contain spaces (a named
+ * argument ends at the first one). Returns the stored value.
+ */
+function ttSetCommand(args, text) {
+    const mesId = resolveCommandMesId(args, true);
+    if (mesId === null) return '';
+
+    const key   = String(args.field || '').trim();
+    const value = String(text ?? '').trim();
+    if (!key) {
+        toastr.warning('Usage: /tt-set field=location The Rusty Anchor', 'TurboTracker');
+        return '';
+    }
+
+    const current = commandTracker(mesId) || {};
+    const changes = { characters: (current.characters || []).map(c => ({ ...c })) };
+    const k = normalizeFieldKey(key);
+
+    if (args.char) {
+        const field = findField(getCharacterFields(), key);
+        if (!field) {
+            toastr.warning(`Unknown character field "${key}"`, 'TurboTracker');
+            return '';
+        }
+        let c = findTrackerCharacter(changes, args.char);
+        if (!c) changes.characters.push(c = emptyCharacter(String(args.char).trim()));
+        c[field.key] = coerceFieldValue(field, value);
+    } else if (k === 'heart') {
+        changes.heart = Math.max(0, Math.min(99999, parseInt(value, 10) || 0));
+    } else if (k === 'characters') {
+        // Keep the details of characters that stay; add the rest empty
+        const names = value.split(',').map(n => n.trim()).filter(Boolean);
+        changes.characters = names.map(n => findTrackerCharacter(changes, n) || emptyCharacter(n));
+    } else {
+        const field = findField(getSceneFields(), key);
+        if (!field) {
+            toastr.warning(`Unknown tracker field "${key}"`, 'TurboTracker');
+            return '';
+        }
+        changes[field.key] = coerceFieldValue(field, value);
+    }
+
+    const updated = applyTrackerEdit(mesId, changes);
+    return readTrackerValue(updated, key, args.char || null);
+}
+
+/**
+ * /tt-heart [mes=N] [char=Name] [force=true] [+N|-N|N] — read or change a
+ * heart value.  Changes obey the heart sensitivity limit unless force=true.
+ */
+function ttHeartCommand(args, text) {
+    const mesId = resolveCommandMesId(args, true);
+    if (mesId === null) return '';
+
+    const tracker = commandTracker(mesId) || {};
+    const char    = args.char ? findTrackerCharacter(tracker, args.char) : null;
+    if (args.char && !char) return '';
+    const prev = parseInt(char ? char.heart : tracker.heart ?? getChatState().heartPoints, 10) || 0;
+
+    const raw = String(text ?? '').trim();
+    if (!raw) return String(prev);
+    const n = parseInt(raw, 10);
+    if (isNaN(n)) {
+        toastr.warning('Usage: /tt-heart +500 | -200 | 1200', 'TurboTracker');
+        return String(prev);
+    }
+
+    const wanted = /^[+-]/.test(raw) ? prev + n : n;
+    const next = String(args.force) === 'true'
+        ? Math.max(0, Math.min(99999, wanted))
+        : clampHeart(wanted, prev, getMaxHeartShift());
+
+    const changes = {};
+    if (char) {
+        changes.characters = tracker.characters.map(c => c === char ? { ...c, heart: next } : c);
+        // {{char}}'s own heart is the tracker-level heart
+        if (char.name === getContext().name2) changes.heart = next;
+    } else {
+        changes.heart = next;
+    }
+    applyTrackerEdit(mesId, changes);
+    return String(next);
+}
+
+/**
+ * /tt-wardrobe [char=Name] — the wardrobe log as JSON, optionally for one character.
+ */
+function ttWardrobeCommand(args) {
+    const wanted = args.char ? findRosterEntry(args.char)?.name || String(args.char).trim() : null;
+    const events = buildWardrobeLog(getContext()?.chat);
+    return JSON.stringify(wanted ? events.filter(e => sameName(e.name, wanted)) : events);
+}
+
+/**
+ * /tt-quest [action=open|complete|fail|reopen|remove] [desc=…] title — change
+ * the quest log at the newest message.  Returns the quest as JSON.
+ */
+function ttQuestCommand(args, title) {
+    const update = normalizeQuestUpdate({ action: args.action || 'open', title, description: args.desc });
+    if (!update) {
+        toastr.warning('Usage: /tt-quest action=open|complete|fail|reopen|remove Quest title', 'TurboTracker');
+        return '';
+    }
+    const quest = recordQuestEdit(update);
+    if (!quest) return '';
+    refreshTimelinePanel();
+    return JSON.stringify(quest);
+}
+
+/**
+ * /tt-quests [status=active|completed|failed] — the quest log as JSON.
+ */
+function ttQuestsCommand(args) {
+    const status = String(args.status || '').trim().toLowerCase();
+    return JSON.stringify(QUEST_STATUSES.includes(status) ? getQuests().filter(q => q.status === status) : getQuests());
+}
+
+function registerSlashCommands() {
+    const mes = SlashCommandNamedArgument.fromProps({
+        name: 'mes', description: 'message index (default: newest message with a tracker)', typeList: [ARGUMENT_TYPE.NUMBER],
+    });
+    const char = SlashCommandNamedArgument.fromProps({
+        name: 'char', description: 'character name, to target a per-character field', typeList: [ARGUMENT_TYPE.STRING],
+    });
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tt-get',
+        callback: ttGetCommand,
+        returns: 'the field value, or the whole tracker as JSON when no field is given',
+        namedArgumentList: [mes, char],
+        unnamedArgumentList: [SlashCommandArgument.fromProps({
+            description: 'field: time, location, weather, temperature, heart, heart_emoji, characters or a custom field key',
+            typeList: [ARGUMENT_TYPE.STRING],
+        })],
+        helpString: 'Read a value from the tracker. <code>/tt-get location</code>, <code>/tt-get char=Alice outfit</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tt-set',
+        callback: ttSetCommand,
+        returns: 'the stored value',
+        namedArgumentList: [mes, char, SlashCommandNamedArgument.fromProps({
+            name: 'field', description: 'field: time, location, weather, heart, characters or a custom field key', typeList: [ARGUMENT_TYPE.STRING], isRequired: true,
+        })],
+        unnamedArgumentList: [SlashCommandArgument.fromProps({
+            description: 'the value to store', typeList: [ARGUMENT_TYPE.STRING],
+        })],
+        helpString: 'Write a tracker field. <code>/tt-set field=location The Rusty Anchor</code>, <code>/tt-set char=Alice field=outfit Red cloak</code>, <code>/tt-set field=characters Alice, Bob</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tt-heart',
+        callback: ttHeartCommand,
+        returns: 'the heart value after the change',
+        namedArgumentList: [mes, char, SlashCommandNamedArgument.fromProps({
+            name: 'force', description: 'ignore the heart sensitivity limit', typeList: [ARGUMENT_TYPE.BOOLEAN], defaultValue: 'false',
+        })],
+        unnamedArgumentList: [SlashCommandArgument.fromProps({
+            description: '+N / -N to shift, N to set; omit to read', typeList: [ARGUMENT_TYPE.STRING],
+        })],
+        helpString: 'Read or change the heart meter. Changes are clamped to the heart sensitivity limit unless <code>force=true</code>. <code>/tt-heart +500</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tt-wardrobe',
+        callback: ttWardrobeCommand,
+        returns: 'outfit changes as a JSON array of {mesId, name, from, to, time}',
+        namedArgumentList: [SlashCommandNamedArgument.fromProps({
+            name: 'char', description: 'only this character', typeList: [ARGUMENT_TYPE.STRING],
+        })],
+        helpString: 'List outfit changes across the chat. <code>/tt-wardrobe char=Alice</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tt-quest',
+        callback: ttQuestCommand,
+        returns: 'the quest as JSON, or nothing when the log did not change',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'action', description: 'what to do with the quest', typeList: [ARGUMENT_TYPE.STRING], defaultValue: 'open',
+                enumList: ['open', 'complete', 'fail', 'reopen', 'remove'],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'desc', description: 'objective, when opening', typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        unnamedArgumentList: [SlashCommandArgument.fromProps({
+            description: 'quest title', typeList: [ARGUMENT_TYPE.STRING], isRequired: true,
+        })],
+        helpString: 'Open or close a quest. <code>/tt-quest desc="Find it in the crypt" The Lost Amulet</code>, <code>/tt-quest action=complete The Lost Amulet</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tt-quests',
+        callback: ttQuestsCommand,
+        returns: 'quests as a JSON array of {title, description, status, openedAt, closedAt}',
+        namedArgumentList: [SlashCommandNamedArgument.fromProps({
+            name: 'status', description: 'only quests with this status', typeList: [ARGUMENT_TYPE.STRING],
+            enumList: QUEST_STATUSES,
+        })],
+        helpString: 'List the quest log. <code>/tt-quests status=active</code>',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tt-regen',
+        callback: async (args) => {
+            const mesId = resolveCommandMesId(args, true);
+            if (mesId === null) return '';
+            await regenTracker(mesId);
+            return JSON.stringify(commandTracker(mesId) ?? {});
+        },
+        returns: 'the regenerated tracker as JSON',
+        namedArgumentList: [SlashCommandNamedArgument.fromProps({
+            name: 'mes', description: 'message index (default: newest message with a tracker, else the last message)', typeList: [ARGUMENT_TYPE.NUMBER],
+        })],
+        helpString: 'Regenerate the tracker of a message.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tt-populate',
+        callback: async () => {
+            if (isPopulating) return 'false';
+            await populateAllMessages();
+            return 'true';
+        },
+        returns: 'false if a populate run was already in progress',
+        helpString: 'Populate All Trackers — fill in every missing or incomplete tracker in the chat.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tt-stop',
+        callback: () => String(requestPopulateStop()),
+        returns: 'true if a populate run was stopped',
+        helpString: 'Stop a running Populate / Regenerate All.',
+    }));
+}
+
 // ── Init ──────────────────────────────────────────────────────
 
 jQuery(async () => {
     loadSettingsUi();
+    initTimelinePanel();
+    registerSlashCommands();
+    registerTrackerMacros();
 
     eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, onCharacterMessageRendered);
     eventSource.on(event_types.USER_MESSAGE_RENDERED,      onUserMessageRendered);
+    eventSource.on(event_types.MESSAGE_RECEIVED,           onMessageReceived);
     eventSource.on(event_types.CHAT_CHANGED,               onChatChanged);
     eventSource.on(event_types.MESSAGE_EDITED,             onMessageEdited);
     eventSource.on(event_types.MESSAGE_DELETED,            onMessageDeleted);
+    eventSource.on(event_types.MESSAGE_SWIPED,             onMessageSwiped);
     eventSource.on(event_types.GENERATION_STARTED,         onGenerationStarted);
 
     $(document).on('click', '.tt-regen-btn', async function () {
@@ -2452,6 +6595,10 @@ jQuery(async () => {
         await regenTracker(mesId);
     });
 
+    $(document).on('click', '.tt-accept-btn', function () {
+        acceptTrackerWarnings(parseInt($(this).data('mesid')));
+    });
+
     $(document).on('click', '.tt-edit-btn', function () {
         const mesId = parseInt($(this).data('mesid'));
         showEditForm(mesId);
@@ -2462,6 +6609,46 @@ jQuery(async () => {
         saveEditedTracker(mesId);
     });
 
+    $(document).on('change', '.tt-edit-propagate-toggle', function () {
+        refreshEditPreview(parseInt($(this).data('mesid')));
+    });
+
+    $(document).on('input', '.tt-editing .tt-edit-input, .tt-editing .tt-edit-chars, .tt-editing .tt-edit-card input', function () {
+        refreshEditPreview(parseInt($(this).closest('.tt-editing').data('mesid')));
+    });
+
+    $(document).on('click', '.tt-edit-char-add', function () {
+        const mesId = parseInt($(this).data('mesid'));
+        $(`#tt-edit-cards-${mesId}`).append(buildCharacterCardHtml(emptyCharacter(), mesId));
+        $(`#tt-edit-cards-${mesId} .tt-edit-char-name`).last().trigger('focus');
+    });
+
+    $(document).on('click', '.tt-edit-char-up, .tt-edit-char-down, .tt-edit-char-remove', function () {
+        const $card = $(this).closest('.tt-edit-card');
+        const mesId = parseInt($card.closest('.tt-editing').data('mesid'));
+        if ($(this).hasClass('tt-edit-char-up')) $card.prev('.tt-edit-card').before($card);
+        else if ($(this).hasClass('tt-edit-char-down')) $card.next('.tt-edit-card').after($card);
+        else $card.remove();
+        refreshEditPreview(mesId);
+    });
+
+    $(document).on('click', '.tt-edit-inv-add', function () {
+        $(this).siblings('.tt-edit-inv-rows').append(buildInventoryRowHtml());
+        $(this).siblings('.tt-edit-inv-rows').find('.tt-edit-inv-item').last().trigger('focus');
+    });
+
+    $(document).on('click', '.tt-edit-inv-remove', function () {
+        $(this).closest('.tt-edit-inv-row').remove();
+    });
+
+    $(document).on('change', '.tt-edit-char-name', function () {
+        fillCardFromRoster($(this).closest('.tt-edit-card'));
+    });
+
+    $(document).on('change', '.tt-edit-raw-toggle', function () {
+        toggleRawCharacterEditor(parseInt($(this).data('mesid')), this.checked);
+    });
+
     $(document).on('click', '.tt-edit-cancel', function () {
         const mesId = parseInt($(this).data('mesid'));
         renderMessageTracker(mesId);